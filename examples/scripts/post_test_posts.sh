@@ -0,0 +1,9 @@
+#!/bin/sh
+# post_request_script and suite_post_script of validate_placeholder_post.ibgroboot.yaml:
+# logs how the request went. IBG_STATUS is only set after a response.
+
+if [ -n "$IBG_STATUS" ]; then
+  echo "[$IBG_HOOK] $IBG_TEST_CASE -> $IBG_STATUS"
+else
+  echo "[$IBG_HOOK] suite finished"
+fi
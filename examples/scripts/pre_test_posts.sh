@@ -0,0 +1,8 @@
+#!/bin/sh
+# pre_request_script of validate_placeholder_post.ibgroboot.yaml: tags the
+# request with an id so it can be found in the server's logs.
+# The context arrives as JSON on stdin; the last JSON line printed is merged
+# into the request.
+
+echo "[$IBG_HOOK] $IBG_METHOD $IBG_URL"
+echo "{\"request\": {\"headers\": {\"X-Request-Id\": \"ibgroboot-$$\"}}}"
@@ -1,10 +1,12 @@
 export default async function statefulPreScript({ headers, data }) {
     console.log("[Stateful Pre-suite-script] Running...");
   
+    // For tokens from an OAuth2 server, prefer a declarative `auth` block in the suite
     const token = "ABC123TOKEN";
   
+    // `headers` is a plain map; return a map (or a list of { key, value })
     const updatedHeaders = {
-      headers: [...headers],
+      ...headers,
       Authorization: `Bearer ${token}`,
     };
   
@@ -1,33 +1,390 @@
+#!/usr/bin/env node
+import { parseCliArguments, USAGE, COMMANDS } from "./lib/parse_cli_arguments.js";
+import { collectSuiteFiles } from "./lib/collect_suite_files.js";
+import { runSuites } from "./lib/run_suites.js";
+import { REPORTERS } from "./lib/reporters.js";
+import { setQuiet } from "./lib/logger.js";
+import { loadProjectConfig } from "./lib/project_config.js";
+import { lintSuiteFile } from "./lib/lint_suite.js";
+import { loadAssertionPlugins } from "./lib/assertion_registry.js";
 import { parseIbgrobotConfiguration } from "./lib/parse_structured_ibgrobot.js";
-import { buildReportData, generateReportHtml } from "./lib/report_generator.js";
-import { sendHTTPRequest } from "./lib/send_http_request.js";
+import { buildMockRoutes, startMockServer } from "./lib/mock_server.js";
+import { importSuites, writeSuites } from "./lib/import_suites.js";
+import { resolveHistorySettings, readHistory, analyzeHistory } from "./lib/history.js";
+import { renderHistoryReport } from "./lib/console_report.js";
+import { resolveNotifiers } from "./lib/notifications.js";
+import { buildTestCaseSelector } from "./lib/select_test_cases.js";
+import { watchSuites } from "./lib/watch_suites.js";
 import path from 'path';
 import fs from 'fs';
+import { pathToFileURL } from 'url';
 import figlet from 'figlet';
 import chalk from 'chalk';
 
+export const EXIT_OK = 0;
+export const EXIT_TEST_FAILURE = 1;
+export const EXIT_USAGE = 2;
 
-async function main() {
-  drawLogo();
-  await new Promise(resolve => setTimeout(resolve, 5000));
-  const filePath = path.join(process.cwd(), "/examples/validate_placeholder_post.ibgroboot.yaml");
-  const data = parseIbgrobotConfiguration(filePath);
+/**
+ * main - CLI entry point.
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} The process exit code
+ */
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArguments(argv);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { command, positionals, options } = parsed;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  if (!COMMANDS.includes(command)) {
+    console.error(chalk.red(`Unknown command "${command}".`));
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  setQuiet(options.quiet);
+  return COMMAND_HANDLERS[command](positionals, options);
+}
+
+async function runCommand(positionals, options) {
+  if (positionals.length === 0) {
+    console.error(chalk.red("The run command needs at least one file, directory or glob."));
+    return EXIT_USAGE;
+  }
+
+  const unknownFormats = options.formats.filter((format) => !REPORTERS[format]);
+  if (unknownFormats.length > 0) {
+    console.error(
+      chalk.red(
+        `Unsupported report format(s): ${unknownFormats.join(", ")}. ` +
+          `Available: ${Object.keys(REPORTERS).join(", ")}`
+      )
+    );
+    return EXIT_USAGE;
+  }
+
+  let files;
+  let projectConfig;
+  let select;
+  let history = null;
+  let notifiers = [];
+  try {
+    select = buildTestCaseSelector({ tags: options.tags, filter: options.filter });
+    files = collectSuiteFiles(positionals);
+    projectConfig = loadProjectConfig(options.configPath);
+    await loadAssertionPlugins(projectConfig.config.plugins, projectConfig.baseDir);
+    if (options.history) {
+      history = resolveHistorySettings(options.historyFile, projectConfig);
+    }
+    if (options.notify) {
+      notifiers = resolveNotifiers(projectConfig, { environment: options.environment, envFiles: options.envFiles });
+    }
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
+  }
+
+  if (options.logo) {
+    drawLogo();
+  }
+
+  const summary = await runSuites(files, {
+    reportDir: path.resolve(options.reportDir),
+    formats: options.formats,
+    concurrency: options.concurrency ?? projectConfig.config.concurrency ?? 1,
+    select,
+    environment: options.environment,
+    envFiles: options.envFiles,
+    projectConfig,
+    updateSnapshots: options.updateSnapshots,
+    history,
+    notifiers,
+  });
+
+  printSummary(summary);
+
+  if (summary.loadErrors > 0) {
+    return EXIT_USAGE;
+  }
+  if (summary.suites.length === 0 && summary.unselected > 0) {
+    // Most likely a mistyped tag; a CI job running nothing should not pass
+    console.log(chalk.red("No test case matches --tags / --filter."));
+    return EXIT_USAGE;
+  }
+  return summary.failed + summary.errored > 0 ? EXIT_TEST_FAILURE : EXIT_OK;
+}
+
+/**
+ * lintCommand - Checks suite files against the suite schema. Exits with 1 when
+ *   any file has errors; warnings alone do not fail.
+ */
+async function lintCommand(positionals, options) {
+  if (positionals.length === 0) {
+    console.error(chalk.red("The lint command needs at least one file, directory or glob."));
+    return EXIT_USAGE;
+  }
+
+  let files;
+  try {
+    files = collectSuiteFiles(positionals);
+    const projectConfig = loadProjectConfig(options.configPath);
+    await loadAssertionPlugins(projectConfig.config.plugins, projectConfig.baseDir);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
+  }
+
+  let errors = 0;
+  let warnings = 0;
+  for (const file of files) {
+    const { problems } = await lintSuiteFile(file);
+    const relative = path.relative(process.cwd(), file) || file;
+    for (const { severity, line, column, message } of problems) {
+      const label = severity === 'error' ? chalk.red('error  ') : chalk.yellow('warning');
+      console.log(`${relative}:${line}:${column}  ${label}  ${message}`);
+      if (severity === 'error') {
+        errors += 1;
+      } else {
+        warnings += 1;
+      }
+    }
+  }
+
+  const line = `${files.length} file(s) checked: ${errors} error(s), ${warnings} warning(s)`;
+  console.log(errors > 0 ? chalk.red(line) : warnings > 0 ? chalk.yellow(line) : chalk.green(line));
+  return errors > 0 ? EXIT_TEST_FAILURE : EXIT_OK;
+}
+
+/**
+ * mockCommand - Serves the example responses of the suites until the process
+ *   is interrupted (Ctrl+C).
+ */
+async function mockCommand(positionals, options) {
+  if (positionals.length === 0) {
+    console.error(chalk.red("The mock command needs at least one file, directory or glob."));
+    return EXIT_USAGE;
+  }
+
+  let suites;
+  try {
+    const files = collectSuiteFiles(positionals);
+    const projectConfig = loadProjectConfig(options.configPath);
+    suites = files.map((file) =>
+      parseIbgrobotConfiguration(file, {
+        environment: options.environment,
+        envFiles: options.envFiles,
+        projectConfig,
+      })
+    );
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
+  }
+  if (suites.includes(null)) {
+    return EXIT_USAGE;
+  }
+
+  let routes;
+  let skipped;
+  try {
+    ({ routes, skipped } = buildMockRoutes(suites));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
+  }
+  for (const { suite, testCase } of skipped) {
+    console.warn(chalk.yellow(`${suite}: "${testCase}" has no mock_response or snapshot; it is not served.`));
+  }
+  if (routes.length === 0) {
+    console.error(chalk.red("None of the test cases has a mock_response or a recorded snapshot."));
+    return EXIT_USAGE;
+  }
+
+  let mock;
+  try {
+    mock = await startMockServer(routes, { port: options.port ?? 4010, host: options.host });
+  } catch (err) {
+    console.error(chalk.red(`Could not start the mock server: ${err.message}`));
+    return EXIT_USAGE;
+  }
+
+  console.log(`Mock server listening on ${mock.url}`);
+  for (const route of routes) {
+    console.log(`  ${route.method.padEnd(6)} ${route.pathname}  ${chalk.gray(`${route.suite}: ${route.testCase}`)}`);
+  }
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  await mock.close();
+  return EXIT_OK;
+}
+
+/**
+ * importCommand - Generates suites from an OpenAPI document, a Postman
+ *   collection or a HAR file into --out.
+ */
+async function importCommand(positionals, options) {
+  if (positionals.length !== 1) {
+    console.error(chalk.red("The import command needs exactly one source file."));
+    return EXIT_USAGE;
+  }
+
+  const [sourcePath] = positionals;
+  let imported;
+  try {
+    imported = importSuites(sourcePath, { outDir: options.outDir, from: options.from });
+    if (imported.files.length === 0) {
+      console.error(chalk.red(`No requests found in "${sourcePath}".`));
+      return EXIT_USAGE;
+    }
+    writeSuites(imported.files, { sourcePath, force: options.force });
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
+  }
+
+  for (const warning of imported.warnings) {
+    console.warn(chalk.yellow(warning));
+  }
+  console.log(`Imported ${imported.format} source "${sourcePath}":`);
+  for (const { file, document } of imported.files) {
+    console.log(`  ${path.relative(process.cwd(), file)}  ${chalk.gray(`${document.test_cases.length} test case(s)`)}`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * historyCommand - Prints the trends of the recorded runs (see lib/history.js).
+ */
+async function historyCommand(positionals, options) {
+  let settings;
+  try {
+    settings = resolveHistorySettings(options.historyFile, loadProjectConfig(options.configPath));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
+  }
+
+  const runs = readHistory(settings.file);
+  const relative = path.relative(process.cwd(), settings.file) || settings.file;
+  if (runs.length === 0) {
+    console.log(`No runs recorded in ${relative} yet.`);
+    return EXIT_OK;
+  }
+
+  console.log(`${runs.length} run(s) recorded in ${relative}\n`);
+  process.stdout.write(renderHistoryReport(analyzeHistory(runs), { runs: options.runs }));
+  return EXIT_OK;
+}
+
+/**
+ * watchCommand - Runs the suites, then re-runs each one when it or a script or
+ *   assertion module it uses changes (see lib/watch_suites.js). Stops on Ctrl+C.
+ */
+async function watchCommand(positionals, options) {
+  if (positionals.length === 0) {
+    console.error(chalk.red("The watch command needs at least one file, directory or glob."));
+    return EXIT_USAGE;
+  }
 
-  if (!data) {
-    console.error("Failed to parse the .ibgrobot file. Exiting...");
-    return;
+  let projectConfig;
+  let select;
+  try {
+    select = buildTestCaseSelector({ tags: options.tags, filter: options.filter });
+    projectConfig = loadProjectConfig(options.configPath);
+    await loadAssertionPlugins(projectConfig.config.plugins, projectConfig.baseDir);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
   }
-  const testResults = await sendHTTPRequest(data);
 
-  const reportData = buildReportData(testResults, data['name']);
-  const finalHtml = generateReportHtml(reportData);
-  const outputPath = path.join(process.cwd(), `/reports/${new Date().toISOString()}.html`);
-  fs.writeFileSync(outputPath, finalHtml, 'utf8');
+  // Request-by-request progress would bury the changes between runs
+  setQuiet(true);
+
+  let watcher;
+  try {
+    watcher = await watchSuites(positionals, {
+      projectConfig,
+      select,
+      concurrency: options.concurrency ?? projectConfig.config.concurrency ?? 1,
+      environment: options.environment,
+      envFiles: options.envFiles,
+      updateSnapshots: options.updateSnapshots,
+    });
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_USAGE;
+  }
+
+  console.log(chalk.gray("\nWatching for changes. Press Ctrl+C to stop."));
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  await watcher.close();
+  return EXIT_OK;
 }
 
+const COMMAND_HANDLERS = {
+  run: runCommand,
+  lint: lintCommand,
+  mock: mockCommand,
+  import: importCommand,
+  history: historyCommand,
+  watch: watchCommand,
+};
+
+function printSummary(summary) {
+  console.log("");
+  for (const report of summary.reports) {
+    console.log(`Report written to ${report}`);
+  }
+
+  const line =
+    `${summary.total} test case(s): ${summary.passed} passed, ${summary.failed} failed, ` +
+    `${summary.errored} errored, ${summary.skipped} skipped`;
+  console.log(summary.failed + summary.errored > 0 ? chalk.red(line) : chalk.green(line));
+  const { written, updated } = summary.snapshots;
+  if (written + updated > 0) {
+    console.log(`Snapshots: ${written} written, ${updated} updated`);
+  }
+  if (summary.history?.newlyFailing.length > 0) {
+    console.log(chalk.red(`Newly failing since the previous run: ${summary.history.newlyFailing.map((entry) => entry.testCase).join(", ")}`));
+  }
+  for (const { type, host, sent, error } of summary.notifications) {
+    console.log(sent ? `Notified ${type} (${host})` : chalk.yellow(`Could not notify ${type} (${host}): ${error}`));
+  }
+  if (summary.loadErrors > 0) {
+    console.log(chalk.red(`${summary.loadErrors} suite file(s) could not be loaded.`));
+  }
+}
+
+function isEntryPoint() {
+  if (!process.argv[1]) {
+    return false;
+  }
+  // Resolve the npm bin symlink so `ibgroboot ...` and `node index.js ...` both work
+  const invokedPath = fs.realpathSync(process.argv[1]);
+  return import.meta.url === pathToFileURL(invokedPath).href;
+}
 
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+if (isEntryPoint()) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
 }
 
 
@@ -37,4 +394,4 @@ function drawLogo(){
           figlet.textSync('IBGRoboot' , { horizontalLayout: 'full' })
       )
   )
-};
\ No newline at end of file
+};
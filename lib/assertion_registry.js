@@ -0,0 +1,215 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { BUILTIN_ASSERTIONS } from "./builtin_assertions.js";
+import { importWithResolvedPath, invalidateModule } from "./import_module.js";
+
+/**
+ * assertion_registry.js
+ * ---------------------
+ * Every assertion type a suite can use, built-in or registered by a plugin.
+ *
+ * An assertion definition:
+ * {
+ *   name: "Valid Instabug Token",
+ *   aliases: ["Instabug Token"],          // optional other names
+ *   inputs: { type: "string" },           // JSON Schema of `inputs` (default: anything)
+ *   target: "body" | "response",          // what `check` receives (default "body")
+ *   arrayLevel: false,                    // or (inputs) => boolean, see below
+ *   check(value, inputs, context) { ... },
+ *   message(violation, inputs) { ... },   // optional
+ * }
+ *
+ *   - `check` gets the response body, or the response ({ status, statusText,
+ *     headers, body, durationMs }) when `target` is "response". It may be async.
+ *     It returns the violations it found, each
+ *     { rule, path, expected, actual, message }; an empty list (or null/true)
+ *     means the assertion passed. A message, `false` or a single object also
+ *     count as one violation.
+ *   - When the body is an array, `check` runs on each item and one result lists
+ *     the failing indexes, unless `arrayLevel` says it checks the array as a whole.
+ *   - `message(violation, inputs)` writes the message of violations that do not
+ *     carry one.
+ *   - `context` is { baseDir, suiteFile, testCase, updateSnapshots, response }:
+ *     the suite's folder and file, the test case's description, whether
+ *     `--update-snapshots` was given, and the full response.
+ *
+ * Plugins are ES modules that export `assertions` (an array of definitions)
+ * and/or a default function called with `{ registerAssertion }`.
+ */
+
+const assertions = new Map();
+const aliases = new Map();
+const loadedPlugins = new Map();
+// Names each plugin file registered, so unloadAssertionPlugin can take them back
+const pluginAssertions = new Map();
+
+/**
+ * registerAssertion - Adds an assertion type.
+ * @param {object} definition - See the top of this file
+ * @returns {object} The registered definition, with its defaults filled in
+ * @throws {Error} If the definition is malformed or its name (or an alias) is taken
+ */
+export function registerAssertion(definition) {
+  const { name, aliases: otherNames = [], inputs = true, target = "body", arrayLevel = false, check, message } =
+    definition ?? {};
+
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new Error("An assertion needs a non-empty `name`.");
+  }
+  if (typeof check !== "function") {
+    throw new Error(`Assertion "${name}" needs a \`check\` function.`);
+  }
+  if (message !== undefined && typeof message !== "function") {
+    throw new Error(`Assertion "${name}": \`message\` must be a function.`);
+  }
+  if (!["body", "response"].includes(target)) {
+    throw new Error(`Assertion "${name}": \`target\` must be "body" or "response".`);
+  }
+  if (!Array.isArray(otherNames)) {
+    throw new Error(`Assertion "${name}": \`aliases\` must be a list of names.`);
+  }
+  for (const candidate of [name, ...otherNames]) {
+    if (assertions.has(candidate) || aliases.has(candidate)) {
+      throw new Error(`Assertion "${candidate}" is already registered.`);
+    }
+  }
+
+  const registered = Object.freeze({
+    name,
+    aliases: [...otherNames],
+    inputs,
+    target,
+    arrayLevel: typeof arrayLevel === "function" ? arrayLevel : () => Boolean(arrayLevel),
+    check,
+    message,
+  });
+  assertions.set(name, registered);
+  for (const alias of otherNames) {
+    aliases.set(alias, name);
+  }
+  return registered;
+}
+
+/**
+ * getAssertion - The definition registered under `name` or one of its aliases.
+ * @returns {object|undefined}
+ */
+export function getAssertion(name) {
+  return assertions.get(aliases.get(name) ?? name);
+}
+
+/**
+ * listAssertions - Every registered definition, built-ins first.
+ */
+export function listAssertions() {
+  return [...assertions.values()];
+}
+
+/**
+ * loadAssertionPlugins - Imports assertion plugins and registers what they export.
+ *
+ *   Each entry is a path to a module, a path to a directory (every .js/.mjs/.cjs
+ *   file in it is a plugin), or an npm package name resolved from `baseDir`.
+ *   A plugin is only loaded once per run, however many suites list it.
+ *
+ * @param {string|string[]} [specifiers]
+ * @param {string} [baseDir] - Where relative paths and packages are resolved from
+ * @throws {Error} If a plugin cannot be found or does not register valid assertions
+ */
+export async function loadAssertionPlugins(specifiers = [], baseDir = process.cwd()) {
+  const list = Array.isArray(specifiers) ? specifiers : [specifiers];
+  for (const specifier of list) {
+    for (const file of resolvePluginFiles(String(specifier), baseDir)) {
+      if (!loadedPlugins.has(file)) {
+        loadedPlugins.set(file, loadPlugin(file, specifier));
+      }
+      await loadedPlugins.get(file);
+    }
+  }
+}
+
+/**
+ * resolvePluginFiles - The module files a plugin entry stands for (see loadAssertionPlugins).
+ * @returns {string[]} Absolute paths
+ * @throws {Error} If the plugin cannot be found
+ */
+export function resolvePluginFiles(specifier, baseDir) {
+  const isPath = specifier.startsWith(".") || path.isAbsolute(specifier);
+  if (!isPath) {
+    try {
+      return [createRequire(path.join(baseDir, "package.json")).resolve(specifier)];
+    } catch {
+      throw new Error(`Cannot find assertion plugin package "${specifier}" from "${baseDir}".`);
+    }
+  }
+
+  const fullPath = path.resolve(baseDir, specifier);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Assertion plugin "${specifier}" does not exist.`);
+  }
+  if (fs.statSync(fullPath).isDirectory()) {
+    return fs
+      .readdirSync(fullPath)
+      .filter((entry) => /\.(m|c)?js$/.test(entry))
+      .sort()
+      .map((entry) => path.join(fullPath, entry));
+  }
+  return [fullPath];
+}
+
+/**
+ * unloadAssertionPlugin - Forgets a plugin file and the assertions it
+ *   registered; the next loadAssertionPlugins imports it again (used by watch
+ *   mode when the file changes).
+ * @returns {boolean} Whether the file had been loaded
+ */
+export function unloadAssertionPlugin(file) {
+  if (!loadedPlugins.has(file)) {
+    return false;
+  }
+  for (const name of pluginAssertions.get(file) ?? []) {
+    for (const alias of assertions.get(name)?.aliases ?? []) {
+      aliases.delete(alias);
+    }
+    assertions.delete(name);
+  }
+  loadedPlugins.delete(file);
+  pluginAssertions.delete(file);
+  invalidateModule(file);
+  return true;
+}
+
+async function loadPlugin(file, specifier) {
+  const pluginModule = await importWithResolvedPath(file);
+  const definitions = pluginModule.assertions ?? pluginModule.default?.assertions;
+  const setup = typeof pluginModule.default === "function" ? pluginModule.default : null;
+
+  if (!Array.isArray(definitions) && !setup) {
+    throw new Error(
+      `Assertion plugin "${specifier}" (${file}) must export an \`assertions\` list or a default function.`
+    );
+  }
+  const names = [];
+  pluginAssertions.set(file, names);
+  const register = (definition) => {
+    const registered = registerAssertion(definition);
+    names.push(registered.name);
+    return registered;
+  };
+  try {
+    for (const definition of definitions ?? []) {
+      register(definition);
+    }
+    if (setup) {
+      await setup({ registerAssertion: register });
+    }
+  } catch (err) {
+    err.message = `Assertion plugin "${specifier}": ${err.message}`;
+    throw err;
+  }
+}
+
+for (const definition of BUILTIN_ASSERTIONS) {
+  registerAssertion(definition);
+}
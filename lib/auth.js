@@ -0,0 +1,286 @@
+import crypto from "crypto";
+import axios from "axios";
+import { registerSecret } from "./redact.js";
+import { logger } from "./logger.js";
+
+/**
+ * auth.js
+ * -------
+ * Declarative authentication for requests. A suite or a test case sets
+ * `auth`; the test case's block replaces the suite's, and `auth: none` turns
+ * it off for one case.
+ *
+ *   auth: { type: bearer, token: "{{token}}" }
+ *   auth: { type: basic, username: "ann", password: "${API_PASSWORD}" }
+ *   auth: { type: apikey, name: "X-Api-Key", value: "${API_KEY}", in: header }   # or in: query
+ *   auth:
+ *     type: oauth2
+ *     grant: client_credentials        # or password (with username / password)
+ *     token_url: "https://auth.example.com/oauth/token"
+ *     client_id: "ibgroboot"
+ *     client_secret: "${CLIENT_SECRET}"
+ *     scope: "read write"
+ *   auth: { type: hmac, secret: "${SIGNING_SECRET}", key_id: "ci" }
+ *
+ * Auth is applied after the pre_request_script, so HMAC signatures cover the
+ * request as it is sent. Tokens, passwords and keys are registered as secrets
+ * (see redact.js), so logs and reports mask them.
+ */
+
+// Renew OAuth2 tokens this long before they expire
+const EXPIRY_MARGIN_MS = 5000;
+
+const DEFAULT_STRING_TO_SIGN = "{method}\n{path}\n{timestamp}\n{body_sha256}";
+
+// OAuth2 tokens by token endpoint and credentials, shared by every suite of a run
+const tokenCache = new Map();
+
+/**
+ * AUTH_PROVIDERS - One entry per `auth.type`. `apply(request, auth)` adds the
+ *   credentials to the Axios request config in place; it may be async.
+ */
+export const AUTH_PROVIDERS = {
+  bearer: {
+    apply(request, { token, header = "Authorization", prefix = "Bearer " }) {
+      registerSecret(token);
+      setHeader(request, header, `${prefix}${token}`);
+    },
+  },
+
+  basic: {
+    apply(request, { username, password = "" }) {
+      const credentials = Buffer.from(`${username}:${password}`).toString("base64");
+      registerSecret(password);
+      registerSecret(credentials);
+      setHeader(request, "Authorization", `Basic ${credentials}`);
+    },
+  },
+
+  apikey: {
+    apply(request, { name, value, in: location = "header" }) {
+      registerSecret(value);
+      if (location === "query") {
+        const url = new URL(request.url);
+        url.searchParams.set(name, String(value));
+        request.url = url.toString();
+      } else {
+        setHeader(request, name, String(value));
+      }
+    },
+  },
+
+  oauth2: {
+    async apply(request, auth) {
+      const { accessToken, tokenType } = await getOAuth2Token(auth);
+      const prefix = /^bearer$/i.test(tokenType ?? "bearer") ? "Bearer" : tokenType;
+      setHeader(request, "Authorization", `${prefix} ${accessToken}`);
+    },
+  },
+
+  hmac: {
+    apply(request, auth) {
+      const {
+        secret,
+        key_id: keyId,
+        algorithm = "sha256",
+        encoding = "hex",
+        header = "X-Signature",
+        prefix = "",
+        timestamp_header: timestampHeader = "X-Timestamp",
+        key_id_header: keyIdHeader = "X-Key-Id",
+        string_to_sign: template = DEFAULT_STRING_TO_SIGN,
+      } = auth;
+      registerSecret(secret);
+
+      const url = new URL(request.url);
+      const body = bodyContent(request.data);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const parts = {
+        method: String(request.method || "GET").toUpperCase(),
+        path: `${url.pathname}${url.search}`,
+        url: url.toString(),
+        host: url.host,
+        timestamp,
+        key_id: keyId ?? "",
+        body: body.toString(),
+        body_sha256: crypto.createHash("sha256").update(body).digest("hex"),
+      };
+      const stringToSign = String(template).replace(/\{(\w+)\}/g, (match, name) => parts[name] ?? match);
+      const signature = crypto.createHmac(algorithm, String(secret)).update(stringToSign).digest(encoding);
+
+      setHeader(request, header, `${prefix}${signature}`);
+      setHeader(request, timestampHeader, timestamp);
+      if (keyId !== undefined) {
+        setHeader(request, keyIdHeader, String(keyId));
+      }
+    },
+  },
+};
+
+/**
+ * resolveAuth - The auth block that applies to a test case: its own, or the
+ *   suite's. `none` means no auth.
+ * @returns {object|null}
+ */
+export function resolveAuth(suiteAuth, caseAuth) {
+  const auth = caseAuth !== undefined ? caseAuth : suiteAuth;
+  if (auth === undefined || auth === null || auth === "none") {
+    return null;
+  }
+  return auth;
+}
+
+/**
+ * applyAuth - Adds the credentials described by `auth` to the request.
+ * @param {object} request - Axios request config, changed in place
+ * @param {object|null} auth - From resolveAuth
+ * @returns {Promise<object>} The request
+ * @throws {Error} On an unknown auth type or a failed token request
+ */
+export async function applyAuth(request, auth) {
+  if (!auth) {
+    return request;
+  }
+  const provider = AUTH_PROVIDERS[auth.type];
+  if (!provider) {
+    throw new Error(
+      `Unknown auth type "${auth.type}". Available: ${Object.keys(AUTH_PROVIDERS).join(", ")}`
+    );
+  }
+  request.headers = { ...request.headers };
+  await provider.apply(request, auth);
+  return request;
+}
+
+/**
+ * getOAuth2Token - A cached access token for the given oauth2 block, fetched
+ *   (or renewed with its refresh token) when there is none or it is about to
+ *   expire. Concurrent test cases share one token request.
+ * @returns {Promise<{ accessToken: string, tokenType: string|undefined, refreshToken: string|undefined }>}
+ */
+function getOAuth2Token(auth) {
+  const { grant = "client_credentials", token_url, client_id, username, scope, audience } = auth;
+  const key = JSON.stringify([grant, token_url, client_id, username, scope, audience]);
+  const entry = tokenCache.get(key);
+
+  if (entry?.pending) {
+    return entry.pending;
+  }
+  if (entry && entry.expiresAt > Date.now() + EXPIRY_MARGIN_MS) {
+    return Promise.resolve(entry.token);
+  }
+
+  const fetchToken = async () => {
+    if (entry?.token.refreshToken) {
+      try {
+        return await requestToken(auth, { grant_type: "refresh_token", refresh_token: entry.token.refreshToken });
+      } catch {
+        // A refresh token can be revoked or expired; fall back to the grant itself
+      }
+    }
+    return requestToken(auth, grantParams(auth));
+  };
+
+  const pending = fetchToken().then(
+    ({ token, expiresIn }) => {
+      const expiresAt = expiresIn === undefined ? Infinity : Date.now() + expiresIn * 1000;
+      tokenCache.set(key, { token, expiresAt });
+      return token;
+    },
+    (err) => {
+      tokenCache.delete(key);
+      throw err;
+    }
+  );
+  tokenCache.set(key, { pending });
+  return pending;
+}
+
+function grantParams({ grant = "client_credentials", username, password, scope, audience, params = {} }) {
+  if (grant !== "client_credentials" && grant !== "password") {
+    throw new Error(`Unsupported OAuth2 grant "${grant}". Use client_credentials or password.`);
+  }
+  const result = { grant_type: grant, ...params };
+  if (grant === "password") {
+    if (username === undefined || password === undefined) {
+      throw new Error(`The OAuth2 password grant needs a username and a password.`);
+    }
+    registerSecret(password);
+    Object.assign(result, { username, password });
+  }
+  if (scope !== undefined) {
+    result.scope = Array.isArray(scope) ? scope.join(" ") : scope;
+  }
+  if (audience !== undefined) {
+    result.audience = audience;
+  }
+  return result;
+}
+
+async function requestToken(auth, params) {
+  const { token_url: tokenUrl, client_id: clientId, client_secret: clientSecret, client_auth: clientAuth = "basic" } =
+    auth;
+  if (!tokenUrl || !clientId) {
+    throw new Error(`OAuth2 auth needs a token_url and a client_id.`);
+  }
+  registerSecret(clientSecret);
+
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    body.append(key, String(value));
+  }
+  if (clientAuth === "body") {
+    body.append("client_id", clientId);
+    if (clientSecret !== undefined) {
+      body.append("client_secret", clientSecret);
+    }
+  } else {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret ?? "")}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+
+  logger.info(`Requesting an OAuth2 token (${params.grant_type}) from ${tokenUrl}`);
+  const response = await axios.post(tokenUrl, body.toString(), { headers, validateStatus: () => true });
+  const data = response.data;
+  if (response.status < 200 || response.status >= 300 || !data?.access_token) {
+    const detail = data?.error_description ?? data?.error ?? `status ${response.status}`;
+    throw new Error(`OAuth2 token request to ${tokenUrl} failed: ${detail}`);
+  }
+
+  registerSecret(data.access_token);
+  registerSecret(data.refresh_token);
+  const expiresIn = data.expires_in === undefined ? undefined : Number(data.expires_in);
+  return {
+    token: {
+      accessToken: data.access_token,
+      tokenType: data.token_type,
+      // A refresh response may leave out the refresh token, meaning the old one stays valid
+      refreshToken: data.refresh_token ?? params.refresh_token,
+    },
+    expiresIn,
+  };
+}
+
+// The body as it goes over the wire: Axios sends objects as JSON
+function bodyContent(data) {
+  if (data === undefined || data === null) {
+    return "";
+  }
+  if (typeof data === "string" || Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (data instanceof FormData) {
+    throw new Error("HMAC signing does not support multipart bodies.");
+  }
+  return JSON.stringify(data);
+}
+
+function setHeader(request, name, value) {
+  for (const key of Object.keys(request.headers)) {
+    if (key.toLowerCase() === String(name).toLowerCase()) {
+      delete request.headers[key];
+    }
+  }
+  request.headers[name] = value;
+}
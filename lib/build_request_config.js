@@ -0,0 +1,221 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * buildRequestConfig - Builds the Axios config for one test case by applying its
+ *   overrides on top of the suite-level request.
+ *
+ * Supported test case keys:
+ *   - method:         overrides the suite method
+ *   - path:           appended to the suite url (or a full URL that replaces it)
+ *   - path_params:    values for `{name}` / `:name` placeholders in the url
+ *   - query:          query params, as a map or a list of { key, value }
+ *   - headers:        merged over the suite headers; a `null` value removes a header
+ *   - remove_headers: header names to drop (case-insensitive)
+ *   - body:           an object/array is sent as JSON, a string is sent as-is
+ *   - form:           sent as application/x-www-form-urlencoded
+ *   - multipart:      list of { name, value } or { name, file, filename?, content_type? }
+ *   - body_file:      file sent as a raw binary body
+ *   - parameters:     legacy `{ key: "body", value: "<json string>" }` entry
+ *
+ * @param {object} suite - The parsed .ibgrobot data (url, method, baseDir, ...)
+ * @param {object} testCase - One entry of `suite.testCases`
+ * @param {object} context
+ * @param {Record<string, string>} context.baseHeaders - Suite headers, after the pre-script ran
+ * @param {object|null} context.globalData - Data set by the stateful pre-script
+ * @returns {object} Axios request config
+ */
+export function buildRequestConfig(suite, testCase, { baseHeaders, globalData }) {
+  const method = String(testCase.method || suite.method || "GET").toUpperCase();
+  const baseDir = suite.baseDir || process.cwd();
+
+  const config = {
+    method,
+    url: buildUrl(suite.url, testCase),
+    headers: mergeHeaders(baseHeaders, testCase.headers, testCase.remove_headers),
+  };
+
+  const body = buildBody(testCase, { method, globalData, baseDir });
+  if (body) {
+    config.data = body.data;
+    if (body.contentType === null) {
+      // Let Axios generate the multipart Content-Type with its boundary
+      deleteHeader(config.headers, "content-type");
+    } else if (body.contentType && !hasHeader(config.headers, "content-type")) {
+      config.headers["Content-Type"] = body.contentType;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * toKeyValueObject - Accepts either the `[{ key, value }]` list style used
+ *   throughout .ibgrobot files or a plain YAML map, and returns a map.
+ */
+export function toKeyValueObject(entries) {
+  if (!entries) {
+    return {};
+  }
+  if (Array.isArray(entries)) {
+    const result = {};
+    entries.forEach(({ key, value }) => {
+      result[key] = value;
+    });
+    return result;
+  }
+  if (typeof entries === "object") {
+    return { ...entries };
+  }
+  throw new Error(`Expected a map or a list of { key, value } entries, got ${typeof entries}.`);
+}
+
+function buildUrl(suiteUrl, testCase) {
+  let url = suiteUrl || "";
+
+  if (testCase.path) {
+    const suffix = String(testCase.path);
+    url = /^https?:\/\//i.test(suffix)
+      ? suffix
+      : `${url.replace(/\/+$/, "")}/${suffix.replace(/^\/+/, "")}`;
+  }
+
+  const pathParams = testCase.path_params || {};
+  for (const [name, value] of Object.entries(pathParams)) {
+    const encoded = encodeURIComponent(String(value));
+    url = url
+      .replaceAll(`{${name}}`, encoded)
+      .replace(new RegExp(`/:${name}(?=/|\\?|#|$)`, "g"), `/${encoded}`);
+  }
+
+  const query = toKeyValueObject(testCase.query);
+  if (Object.keys(query).length === 0) {
+    return url;
+  }
+
+  const parsed = new URL(url);
+  for (const [key, value] of Object.entries(query)) {
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((v) => parsed.searchParams.append(key, v === null ? "" : String(v)));
+  }
+  return parsed.toString();
+}
+
+function mergeHeaders(baseHeaders, caseHeaders, removeHeaders = []) {
+  const merged = { ...baseHeaders };
+  const overrides = toKeyValueObject(caseHeaders);
+
+  for (const [key, value] of Object.entries(overrides)) {
+    deleteHeader(merged, key);
+    if (value !== null && value !== undefined) {
+      merged[key] = String(value);
+    }
+  }
+  for (const name of removeHeaders) {
+    deleteHeader(merged, name);
+  }
+
+  return merged;
+}
+
+function deleteHeader(headers, name) {
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === String(name).toLowerCase()) {
+      delete headers[key];
+    }
+  }
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some((key) => key.toLowerCase() === name);
+}
+
+/**
+ * buildBody - Picks the body source declared on the test case.
+ *   A `contentType` of null means any configured Content-Type must be dropped.
+ * @returns {{ data: *, contentType?: string|null } | null}
+ */
+function buildBody(testCase, { method, globalData, baseDir }) {
+  const declared = ["body", "form", "multipart", "body_file"].filter(
+    (key) => testCase[key] !== undefined
+  );
+  if (declared.length > 1) {
+    throw new Error(`Only one of body, form, multipart or body_file can be set (got ${declared.join(", ")}).`);
+  }
+
+  if (testCase.form !== undefined) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(toKeyValueObject(testCase.form))) {
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach((v) => params.append(key, v === null ? "" : String(v)));
+    }
+    return { data: params.toString(), contentType: "application/x-www-form-urlencoded" };
+  }
+
+  if (testCase.multipart !== undefined) {
+    return { data: buildMultipart(testCase.multipart, baseDir), contentType: null };
+  }
+
+  if (testCase.body_file !== undefined) {
+    return {
+      data: fs.readFileSync(path.resolve(baseDir, testCase.body_file)),
+      contentType: "application/octet-stream",
+    };
+  }
+
+  if (testCase.body !== undefined) {
+    const { body } = testCase;
+    if (typeof body === "string") {
+      return { data: body, contentType: "text/plain" };
+    }
+    if (isPlainObject(body) && globalData) {
+      return { data: { ...globalData, ...body }, contentType: "application/json" };
+    }
+    return { data: body, contentType: "application/json" };
+  }
+
+  // Legacy behaviour: non-GET requests send globalData merged with the
+  // JSON string in `parameters: [{ key: "body", value: "..." }]`
+  if (method !== "GET") {
+    let finalBody = globalData ? { ...globalData } : {};
+
+    const bodyParam = testCase.parameters?.find((p) => p.key === "body");
+    if (bodyParam) {
+      const caseBody = JSON.parse(bodyParam.value);
+      finalBody = { ...finalBody, ...caseBody };
+    }
+
+    return { data: finalBody };
+  }
+
+  return null;
+}
+
+function buildMultipart(parts, baseDir) {
+  const form = new FormData();
+  const entries = Array.isArray(parts)
+    ? parts
+    : Object.entries(parts).map(([name, value]) => ({ name, value }));
+
+  for (const part of entries) {
+    if (!part.name) {
+      throw new Error("Every multipart entry needs a name.");
+    }
+    if (part.file) {
+      const filePath = path.resolve(baseDir, part.file);
+      const blob = new Blob([fs.readFileSync(filePath)], {
+        type: part.content_type || "application/octet-stream",
+      });
+      form.append(part.name, blob, part.filename || path.basename(filePath));
+    } else {
+      const value = part.value;
+      form.append(part.name, typeof value === "object" && value !== null ? JSON.stringify(value) : String(value ?? ""));
+    }
+  }
+
+  return form;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
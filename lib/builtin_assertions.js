@@ -0,0 +1,1150 @@
+// The assertions IBGRoboot ships with, as assertion definitions (see
+// assertion_registry.js). Each `check` returns the list of violations it found,
+// every one of them rather than the first; an empty list means it passed.
+// Every field-taking input accepts a path: "data.user.zip", "items[*].price", ...
+//
+// "Schema Compliance" delegates full JSON Schemas to AJV (see schema_validation.js);
+// for anything beyond that, register your own assertions from a plugin.
+
+// Author: Alameer Ashraf
+// IBGRoboot
+
+import fs from "fs";
+import { resolve as resolveFilePath } from "path";
+import yaml from "js-yaml";
+import { resolvePath, getPathValue, parsePath, formatPath } from "./resolve_path.js";
+import { isJsonSchema, validateJsonSchema, formatSchemaError } from "./schema_validation.js";
+import { importWithResolvedPath } from "./import_module.js";
+import { diffValues, describeDifference } from "./deep_diff.js";
+import { readSnapshot, writeSnapshot } from "./snapshots.js";
+import {
+  numberish,
+  booleanish,
+  stringList,
+  fieldList,
+  inputsObject,
+  statusSpec,
+} from "./suite_schema.js";
+
+/**
+ * violation
+ * ---------
+ * One thing an assertion found wrong:
+ * { rule: "min-length", path: "data.name", expected: ">= 3", actual: "ab", message: "..." }
+ * `path` is "$" for the checked value itself.
+ */
+function violation(rule, path, expected, actual, message) {
+  return { rule, path, expected, actual, message };
+}
+
+/**
+ * checkFields
+ * -----------
+ * Resolves every field path against `obj` and runs `check` on each concrete
+ * match. Returns every violation found.
+ * `check` receives { path, value, exists } and returns a violation, a list of
+ * them, or null.
+ */
+function checkFields(obj, fields, check) {
+  const violations = [];
+  for (const field of fields) {
+    for (const match of resolvePath(obj, field)) {
+      const found = check(match);
+      if (found) {
+        violations.push(...[].concat(found));
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * keysAt
+ * ------
+ * Returns the keys of the object found at `path` (or of `obj` itself when no
+ * path is given), or null if there is no object there.
+ */
+function keysAt(obj, path) {
+  const target = path ? getPathValue(obj, path) : obj;
+  if (typeof target !== "object" || target === null) {
+    return null;
+  }
+  return Object.keys(target);
+}
+
+function prefixPath(path, key) {
+  return formatPath([...(path ? parsePath(path) : []), key]);
+}
+
+function joinPath(base, path) {
+  return formatPath([...parsePath(base), ...parsePath(path)]);
+}
+
+function asList(inputs) {
+  return Array.isArray(inputs) ? inputs : [inputs];
+}
+
+function usesJsonSchema(inputs) {
+  return Boolean(inputs && (inputs.openapi || isJsonSchema(inputs.schema)));
+}
+
+/**
+ * checkJsonSchema
+ * ---------------
+ * Validates `data` (or each match of `inputs.path`) against a JSON Schema and
+ * reports every violation with its instance path. Rules are "schema/<keyword>".
+ */
+function checkJsonSchema(data, inputs, context) {
+  const targets = inputs.path ? resolvePath(data, inputs.path) : [{ path: "$", value: data, exists: true }];
+  const violations = [];
+
+  for (const { path, value, exists } of targets) {
+    if (!exists) {
+      violations.push(violation("schema/path", path, "present", undefined, `Field "${path}" is missing.`));
+      continue;
+    }
+    const { errors } = validateJsonSchema(value, inputs, context);
+    for (const error of errors) {
+      // validateJsonSchema reports the root as "/"
+      const segments = error.instancePath
+        .split("/")
+        .slice(1)
+        .filter((segment, index, all) => !(all.length === 1 && segment === ""))
+        .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+        .map((segment) => (/^\d+$/.test(segment) ? Number(segment) : segment));
+      let fieldPath = joinPath(path, formatPath(segments));
+      let actual = segments.reduce((current, segment) => current?.[segment], value);
+      if (error.keyword === "required") {
+        fieldPath = prefixPath(fieldPath === "$" ? "" : fieldPath, error.params.missingProperty);
+        actual = undefined;
+      } else if (error.keyword === "additionalProperties") {
+        actual = actual?.[error.params.additionalProperty];
+        fieldPath = prefixPath(fieldPath === "$" ? "" : fieldPath, error.params.additionalProperty);
+      }
+      const prefix = path === "$" ? "" : `${path}: `;
+      violations.push(
+        violation(
+          `schema/${error.keyword}`,
+          fieldPath,
+          schemaExpectation(error),
+          actual,
+          `${prefix}${formatSchemaError(error)}.`
+        )
+      );
+    }
+  }
+
+  return violations;
+}
+
+function schemaExpectation({ keyword, params }) {
+  switch (keyword) {
+    case "type":
+      return params.type;
+    case "required":
+      return "present";
+    case "additionalProperties":
+      return "absent";
+    case "enum":
+      return params.allowedValues;
+    case "const":
+      return params.allowedValue;
+    case "pattern":
+      return params.pattern;
+    case "format":
+      return `format ${params.format}`;
+    default:
+      if (params.comparison && params.limit !== undefined) {
+        return `${params.comparison} ${params.limit}`;
+      }
+      return params.limit ?? params;
+  }
+}
+
+/**
+ * typeName
+ * --------
+ * `typeof`, except arrays are "array" and null is "null" (the legacy schema
+ * shorthand used to accept both as "object"). "integer" is accepted as an
+ * expected type for whole numbers.
+ */
+function typeName(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  return typeof value;
+}
+
+function matchesTypeName(value, expectedType) {
+  if (expectedType === "integer") {
+    return Number.isInteger(value);
+  }
+  return typeName(value) === expectedType;
+}
+
+export function matchesStatus(status, expected) {
+  if (Array.isArray(expected)) {
+    return expected.some((item) => matchesStatus(status, item));
+  }
+  if (typeof expected === "number") {
+    return status === expected;
+  }
+  if (typeof expected === "string") {
+    const trimmed = expected.trim();
+    const classMatch = trimmed.match(/^([1-5])xx$/i);
+    if (classMatch) {
+      return Math.floor(status / 100) === Number(classMatch[1]);
+    }
+    const rangeMatch = trimmed.match(/^(\d{3})\s*-\s*(\d{3})$/);
+    if (rangeMatch) {
+      return status >= Number(rangeMatch[1]) && status <= Number(rangeMatch[2]);
+    }
+    return status === Number(trimmed);
+  }
+  if (expected && typeof expected === "object") {
+    const { min = -Infinity, max = Infinity } = expected;
+    return status >= min && status <= max;
+  }
+  return false;
+}
+
+function describeStatus(expected) {
+  if (Array.isArray(expected)) {
+    return `one of [${expected.map(describeStatus).join(", ")}]`;
+  }
+  if (expected && typeof expected === "object") {
+    return `between ${expected.min ?? "-"} and ${expected.max ?? "-"}`;
+  }
+  return String(expected);
+}
+
+function getHeader(headers = {}, name) {
+  const wanted = String(name).toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === wanted) {
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * diffViolations
+ * --------------
+ * Compares `expected` with `actual` (see deep_diff.js) and returns one
+ * violation per difference. `basePath` is where `actual` sits in the body.
+ */
+function diffViolations(rule, basePath, expected, actual, options) {
+  return diffValues(expected, actual, options).map((difference) =>
+    violation(
+      rule,
+      formatPath([...parsePath(basePath), ...difference.segments]),
+      difference.expected,
+      difference.actual,
+      describeDifference(difference, basePath)
+    )
+  );
+}
+
+/**
+ * compareExpected
+ * ---------------
+ * "Equals" and "Contains Subset": the expected value comes inline
+ * (`expected`) or from a JSON/YAML file next to the suite (`file`), and is
+ * compared with the body or with each match of `path`.
+ */
+function compareExpected(rule, data, inputs, context, subset) {
+  const { file, path, ignore } = inputs;
+  let expected = inputs.expected;
+  if (file !== undefined) {
+    const filePath = resolveFilePath(context.baseDir ?? process.cwd(), file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Expected body file not found: ${filePath}`);
+    }
+    expected = yaml.load(fs.readFileSync(filePath, "utf8"));
+  }
+  if (!path) {
+    return diffViolations(rule, "$", expected, data, { subset, ignore });
+  }
+  return checkFields(data, [path], ({ path: fieldPath, value, exists }) =>
+    exists
+      ? diffViolations(rule, fieldPath, expected, value, { subset, ignore })
+      : violation(rule, fieldPath, expected, undefined, `Field "${fieldPath}" is missing.`)
+  );
+}
+
+const expectationInputs = {
+  ...inputsObject({ expected: true, file: { type: "string" }, path: { type: "string" }, ignore: fieldList }),
+  if: { required: ["file"] },
+  else: { required: ["expected"] },
+};
+
+// Response-level violations point at the part of the response they are about
+function headerPath(name) {
+  return `headers.${String(name).toLowerCase()}`;
+}
+
+export const BUILTIN_ASSERTIONS = [
+  // ------------------------------------------------------------------
+  // 1. Schema Compliance
+  // { schema: { type: "object", required: ["id"], properties: { ... } } }  (JSON Schema 2020-12)
+  // { schema: { $ref: "./schemas/post.json" }, path: "data" }
+  // { openapi: "./openapi.yaml", component: "Post" }
+  // { schema: { name: "string", "data.age": "number" }, strict: false }  (legacy shorthand)
+  // A full JSON Schema describes the whole body (e.g. `type: array`), so it is
+  // validated once against an array body; the legacy shorthand runs per item.
+  {
+    name: "Schema Compliance",
+    inputs: {
+      type: "object",
+      properties: {
+        schema: { type: "object" },
+        strict: booleanish,
+        path: { type: "string" },
+        openapi: { type: "string" },
+        component: { type: "string" },
+      },
+      additionalProperties: false,
+      if: { required: ["openapi"] },
+      then: { required: ["component"] },
+      else: { required: ["schema"] },
+    },
+    arrayLevel: usesJsonSchema,
+    check(obj, inputs, context) {
+      if (usesJsonSchema(inputs)) {
+        return checkJsonSchema(obj, inputs, context);
+      }
+
+      // Shorthand: each field's type must match the type name
+      const { schema, strict = false } = inputs;
+      if (inputs.path !== undefined) {
+        throw new Error(
+          `"path" needs a JSON Schema; the shorthand { field: "type" } checks fields of the whole body. Write { type: "object", properties: ... } instead.`
+        );
+      }
+      const violations = [];
+      for (const [fieldName, expectedType] of Object.entries(schema)) {
+        for (const { path, value } of resolvePath(obj, fieldName)) {
+          if (!matchesTypeName(value, expectedType)) {
+            const actualType = value === undefined ? "undefined" : typeName(value);
+            violations.push(
+              violation(
+                "type",
+                path,
+                expectedType,
+                value,
+                `Field "${path}" should be type "${expectedType}" but got "${actualType}".`
+              )
+            );
+          }
+        }
+      }
+
+      if (strict) {
+        // If strict = true, ensure no extra top-level fields are in obj
+        const allowedRoots = new Set(
+          Object.keys(schema).map((key) =>
+            Object.prototype.hasOwnProperty.call(obj, key) ? key : parsePath(key)[0]
+          )
+        );
+        for (const key of Object.keys(obj)) {
+          if (!allowedRoots.has(key)) {
+            violations.push(
+              violation(
+                "additional-field",
+                prefixPath("", key),
+                "absent",
+                obj[key],
+                `Strict schema compliance failed. Unexpected field "${key}".`
+              )
+            );
+          }
+        }
+      }
+
+      return violations;
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 2. Required Fields
+  {
+    name: "Required Fields",
+    inputs: fieldList,
+    check: (obj, inputs) =>
+      checkFields(obj, asList(inputs), ({ path, exists }) =>
+        exists ? null : violation("required", path, "present", undefined, `Missing required field: "${path}".`)
+      ),
+  },
+
+  // ------------------------------------------------------------------
+  // 3. No Additional Fields
+  // inputs: ["id", "name"] or { path: "data", fields: ["id", "name"] }
+  {
+    name: "No Additional Fields",
+    inputs: {
+      anyOf: [fieldList, inputsObject({ path: { type: "string" }, fields: fieldList }, ["fields"])],
+    },
+    check(obj, inputs) {
+      const { path, fields } = Array.isArray(inputs) || typeof inputs !== "object"
+        ? { fields: inputs }
+        : inputs;
+      const allowedFields = new Set(asList(fields));
+      const keys = keysAt(obj, path);
+      if (keys === null) {
+        return [violation("object", path, "object", getPathValue(obj, path), `Field "${path}" is not an object.`)];
+      }
+      return keys
+        .filter((key) => !allowedFields.has(key))
+        .map((key) => {
+          const fieldPath = prefixPath(path, key);
+          return violation(
+            "additional-field",
+            fieldPath,
+            "absent",
+            getPathValue(obj, fieldPath),
+            `Unexpected field found: "${fieldPath}".`
+          );
+        });
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 4. String Field Validation
+  // inputs: ["name"] (non-empty strings) or { fields, minLength, maxLength, pattern }
+  {
+    name: "String Field Validation",
+    inputs: {
+      anyOf: [
+        stringList,
+        inputsObject(
+          { fields: fieldList, minLength: numberish, maxLength: numberish, pattern: { type: "string" } },
+          ["fields"]
+        ),
+      ],
+    },
+    check(obj, inputs) {
+      if (Array.isArray(inputs)) {
+        return checkFields(obj, inputs, ({ path, value }) => {
+          if (typeof value !== "string") {
+            return violation("type", path, "string", value, `Field "${path}" is not a string.`);
+          }
+          if (value.trim().length === 0) {
+            return violation("non-empty", path, "non-empty string", value, `Field "${path}" cannot be an empty string.`);
+          }
+          return null;
+        });
+      }
+      const { fields, minLength, maxLength, pattern } = inputs;
+      return checkFields(obj, asList(fields), ({ path, value }) => {
+        if (typeof value !== "string") {
+          return violation("type", path, "string", value, `Field "${path}" is not a string.`);
+        }
+        const trimmed = value.trim();
+        const found = [];
+        if (typeof minLength === "number" && trimmed.length < minLength) {
+          found.push(
+            violation(
+              "min-length",
+              path,
+              `length >= ${minLength}`,
+              value,
+              `Field "${path}" length is below minimum ${minLength}.`
+            )
+          );
+        }
+        if (typeof maxLength === "number" && trimmed.length > maxLength) {
+          found.push(
+            violation(
+              "max-length",
+              path,
+              `length <= ${maxLength}`,
+              value,
+              `Field "${path}" length exceeds maximum ${maxLength}.`
+            )
+          );
+        }
+        if (pattern && !new RegExp(pattern).test(trimmed)) {
+          found.push(violation("pattern", path, pattern, value, `Field "${path}" does not match pattern: ${pattern}`));
+        }
+        return found;
+      });
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 5. Number Field Validation
+  // inputs: ["age"] or { fields, min, max, integerOnly }
+  {
+    name: "Number Field Validation",
+    inputs: {
+      anyOf: [
+        stringList,
+        inputsObject({ fields: fieldList, min: numberish, max: numberish, integerOnly: booleanish }, ["fields"]),
+      ],
+    },
+    check(obj, inputs) {
+      if (Array.isArray(inputs)) {
+        return checkFields(obj, inputs, ({ path, value }) =>
+          typeof value !== "number" ? violation("type", path, "number", value, `Field "${path}" is not a number.`) : null
+        );
+      }
+      const { fields, min, max, integerOnly = false } = inputs;
+      return checkFields(obj, asList(fields), ({ path, value }) => {
+        if (typeof value !== "number") {
+          return violation("type", path, "number", value, `Field "${path}" is not a number.`);
+        }
+        const found = [];
+        if (typeof min === "number" && value < min) {
+          found.push(violation("minimum", path, `>= ${min}`, value, `Field "${path}" is below minimum value ${min}.`));
+        }
+        if (typeof max === "number" && value > max) {
+          found.push(violation("maximum", path, `<= ${max}`, value, `Field "${path}" exceeds maximum value ${max}.`));
+        }
+        if (integerOnly && !Number.isInteger(value)) {
+          found.push(violation("integer", path, "integer", value, `Field "${path}" must be an integer.`));
+        }
+        return found;
+      });
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 6. Boolean Field Validation
+  {
+    name: "Boolean Field Validation",
+    inputs: fieldList,
+    check: (obj, inputs) =>
+      checkFields(obj, asList(inputs), ({ path, value }) =>
+        typeof value !== "boolean" ? violation("type", path, "boolean", value, `Field "${path}" is not a boolean.`) : null
+      ),
+  },
+
+  // ------------------------------------------------------------------
+  // 7. Array Validation
+  // On an object: the array at `field`. On an array body: the body itself
+  // (its length), checked once.
+  {
+    name: "Array Validation",
+    inputs: inputsObject({
+      field: { type: "string" },
+      minLength: numberish,
+      maxLength: numberish,
+      enforceUnique: booleanish,
+    }),
+    arrayLevel: true,
+    check(data, inputs) {
+      const { field, minLength, maxLength, enforceUnique } = inputs;
+      if (Array.isArray(data)) {
+        const found = [];
+        if (typeof minLength === "number" && data.length < minLength) {
+          found.push(
+            violation(
+              "min-items",
+              "$",
+              `length >= ${minLength}`,
+              data.length,
+              `Array length is below minimum ${minLength}. Actual length = ${data.length}`
+            )
+          );
+        }
+        if (typeof maxLength === "number" && data.length > maxLength) {
+          found.push(
+            violation(
+              "max-items",
+              "$",
+              `length <= ${maxLength}`,
+              data.length,
+              `Array length exceeds maximum ${maxLength}. Actual length = ${data.length}`
+            )
+          );
+        }
+        return found;
+      }
+      return checkFields(data, [field], ({ path, value: arr }) => {
+        if (!Array.isArray(arr)) {
+          return violation("type", path, "array", arr, `Field "${path}" is not an array.`);
+        }
+        const found = [];
+        if (typeof minLength === "number" && arr.length < minLength) {
+          found.push(
+            violation(
+              "min-items",
+              path,
+              `length >= ${minLength}`,
+              arr.length,
+              `Array "${path}" length is below minimum ${minLength}.`
+            )
+          );
+        }
+        if (typeof maxLength === "number" && arr.length > maxLength) {
+          found.push(
+            violation(
+              "max-items",
+              path,
+              `length <= ${maxLength}`,
+              arr.length,
+              `Array "${path}" length exceeds maximum ${maxLength}.`
+            )
+          );
+        }
+        if (enforceUnique && new Set(arr).size !== arr.length) {
+          const duplicates = [...new Set(arr.filter((item, index) => arr.indexOf(item) !== index))];
+          found.push(
+            violation("unique", path, "unique elements", duplicates, `Array "${path}" contains duplicate elements.`)
+          );
+        }
+        return found;
+      });
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 8. Nested Object Validation
+  // `field` and each of `requiredFields` can be paths, at any depth
+  {
+    name: "Nested Object Validation",
+    inputs: inputsObject({ field: { type: "string" }, requiredFields: fieldList }, ["field", "requiredFields"]),
+    check(obj, { field, requiredFields }) {
+      return checkFields(obj, [field], ({ path, value: nestedObj }) => {
+        if (typeof nestedObj !== "object" || nestedObj === null || Array.isArray(nestedObj)) {
+          return violation("object", path, "object", nestedObj, `Field "${path}" is not a valid nested object.`);
+        }
+        return checkFields(nestedObj, asList(requiredFields), ({ path: nestedPath, exists }) =>
+          exists
+            ? null
+            : violation(
+                "required",
+                joinPath(path, nestedPath),
+                "present",
+                undefined,
+                `Missing nested field "${nestedPath}" in object "${path}".`
+              )
+        );
+      });
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 9. Pattern Matching
+  {
+    name: "Pattern Matching",
+    inputs: inputsObject({ field: { type: "string" }, pattern: { type: "string" } }, ["field", "pattern"]),
+    check(obj, { field, pattern }) {
+      const regex = new RegExp(pattern);
+      return checkFields(obj, [field], ({ path, value }) =>
+        !regex.test(value || "")
+          ? violation("pattern", path, pattern, value, `Field "${path}" does not match pattern: ${pattern}`)
+          : null
+      );
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 10. Enumeration Validation
+  {
+    name: "Enumeration Validation",
+    inputs: inputsObject({ field: { type: "string" }, allowedValues: { type: "array" } }, [
+      "field",
+      "allowedValues",
+    ]),
+    check: (obj, { field, allowedValues }) =>
+      checkFields(obj, [field], ({ path, value }) =>
+        !allowedValues.includes(value)
+          ? violation(
+              "enum",
+              path,
+              allowedValues,
+              value,
+              `Field "${path}" has invalid value: "${value}". Allowed: ${allowedValues}`
+            )
+          : null
+      ),
+  },
+
+  // ------------------------------------------------------------------
+  // 11. Date Field Validation
+  {
+    name: "Date Field Validation",
+    inputs: inputsObject({ field: { type: "string" }, validateActualDate: booleanish }, ["field"]),
+    check: (obj, { field, validateActualDate }) =>
+      checkFields(obj, [field], ({ path, value: dateValue }) => {
+        if (typeof dateValue !== "string") {
+          return violation("type", path, "string", dateValue, `Field "${path}" is not a string date.`);
+        }
+        const parsed = new Date(dateValue);
+        if (validateActualDate && isNaN(parsed.getTime())) {
+          return violation("date", path, "valid date", dateValue, `Field "${path}" is not a valid date: ${dateValue}`);
+        }
+        return null;
+      }),
+  },
+
+  // ------------------------------------------------------------------
+  // 12. Nullability
+  // `nullable` fields must be null when present
+  {
+    name: "Nullability",
+    inputs: inputsObject({ nonNullable: stringList, nullable: stringList }),
+    check: (obj, { nonNullable = [], nullable = [] }) => [
+      ...checkFields(obj, nonNullable, ({ path, value }) =>
+        value === null ? violation("not-null", path, "not null", value, `Field "${path}" should not be null.`) : null
+      ),
+      ...checkFields(obj, nullable, ({ path, value, exists }) =>
+        exists && value !== null
+          ? violation("null", path, null, value, `Field "${path}" must be null if present.`)
+          : null
+      ),
+    ],
+  },
+
+  // ------------------------------------------------------------------
+  // 13. Default Values
+  {
+    name: "Default Values",
+    inputs: inputsObject({ field: { type: "string" }, defaultValue: true }, ["field"]),
+    check: (obj, { field, defaultValue }) =>
+      checkFields(obj, [field], ({ path, exists }) =>
+        !exists
+          ? violation(
+              "default",
+              path,
+              defaultValue,
+              undefined,
+              `Missing field "${path}". Expected a default of "${defaultValue}".`
+            )
+          : null
+      ),
+  },
+
+  // ------------------------------------------------------------------
+  // 14. Strict Validation
+  // inputs: { allowedFields: [...], path: "data" (optional) }
+  {
+    name: "Strict Validation",
+    inputs: inputsObject({ allowedFields: stringList, path: { type: "string" } }),
+    check(obj, { allowedFields = [], path }) {
+      const allowedSet = new Set(allowedFields);
+      const keys = keysAt(obj, path);
+      if (keys === null) {
+        return [violation("object", path, "object", getPathValue(obj, path), `Field "${path}" is not an object.`)];
+      }
+      return keys
+        .filter((key) => !allowedSet.has(key))
+        .map((key) => {
+          const fieldPath = prefixPath(path, key);
+          return violation(
+            "additional-field",
+            fieldPath,
+            "absent",
+            getPathValue(obj, fieldPath),
+            `Strict validation failed: unexpected field "${fieldPath}".`
+          );
+        });
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 15. Custom Logic
+  // When `ifField` is truthy, `thenField` must be set
+  {
+    name: "Custom Logic",
+    inputs: inputsObject({ ifField: { type: "string" }, thenField: { type: "string" } }, ["ifField", "thenField"]),
+    check(obj, { ifField, thenField }) {
+      if (!getPathValue(obj, ifField)) {
+        return [];
+      }
+      return checkFields(obj, [thenField], ({ path, value }) =>
+        value === undefined
+          ? violation("conditional", path, "present", undefined, `If "${ifField}" is present, "${path}" must be set.`)
+          : null
+      );
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 16. Data Transformation
+  {
+    name: "Data Transformation",
+    inputs: inputsObject(
+      {
+        field: { type: "string" },
+        expectedTypeAfterCoercion: {
+          enum: ["string", "number", "boolean", "object", "undefined", "bigint", "symbol", "function"],
+        },
+      },
+      ["field", "expectedTypeAfterCoercion"]
+    ),
+    check: (obj, { field, expectedTypeAfterCoercion }) =>
+      checkFields(obj, [field], ({ path, value }) =>
+        typeof value !== expectedTypeAfterCoercion
+          ? violation(
+              "type",
+              path,
+              expectedTypeAfterCoercion,
+              value,
+              `Field "${path}" is not coerced to type "${expectedTypeAfterCoercion}".`
+            )
+          : null
+      ),
+  },
+
+  // ------------------------------------------------------------------
+  // 17. Multi-Type Fields
+  {
+    name: "Multi-Type Fields",
+    inputs: inputsObject({ field: { type: "string" }, allowedTypes: stringList }, ["field", "allowedTypes"]),
+    check: (obj, { field, allowedTypes }) =>
+      checkFields(obj, [field], ({ path, value }) => {
+        const actualType = typeof value;
+        return !allowedTypes.includes(actualType)
+          ? violation(
+              "type",
+              path,
+              allowedTypes,
+              value,
+              `Field "${path}" has type "${actualType}" but must be one of [${allowedTypes.join(", ")}].`
+            )
+          : null;
+      }),
+  },
+
+  // ------------------------------------------------------------------
+  // 18. Error Messaging
+  {
+    name: "Error Messaging",
+    inputs: inputsObject({ errorField: { type: "string" }, messageContains: { type: "string" } }),
+    check: (obj, { errorField = "error", messageContains }) =>
+      checkFields(obj, [errorField], ({ path, value: errMsg }) => {
+        if (typeof errMsg !== "string") {
+          return violation("type", path, "string", errMsg, `Expected a string in "${path}" but got ${typeof errMsg}.`);
+        }
+        if (messageContains && !errMsg.includes(messageContains)) {
+          return violation(
+            "contains",
+            path,
+            `contains "${messageContains}"`,
+            errMsg,
+            `Error message does not contain: "${messageContains}". Actual: "${errMsg}"`
+          );
+        }
+        return null;
+      }),
+  },
+
+  // ------------------------------------------------------------------
+  // 19. Read-Only Fields
+  {
+    name: "Read-Only Fields",
+    inputs: fieldList,
+    check: (obj, inputs) =>
+      checkFields(obj, asList(inputs), ({ path, value, exists }) =>
+        exists
+          ? violation("read-only", path, "absent", value, `Read-only field "${path}" should not be present or changed.`)
+          : null
+      ),
+  },
+
+  // ------------------------------------------------------------------
+  // 20. Disallowed Pattern (documented as "Custom Validators")
+  {
+    name: "Disallowed Pattern",
+    aliases: ["Custom Validators"],
+    inputs: inputsObject({ field: { type: "string" }, disallowedPattern: { type: "string" } }, [
+      "field",
+      "disallowedPattern",
+    ]),
+    check(obj, { field, disallowedPattern }) {
+      const re = new RegExp(disallowedPattern);
+      return checkFields(obj, [field], ({ path, value }) =>
+        re.test(value || "")
+          ? violation(
+              "disallowed-pattern",
+              path,
+              `not matching ${disallowedPattern}`,
+              value,
+              `Field "${path}" has disallowed characters matching: ${disallowedPattern}`
+            )
+          : null
+      );
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // 21. Equals
+  // The whole body (or each match of `path`) must equal `expected` exactly:
+  // { expected: { id: 1, title: "hello" }, ignore: ["createdAt", "items[*].id"] }
+  // { file: "./expected/post.json", path: "data" }
+  {
+    name: "Equals",
+    inputs: expectationInputs,
+    arrayLevel: true,
+    check: (data, inputs, context) => compareExpected("equals", data, inputs, context, false),
+  },
+
+  // ------------------------------------------------------------------
+  // 22. Contains Subset
+  // Like Equals, but extra fields are allowed and expected array items may
+  // appear anywhere in the actual array
+  {
+    name: "Contains Subset",
+    inputs: expectationInputs,
+    arrayLevel: true,
+    check: (data, inputs, context) => compareExpected("subset", data, inputs, context, true),
+  },
+
+  // ------------------------------------------------------------------
+  // 23. Field Equals
+  // { field: "data.status", equals: "active" } — objects and arrays are compared deeply
+  {
+    name: "Field Equals",
+    inputs: inputsObject({ field: { type: "string" }, equals: true, ignore: fieldList }, ["field", "equals"]),
+    check: (obj, { field, equals, ignore }) =>
+      checkFields(obj, [field], ({ path, value, exists }) =>
+        exists
+          ? diffViolations("equals", path, equals, value, { ignore })
+          : violation("equals", path, equals, undefined, `Field "${path}" is missing.`)
+      ),
+  },
+
+  // ------------------------------------------------------------------
+  // 24. Snapshot
+  // The first run records the body (or the value at `path`) in
+  // __snapshots__/<suite>.snap.json; later runs must match it. `--update-snapshots`
+  // records it again. inputs (optional): { name, path, ignore }
+  {
+    name: "Snapshot",
+    inputs: {
+      anyOf: [
+        { type: "null" },
+        inputsObject({ name: { type: "string" }, path: { type: "string" }, ignore: fieldList }),
+      ],
+    },
+    arrayLevel: true,
+    check(data, inputs, context) {
+      const { name, path, ignore } = inputs ?? {};
+      if (!context.suiteFile) {
+        throw new Error("Snapshots can only be used in suites run from a file.");
+      }
+      const key = name ?? (path ? `${context.testCase} (${path})` : context.testCase);
+      let actual = data;
+      if (path) {
+        const [match] = resolvePath(data, path);
+        if (!match?.exists) {
+          const fieldPath = match?.path ?? path;
+          return [violation("snapshot", fieldPath, "present", undefined, `Field "${fieldPath}" is missing.`)];
+        }
+        actual = match.value;
+      }
+      const stored = readSnapshot(context.suiteFile, key);
+      if (!stored.exists || context.updateSnapshots) {
+        writeSnapshot(context.suiteFile, key, actual);
+        return [];
+      }
+      return diffViolations("snapshot", path ?? "$", stored.value, actual, { ignore });
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // Custom
+  // inputs: { path: "./my_check.cjs", ...rest } — the script exports
+  // validate(obj, rest) => { status: boolean, error: string }.
+  // Plugins (see assertion_registry.js) are the way to share assertions; this
+  // stays for existing suites.
+  {
+    name: "Custom",
+    // Everything besides `path` is passed to the script's validate function
+    inputs: { type: "object", properties: { path: { type: "string" } }, required: ["path"] },
+    async check(obj, inputs, context) {
+      const { path, ...rest } = inputs;
+      const failed = (message) => [violation("custom", "$", undefined, undefined, message)];
+      try {
+        const customModule = await importWithResolvedPath(path, context.baseDir);
+        if (typeof customModule.validate !== "function") {
+          return failed(`Custom script does not export a 'validate' function.`);
+        }
+
+        const result = customModule.validate(obj, rest);
+        if (!result || typeof result.status !== "boolean" || typeof result.error !== "string") {
+          return failed(`Custom script returned invalid structure. Must be { status: boolean, error: string }.`);
+        }
+        // If status is false, the test fails and we store the error message
+        return result.status ? [] : failed(result.error || "Custom assertion script failed.");
+      } catch (err) {
+        return failed(`Error running custom assertion script: ${err.message}`);
+      }
+    },
+  },
+
+  // ------------------------------------------------------------------
+  // Response-level assertions: checked against the HTTP response
+  // { status, statusText, headers, body, durationMs } rather than the body,
+  // so they run once regardless of the body's shape. Header names are
+  // matched case-insensitively.
+
+  // Status Code
+  // inputs: 200 | [200, 201] | "2xx" | "200-299" | { min: 200, max: 299 }
+  {
+    name: "Status Code",
+    target: "response",
+    inputs: statusSpec,
+    check: ({ status }, inputs) =>
+      matchesStatus(status, inputs)
+        ? []
+        : [
+            violation(
+              "status",
+              "status",
+              describeStatus(inputs),
+              status,
+              `Expected status ${describeStatus(inputs)} but got ${status}.`
+            ),
+          ],
+  },
+
+  // Header Present
+  // inputs: "X-Request-Id" | ["X-Request-Id", "ETag"]
+  {
+    name: "Header Present",
+    target: "response",
+    inputs: fieldList,
+    check: ({ headers }, inputs) =>
+      asList(inputs)
+        .filter((name) => getHeader(headers, name) === undefined)
+        .map((name) =>
+          violation("header-present", headerPath(name), "present", undefined, `Missing response header: "${name}".`)
+        ),
+  },
+
+  // Header Matches
+  // inputs: { header: "Cache-Control", pattern: "max-age=\d+" } or { header, equals }
+  {
+    name: "Header Matches",
+    target: "response",
+    inputs: inputsObject(
+      { header: { type: "string" }, pattern: { type: "string" }, equals: { type: ["string", "number", "boolean"] } },
+      ["header"]
+    ),
+    check({ headers }, { header, pattern, equals }) {
+      const value = getHeader(headers, header);
+      const path = headerPath(header);
+      if (value === undefined) {
+        return [violation("header-present", path, "present", undefined, `Missing response header: "${header}".`)];
+      }
+      const found = [];
+      if (equals !== undefined && value !== String(equals)) {
+        found.push(
+          violation(
+            "header-equals",
+            path,
+            String(equals),
+            value,
+            `Header "${header}" should equal "${equals}" but got "${value}".`
+          )
+        );
+      }
+      if (pattern && !new RegExp(pattern).test(value)) {
+        found.push(
+          violation(
+            "header-pattern",
+            path,
+            pattern,
+            value,
+            `Header "${header}" does not match pattern: ${pattern}. Actual: "${value}"`
+          )
+        );
+      }
+      return found;
+    },
+  },
+
+  // Content-Type
+  // inputs: "application/json" | { type: "application/json", charset: "utf-8" }
+  {
+    name: "Content-Type",
+    target: "response",
+    inputs: {
+      anyOf: [{ type: "string" }, inputsObject({ type: { type: "string" }, charset: { type: "string" } }, ["type"])],
+    },
+    check({ headers }, inputs) {
+      const { type, charset } = typeof inputs === "string" ? { type: inputs } : inputs;
+      const value = getHeader(headers, "content-type");
+      const path = headerPath("content-type");
+      if (value === undefined) {
+        return [
+          violation(
+            "content-type",
+            path,
+            type,
+            undefined,
+            `Response has no Content-Type header. Expected "${type}".`
+          ),
+        ];
+      }
+      const [mediaType, ...params] = value.split(";").map((part) => part.trim().toLowerCase());
+      const found = [];
+      if (type && mediaType !== String(type).toLowerCase()) {
+        found.push(violation("content-type", path, type, value, `Expected Content-Type "${type}" but got "${value}".`));
+      }
+      if (charset && !params.includes(`charset=${String(charset).toLowerCase()}`)) {
+        found.push(
+          violation(
+            "charset",
+            path,
+            `charset=${charset}`,
+            value,
+            `Expected charset "${charset}" in Content-Type but got "${value}".`
+          )
+        );
+      }
+      return found;
+    },
+  },
+
+  // Response Time Below
+  // inputs: 500 | { ms: 500 }
+  {
+    name: "Response Time Below",
+    target: "response",
+    inputs: { anyOf: [numberish, inputsObject({ ms: numberish }, ["ms"])] },
+    check({ durationMs }, inputs) {
+      const limit = typeof inputs === "number" ? inputs : inputs?.ms;
+      if (typeof limit !== "number") {
+        return [
+          violation(
+            "response-time",
+            "durationMs",
+            "a number of milliseconds",
+            inputs,
+            `"Response Time Below" needs a number of milliseconds.`
+          ),
+        ];
+      }
+      if (typeof durationMs !== "number") {
+        return [
+          violation(
+            "response-time",
+            "durationMs",
+            `< ${limit}`,
+            undefined,
+            "No response time was recorded for this request."
+          ),
+        ];
+      }
+      return durationMs >= limit
+        ? [
+            violation(
+              "response-time",
+              "durationMs",
+              `< ${limit}`,
+              Math.round(durationMs),
+              `Response took ${Math.round(durationMs)}ms, expected below ${limit}ms.`
+            ),
+          ]
+        : [];
+    },
+  },
+];
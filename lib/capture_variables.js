@@ -0,0 +1,96 @@
+import { resolvePath } from "./resolve_path.js";
+
+/**
+ * captureVariables - Pulls named values out of a response for later test cases.
+ *
+ * Each entry of the `capture` block is either a body path (shorthand) or an
+ * object with one source:
+ *
+ *   capture:
+ *     itemId: "data.id"                                   # body path
+ *     etag: { header: "ETag" }                            # response header
+ *     location: { header: "Location", regex: "/items/(\\d+)" }
+ *     code: { regex: "code=(\\w+)" }                      # regex over the raw body
+ *     status: { status: true }                            # the HTTP status
+ *     firstId: { path: "items[*].id", all: false }        # `all: true` keeps every match
+ *     cursor: { path: "meta.next", default: null }        # used when nothing matches
+ *
+ * `group` picks the regex capture group (default 1, or 0 without groups).
+ *
+ * @param {Record<string, string|object>} captureSpec
+ * @param {{ status: number, headers: object, body: * }} response
+ * @returns {{ values: Record<string, *>, errors: string[] }}
+ */
+export function captureVariables(captureSpec = {}, response) {
+  const values = {};
+  const errors = [];
+
+  for (const [name, rawSpec] of Object.entries(captureSpec)) {
+    const spec = typeof rawSpec === "string" ? { path: rawSpec } : rawSpec || {};
+
+    try {
+      const value = extract(spec, response);
+      if (value !== undefined) {
+        values[name] = value;
+      } else if (Object.prototype.hasOwnProperty.call(spec, "default")) {
+        values[name] = spec.default;
+      } else {
+        errors.push(`Could not capture "${name}": ${describe(spec)} did not match.`);
+      }
+    } catch (err) {
+      errors.push(`Could not capture "${name}": ${err.message}`);
+    }
+  }
+
+  return { values, errors };
+}
+
+function extract(spec, { status, headers = {}, body }) {
+  if (spec.status) {
+    return status;
+  }
+
+  let source;
+  if (spec.header) {
+    source = findHeader(headers, spec.header);
+  } else if (spec.path) {
+    const matches = resolvePath(body, spec.path).filter((match) => match.exists);
+    if (spec.all) {
+      source = matches.length > 0 ? matches.map((match) => match.value) : undefined;
+    } else {
+      source = matches[0]?.value;
+    }
+  } else if (spec.regex) {
+    source = typeof body === "string" ? body : JSON.stringify(body);
+  } else {
+    throw new Error(`expected one of "path", "header", "regex" or "status".`);
+  }
+
+  if (!spec.regex || source === undefined) {
+    return source;
+  }
+
+  const regex = new RegExp(spec.regex);
+  const match = String(source).match(regex);
+  if (!match) {
+    return undefined;
+  }
+  const group = spec.group ?? (match.length > 1 ? 1 : 0);
+  return match[group];
+}
+
+function findHeader(headers, name) {
+  const wanted = String(name).toLowerCase();
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === wanted);
+  return key === undefined ? undefined : headers[key];
+}
+
+function describe(spec) {
+  if (spec.header) {
+    return spec.regex ? `header "${spec.header}" with regex ${spec.regex}` : `header "${spec.header}"`;
+  }
+  if (spec.path) {
+    return spec.regex ? `path "${spec.path}" with regex ${spec.regex}` : `path "${spec.path}"`;
+  }
+  return `regex ${spec.regex}`;
+}
@@ -0,0 +1,115 @@
+import fs from "fs";
+import path from "path";
+
+// Matches .ibgrobot / .ibgroboot files, with or without a trailing .yaml/.yml
+export const SUITE_FILE_PATTERN = /\.ibgrobo?ot(\.ya?ml)?$/i;
+
+/**
+ * collectSuiteFiles - Expands the CLI arguments into a list of suite files.
+ *   - A plain file path is taken as-is (whatever its extension).
+ *   - A directory is searched recursively for .ibgrobot files.
+ *   - A glob (`*`, `**`, `?`) is matched against the files under its static prefix.
+ *
+ * @param {string[]} inputs - Files, directories or glob patterns
+ * @param {string} [cwd] - Directory relative inputs are resolved against
+ * @returns {string[]} Absolute, de-duplicated file paths in a stable order
+ */
+export function collectSuiteFiles(inputs, cwd = process.cwd()) {
+  const files = [];
+
+  for (const input of inputs) {
+    if (isGlob(input)) {
+      const { base, regex } = globToRegExp(path.resolve(cwd, input));
+      const matches = walk(base).filter((file) => regex.test(file));
+      if (matches.length === 0) {
+        throw new Error(`No files match pattern "${input}".`);
+      }
+      files.push(...matches);
+      continue;
+    }
+
+    const fullPath = path.resolve(cwd, input);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Path "${input}" does not exist.`);
+    }
+
+    if (fs.statSync(fullPath).isDirectory()) {
+      const matches = walk(fullPath).filter((file) => SUITE_FILE_PATTERN.test(file));
+      if (matches.length === 0) {
+        throw new Error(`No .ibgrobot files found in directory "${input}".`);
+      }
+      files.push(...matches);
+    } else {
+      files.push(fullPath);
+    }
+  }
+
+  return [...new Set(files)];
+}
+
+function isGlob(input) {
+  return /[*?]/.test(input);
+}
+
+/**
+ * globToRegExp - Converts an absolute glob into the directory to start walking
+ *   from plus a RegExp for the full file path.
+ *   `**` crosses directories, `*` and `?` stay within one path segment.
+ */
+function globToRegExp(pattern) {
+  const normalized = pattern.split(path.sep).join("/");
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex(isGlob);
+  const base = segments.slice(0, firstGlob).join("/") || "/";
+
+  let source = "";
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === "*" && normalized[i + 1] === "*") {
+      // "**/" also matches zero directories
+      if (normalized[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return { base, regex: new RegExp(`^${source}$`) };
+}
+
+/**
+ * walk - Lists every file under `dir`, sorted, skipping node_modules and dot-directories.
+ */
+function walk(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+  const entries = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === "node_modules" || entry.name.startsWith(".")) {
+        continue;
+      }
+      files.push(...walk(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath.split(path.sep).join("/"));
+    }
+  }
+
+  return files;
+}
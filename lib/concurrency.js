@@ -0,0 +1,41 @@
+/**
+ * createLimiter - Returns `limit(task)`, which runs `task` once fewer than
+ *   `concurrency` limited tasks are in flight. Tasks start in call order.
+ *
+ * @param {number} concurrency
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * mapConcurrent - Like `Promise.all(items.map(fn))`, with at most
+ *   `concurrency` calls in flight. Results keep the order of `items`.
+ */
+export function mapConcurrent(items, concurrency, fn) {
+  const limit = createLimiter(concurrency);
+  return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
@@ -0,0 +1,187 @@
+import chalk from "chalk";
+import { TEST_STATUS, summarizeResults } from "./test_result.js";
+
+const MARKS = {
+  [TEST_STATUS.PASSED]: chalk.green("✔"),
+  [TEST_STATUS.FAILED]: chalk.red("✘"),
+  [TEST_STATUS.ERROR]: chalk.red("!"),
+  [TEST_STATUS.SKIPPED]: chalk.yellow("-"),
+};
+
+/**
+ * renderConsoleReport - A concise summary for the terminal: per suite, one line
+ *   per test case, with the failed assertions (one line per violation) or the
+ *   error under it.
+ *
+ * @param {Array<SuiteResult>} suites
+ * @returns {string}
+ */
+export function renderConsoleReport(suites) {
+  return suites.map(renderSuite).join("\n");
+}
+
+function renderSuite(suite) {
+  const stats = summarizeResults(suite.testResults);
+  const lines = [chalk.bold(suite.name ?? suite.file)];
+
+  for (const tc of suite.testResults) {
+    const attempts = tc.attempts?.length > 1 ? `, ${tc.attempts.length} attempts` : "";
+    const timing = tc.status === TEST_STATUS.SKIPPED ? "" : chalk.gray(` (${Math.round(tc.durationMs)}ms${attempts})`);
+    lines.push(`  ${MARKS[tc.status]} ${tc.testCase}${timing}`);
+
+    if (tc.status === TEST_STATUS.ERROR) {
+      lines.push(chalk.red(`      ${tc.error.message}`));
+    } else if (tc.status === TEST_STATUS.SKIPPED) {
+      lines.push(chalk.gray(`      ${tc.skipReason}`));
+    }
+    for (const a of tc.assertions.filter((a) => !a.passed)) {
+      // Several violations get a line each instead of the one-line summary
+      const violations = a.violations ?? [];
+      if (violations.length > 1) {
+        lines.push(chalk.red(`      ${a.assertion}: ${violations.length} violations`));
+        for (const v of violations) {
+          lines.push(chalk.red(`        - ${v.path}: ${v.message}`));
+        }
+      } else {
+        lines.push(chalk.red(`      ${a.assertion}: ${a.message}`));
+      }
+    }
+  }
+
+  lines.push(
+    `  ${stats.passed} passed, ${stats.failed} failed, ${stats.errored} errored, ${stats.skipped} skipped`
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * renderWatchRun - One `watch` run of a suite: its counts, then what changed
+ *   since its previous run (see diffSuiteRuns): each test case whose status
+ *   changed, with the assertions that started or stopped passing under it.
+ *   A suite's first run lists the test cases that did not pass instead.
+ *
+ * @param {SuiteResult} suite
+ * @param {object[]|null} changes - From diffSuiteRuns; null on the first run
+ * @returns {string}
+ */
+export function renderWatchRun(suite, changes) {
+  const stats = summarizeResults(suite.testResults);
+  const counts = `${stats.passed} passed, ${stats.failed} failed, ${stats.errored} errored, ${stats.skipped} skipped`;
+  const lines = [
+    `${chalk.gray(`[${formatClockTime(suite.startedAt)}]`)} ${chalk.bold(suite.name ?? suite.file)}  ` +
+      (stats.failed + stats.errored > 0 ? chalk.red(counts) : chalk.green(counts)) +
+      chalk.gray(` (${Math.round(suite.durationMs)}ms)`),
+  ];
+
+  if (changes === null) {
+    for (const tc of suite.testResults.filter(isFailing)) {
+      lines.push(`  ${MARKS[tc.status]} ${tc.testCase}`, ...failureLines(tc));
+    }
+  } else if (changes.length === 0) {
+    lines.push(chalk.gray("  No status changes since the previous run."));
+  }
+  for (const change of changes ?? []) {
+    if (change.after === null) {
+      lines.push(`  ${chalk.gray("-")} ${change.testCase} ${chalk.gray("(removed)")}`);
+      continue;
+    }
+    if (change.before === null) {
+      lines.push(`  ${chalk.cyan("+")} ${change.testCase}: ${MARKS[change.after]} ${change.after}`);
+      lines.push(...(isFailing(change.result) ? failureLines(change.result) : []));
+      continue;
+    }
+    const status = change.before === change.after ? change.after : `${change.before} → ${change.after}`;
+    lines.push(`  ${MARKS[change.after]} ${change.testCase}: ${status}`);
+    for (const a of change.assertions) {
+      const message = a.after === false ? chalk.red(`  ${a.message}`) : "";
+      lines.push(`      ${a.assertion}: ${passLabel(a.before)} → ${passLabel(a.after)}${message}`);
+    }
+    if (change.after === TEST_STATUS.ERROR) {
+      lines.push(chalk.red(`      ${change.result.error.message}`));
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function isFailing(tc) {
+  return tc.status === TEST_STATUS.FAILED || tc.status === TEST_STATUS.ERROR;
+}
+
+// The error, or one line per failed assertion
+function failureLines(tc) {
+  if (tc.error) {
+    return [chalk.red(`      ${tc.error.message}`)];
+  }
+  return tc.assertions.filter((a) => !a.passed).map((a) => chalk.red(`      ${a.assertion}: ${a.message}`));
+}
+
+function passLabel(passed) {
+  if (passed === null) {
+    return "absent";
+  }
+  return passed ? chalk.green("pass") : chalk.red("fail");
+}
+
+/**
+ * renderHistoryReport - The `history` command's output: the pass rate of the
+ *   latest runs, then the newly failing, fixed and flaky test cases.
+ *
+ * @param {object} history - Result of analyzeHistory
+ * @param {object} [options]
+ * @param {number} [options.runs] - How many runs the trend shows (default 10)
+ * @returns {string}
+ */
+export function renderHistoryReport(history, { runs = 10 } = {}) {
+  const lines = [chalk.bold("Pass rate, latest runs first")];
+  for (const run of history.trend.slice(-runs).reverse()) {
+    const rate = run.passRate === null ? "  —" : `${Math.round(run.passRate * 100)}%`.padStart(4);
+    const environment = run.environment ? chalk.gray(` [${run.environment}]`) : "";
+    lines.push(
+      `  ${formatRunTime(run.startedAt)}  ${rate}  ${passRateBar(run.passRate)}  ` +
+        `${run.passed}/${run.total - run.skipped} passed${run.skipped > 0 ? `, ${run.skipped} skipped` : ""}${environment}`
+    );
+  }
+
+  const caseName = (entry) => `${chalk.gray(`${entry.suite} ›`)} ${entry.testCase}`;
+  lines.push("", chalk.bold(`Newly failing since the previous run (${history.newlyFailing.length})`));
+  for (const entry of history.newlyFailing) {
+    const assertions = entry.failedAssertions.length > 0 ? chalk.red(`  ${entry.failedAssertions.join(", ")}`) : "";
+    lines.push(`  ${MARKS[entry.status]} ${caseName(entry)}${assertions}`);
+  }
+  lines.push("", chalk.bold(`Fixed since the previous run (${history.fixed.length})`));
+  for (const entry of history.fixed) {
+    lines.push(`  ${MARKS[TEST_STATUS.PASSED]} ${caseName(entry)}`);
+  }
+  lines.push("", chalk.bold(`Flaky (${history.flaky.length})`));
+  for (const entry of history.flaky) {
+    const assertions = entry.failingAssertions.map(({ assertion, count }) => `${assertion} ×${count}`).join(", ");
+    lines.push(
+      `  ${chalk.yellow("~")} ${caseName(entry)}  ` +
+        chalk.gray(`${entry.flips} flips in ${entry.runs} runs, ${Math.round(entry.passRate * 100)}% passed`) +
+        (assertions ? chalk.red(`; fails on ${assertions}`) : "")
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function passRateBar(passRate, width = 20) {
+  if (passRate === null) {
+    return chalk.gray("·".repeat(width));
+  }
+  const filled = Math.round(passRate * width);
+  return chalk.green("█".repeat(filled)) + chalk.red("░".repeat(width - filled));
+}
+
+// Local time, to the minute: 2024-01-01 09:30
+function formatRunTime(isoTime) {
+  const date = new Date(isoTime);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Local time of day: 09:30:05
+function formatClockTime(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
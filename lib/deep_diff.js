@@ -0,0 +1,164 @@
+import { parsePath, formatPath } from "./resolve_path.js";
+
+/**
+ * deep_diff.js
+ * ------------
+ * Structural comparison of an expected value with an actual one, used by the
+ * "Equals", "Contains Subset", "Field Equals" and "Snapshot" assertions.
+ *
+ *   - exact mode: both values must have the same shape, the same keys and the
+ *     same array lengths
+ *   - subset mode: every key of an expected object must be in the actual one
+ *     (extra keys are fine), and every item of an expected array must match a
+ *     different item of the actual array, in any order
+ *
+ * `ignore` lists paths that are not compared, relative to the compared values:
+ * "id", "data.createdAt", "items[*].id", and "**" for any depth ("**.updatedAt").
+ */
+
+/**
+ * diffValues - Every difference between `expected` and `actual`.
+ * @param {*} expected
+ * @param {*} actual
+ * @param {object} [options]
+ * @param {boolean} [options.subset] - Only what `expected` has must be in `actual`
+ * @param {string|string[]} [options.ignore] - Paths to leave out
+ * @returns {Array<{ kind: "changed"|"missing"|"unexpected"|"no-match", segments: Array<string|number>, expected: *, actual: * }>}
+ *   `segments` locate the difference from the root of the compared values.
+ */
+export function diffValues(expected, actual, { subset = false, ignore = [] } = {}) {
+  const patterns = (Array.isArray(ignore) ? ignore : [ignore]).map((pattern) => parsePath(pattern));
+  const differences = [];
+  compare(expected, actual, [], { subset, patterns }, differences);
+  return differences;
+}
+
+/**
+ * describeDifference - A one-line description of a difference, e.g.
+ *   'Field "data.name" should be "Ann" but got "Bob".'
+ * @param {object} difference - From diffValues
+ * @param {string} [basePath] - Path of the compared values in the response ("$" for the body)
+ */
+export function describeDifference({ kind, segments, expected, actual }, basePath = "$") {
+  const path = formatPath([...parsePath(basePath), ...segments]);
+  switch (kind) {
+    case "missing":
+      return `Field "${path}" is missing; expected ${formatValue(expected)}.`;
+    case "unexpected":
+      return `Field "${path}" is not expected; got ${formatValue(actual)}.`;
+    case "no-match":
+      return `Array "${path}" has no item matching ${formatValue(expected)}.`;
+    default:
+      return `Field "${path}" should be ${formatValue(expected)} but got ${formatValue(actual)}.`;
+  }
+}
+
+function compare(expected, actual, segments, options, differences) {
+  if (isIgnored(segments, options.patterns)) {
+    return;
+  }
+
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    for (const key of Object.keys(expected)) {
+      if (!Object.prototype.hasOwnProperty.call(actual, key)) {
+        if (!isIgnored([...segments, key], options.patterns)) {
+          differences.push({ kind: "missing", segments: [...segments, key], expected: expected[key], actual: undefined });
+        }
+        continue;
+      }
+      compare(expected[key], actual[key], [...segments, key], options, differences);
+    }
+    if (!options.subset) {
+      for (const key of Object.keys(actual)) {
+        if (!Object.prototype.hasOwnProperty.call(expected, key) && !isIgnored([...segments, key], options.patterns)) {
+          differences.push({ kind: "unexpected", segments: [...segments, key], expected: undefined, actual: actual[key] });
+        }
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    if (options.subset) {
+      compareSubsetArray(expected, actual, segments, options, differences);
+      return;
+    }
+    for (let i = 0; i < Math.max(expected.length, actual.length); i += 1) {
+      const itemSegments = [...segments, i];
+      if (i >= actual.length) {
+        if (!isIgnored(itemSegments, options.patterns)) {
+          differences.push({ kind: "missing", segments: itemSegments, expected: expected[i], actual: undefined });
+        }
+      } else if (i >= expected.length) {
+        if (!isIgnored(itemSegments, options.patterns)) {
+          differences.push({ kind: "unexpected", segments: itemSegments, expected: undefined, actual: actual[i] });
+        }
+      } else {
+        compare(expected[i], actual[i], itemSegments, options, differences);
+      }
+    }
+    return;
+  }
+
+  if (expected !== actual && !(Number.isNaN(expected) && Number.isNaN(actual))) {
+    differences.push({ kind: "changed", segments, expected, actual });
+  }
+}
+
+// Each expected item must match its own actual item; the first unused match wins
+function compareSubsetArray(expected, actual, segments, options, differences) {
+  const used = new Set();
+  for (const item of expected) {
+    const index = actual.findIndex((candidate, i) => {
+      if (used.has(i)) {
+        return false;
+      }
+      const found = [];
+      compare(item, candidate, [...segments, i], options, found);
+      return found.length === 0;
+    });
+    if (index === -1) {
+      differences.push({ kind: "no-match", segments, expected: item, actual });
+    } else {
+      used.add(index);
+    }
+  }
+}
+
+function isIgnored(segments, patterns) {
+  return patterns.some((pattern) => matchesPattern(pattern, 0, segments, 0));
+}
+
+// "*" matches one segment, "**" any number of them (including none)
+function matchesPattern(pattern, p, segments, s) {
+  if (p === pattern.length) {
+    return s === segments.length;
+  }
+  if (pattern[p] === "**") {
+    for (let next = s; next <= segments.length; next += 1) {
+      if (matchesPattern(pattern, p + 1, segments, next)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  if (s === segments.length) {
+    return false;
+  }
+  if (pattern[p] !== "*" && String(pattern[p]) !== String(segments[s])) {
+    return false;
+  }
+  return matchesPattern(pattern, p + 1, segments, s + 1);
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return "undefined";
+  }
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
@@ -0,0 +1,228 @@
+import fs from "fs";
+import path from "path";
+import { isSecretName, registerSecret, MIN_SECRET_LENGTH } from "./redact.js";
+
+// ${NAME} or ${NAME:-default}; $${NAME} is left as a literal ${NAME}
+const ENV_PLACEHOLDER = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+// {{ env.NAME }}, read at request time (see interpolate.js)
+const ENV_VARIABLE = /\{\{\s*env\.([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Booleans and numbers are settings rather than credentials
+const NOT_A_SECRET = /^(true|false|yes|no|on|off|null|[-+]?\d+(\.\d+)?)$/i;
+
+/**
+ * parseDotEnv - Parses the contents of a .env file.
+ *   Supports `KEY=value`, `export KEY=value`, single/double quoted values
+ *   (double quotes understand \n) and `#` comments.
+ *
+ * @param {string} content
+ * @returns {Record<string, string>}
+ */
+export function parseDotEnv(content) {
+  const result = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const [, key, rawValue] = match;
+    let value = rawValue;
+    if (/^"(.*)"$/.test(value)) {
+      value = value.slice(1, -1).replace(/\\n/g, "\n").replace(/\\"/g, '"');
+    } else if (/^'(.*)'$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, "");
+    }
+    result[key] = value;
+  }
+
+  return result;
+}
+
+/**
+ * substituteEnv - Replaces `${NAME}` / `${NAME:-default}` in every string of
+ *   `value` (deeply) with entries of `env`.
+ *
+ * @throws {Error} When a variable is not set and has no default
+ */
+export function substituteEnv(value, env) {
+  if (typeof value === "string") {
+    return value.replace(ENV_PLACEHOLDER, (whole, escaped, name, fallback) => {
+      if (escaped) {
+        return whole.slice(1);
+      }
+      if (env[name] !== undefined && env[name] !== "") {
+        return env[name];
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      throw new Error(`Environment variable "${name}" is not set.`);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => substituteEnv(item, env));
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = substituteEnv(item, env);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * resolveEnvironment - Works out the environment a suite runs in.
+ *
+ *   - The named profile is looked up in the project config's `environments`
+ *     and in the suite's own `environments` (the suite wins key by key).
+ *   - .env files are read in this order, earlier files winning: `--env-file`
+ *     files, the profile's `env_file`, `.env` next to the suite, `.env` in the
+ *     working directory. Real process environment variables win over all of them.
+ *   - `secrets` collects the names the profile and suite declare as secret;
+ *     pass the result to registerSecrets to mask them.
+ *
+ * @param {object} params
+ * @param {string} [params.name] - Profile name (`--env`)
+ * @param {object} [params.suiteEnvironments] - The suite's `environments` block
+ * @param {string[]} [params.suiteSecrets] - The suite's `secrets` list
+ * @param {string} params.suiteBaseDir
+ * @param {object} [params.projectConfig] - { config, baseDir } from loadProjectConfig
+ * @param {string[]} [params.envFiles] - Extra .env files (`--env-file`)
+ * @returns {{ env: Record<string, string>, variables: object, secrets: string[] }}
+ */
+export function resolveEnvironment({
+  name,
+  suiteEnvironments = {},
+  suiteSecrets = [],
+  suiteBaseDir,
+  projectConfig = { config: {}, baseDir: process.cwd() },
+  envFiles = [],
+}) {
+  const projectProfile = name ? projectConfig.config.environments?.[name] : undefined;
+  const suiteProfile = name ? suiteEnvironments?.[name] : undefined;
+
+  if (name && !projectProfile && !suiteProfile) {
+    throw new Error(`Unknown environment "${name}".`);
+  }
+
+  const explicitFiles = [
+    ...envFiles.map((file) => path.resolve(file)),
+    ...toList(suiteProfile?.env_file).map((file) => path.resolve(suiteBaseDir, file)),
+    ...toList(projectProfile?.env_file).map((file) => path.resolve(projectConfig.baseDir, file)),
+  ];
+  for (const file of explicitFiles) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Env file "${file}" does not exist.`);
+    }
+  }
+
+  const files = [
+    ...explicitFiles,
+    path.join(suiteBaseDir, ".env"),
+    path.join(process.cwd(), ".env"),
+  ];
+
+  // Applied last-to-first so that earlier files win
+  const fileEnv = {};
+  for (const file of [...new Set(files)].reverse()) {
+    if (fs.existsSync(file)) {
+      Object.assign(fileEnv, parseDotEnv(fs.readFileSync(file, "utf8")));
+    }
+  }
+  const env = { ...fileEnv, ...definedOnly(process.env) };
+
+  const profile = substituteEnv(
+    {
+      variables: { ...projectProfile?.variables, ...suiteProfile?.variables },
+      secrets: [...toList(projectProfile?.secrets), ...toList(suiteProfile?.secrets)],
+    },
+    env
+  );
+
+  const secrets = [...new Set([...profile.secrets, ...toList(suiteSecrets)])];
+  return { env, variables: profile.variables, secrets };
+}
+
+/**
+ * envReferences - The names of the environment variables `value` uses
+ *   (deeply), as `${NAME}` or `{{ env.NAME }}`.
+ * @returns {Set<string>}
+ */
+export function envReferences(value, names = new Set()) {
+  if (typeof value === "string") {
+    for (const [, escaped, name] of value.matchAll(ENV_PLACEHOLDER)) {
+      if (!escaped) {
+        names.add(name);
+      }
+    }
+    for (const [, name] of value.matchAll(ENV_VARIABLE)) {
+      names.add(name);
+    }
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => envReferences(item, names));
+  }
+  return names;
+}
+
+/**
+ * registerSecrets - Registers the values of declared variables for masking:
+ *   variables listed in `secrets` or whose name looks like a credential, and
+ *   likewise the environment variables the suite uses. Other environment
+ *   variables are not the suite's and are left alone, whatever their name.
+ *   Booleans, numbers and values shorter than MIN_SECRET_LENGTH are never
+ *   registered, as masking them would garble unrelated output.
+ *
+ * @param {object} params
+ * @param {Record<string, string>} params.env - From resolveEnvironment
+ * @param {object} params.variables - The suite's variables, profile included
+ * @param {string[]} params.secrets - Names listed as secret
+ * @param {Iterable<string>} [params.referenced] - Environment variables the suite uses (see envReferences)
+ */
+export function registerSecrets({ env, variables, secrets, referenced = [] }) {
+  const listed = new Set(secrets);
+  const used = new Set(referenced);
+  const declaredEnv = Object.entries(env).filter(([key]) => listed.has(key) || used.has(key));
+
+  for (const [key, value] of [...Object.entries(variables), ...declaredEnv]) {
+    if ((listed.has(key) || isSecretName(key)) && looksLikeSecret(value)) {
+      registerSecret(value);
+    }
+  }
+}
+
+function looksLikeSecret(value) {
+  if (typeof value !== "string") {
+    return false;
+  }
+  const text = value.trim();
+  return text.length >= MIN_SECRET_LENGTH && !NOT_A_SECRET.test(text);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function definedOnly(source) {
+  const result = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import { interpolate } from "./interpolate.js";
+
+/**
+ * expandDataCases - Turns every test case with a `data` and/or `matrix` block
+ *   into one test case per row. Test cases without them are returned as they are.
+ *
+ *   data:                               # inline rows
+ *     - { name: "alice", status: 201 }
+ *     - { name: "", status: 400 }
+ *   data: "./users.csv"                 # or a CSV file (header row = names)
+ *   data: { file: "./users.json" }      # or a JSON file holding an array of objects
+ *   matrix:                             # every combination of the listed values
+ *     role: [admin, viewer]
+ *     method: [GET, POST]
+ *
+ *   With both, every data row is combined with every matrix combination.
+ *   A row's values are available to `{{name}}` placeholders of that test case
+ *   only, ahead of the suite's variables. The description gets the row's
+ *   placeholders filled in, or the row appended when it has none.
+ *
+ * @param {Array<object>} testCases
+ * @param {string} baseDir - Relative data files resolve against it
+ * @returns {Array<object>}
+ * @throws {Error} On a missing or malformed data file, or an empty matrix
+ */
+export function expandDataCases(testCases, baseDir) {
+  return testCases.flatMap((testCase) => {
+    if (testCase.data === undefined && testCase.matrix === undefined) {
+      return [testCase];
+    }
+
+    const { data, matrix, ...template } = testCase;
+    const label = testCase.description ?? "Test case";
+    let rows;
+    try {
+      rows = combine(data === undefined ? [{}] : loadRows(data, baseDir), expandMatrix(matrix));
+    } catch (err) {
+      throw new Error(`Test case "${label}": ${err.message}`);
+    }
+
+    return rows.map((row, index) => ({
+      ...template,
+      description: describeRow(label, row, index),
+      data_row: row,
+    }));
+  });
+}
+
+function loadRows(data, baseDir) {
+  if (Array.isArray(data)) {
+    return data.map((row, index) => checkRow(row, index));
+  }
+
+  const file = typeof data === "string" ? data : data?.file;
+  if (typeof file !== "string") {
+    throw new Error(`"data" must be a list of rows, a file path or { file }.`);
+  }
+
+  const fullPath = path.resolve(baseDir, file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Data file "${file}" does not exist.`);
+  }
+  const content = fs.readFileSync(fullPath, "utf8");
+
+  if (path.extname(fullPath).toLowerCase() === ".csv") {
+    return parseCsv(content, file);
+  }
+
+  const parsed = JSON.parse(content);
+  if (!Array.isArray(parsed)) {
+    throw new Error(`Data file "${file}" must hold a JSON array of objects.`);
+  }
+  return parsed.map((row, index) => checkRow(row, index));
+}
+
+function checkRow(row, index) {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    throw new Error(`Data row ${index + 1} is not an object.`);
+  }
+  return row;
+}
+
+function expandMatrix(matrix) {
+  if (matrix === undefined) {
+    return [{}];
+  }
+  let combinations = [{}];
+  for (const [name, values] of Object.entries(matrix)) {
+    const list = Array.isArray(values) ? values : [values];
+    if (list.length === 0) {
+      throw new Error(`matrix "${name}" has no values.`);
+    }
+    combinations = combinations.flatMap((combination) =>
+      list.map((value) => ({ ...combination, [name]: value }))
+    );
+  }
+  return combinations;
+}
+
+function combine(rows, combinations) {
+  return rows.flatMap((row) => combinations.map((combination) => ({ ...row, ...combination })));
+}
+
+function describeRow(description, row, index) {
+  const filled = interpolate(description, row, { strict: false });
+  if (filled !== description) {
+    return filled;
+  }
+  const values = Object.entries(row).map(([name, value]) => `${name}=${formatValue(value)}`);
+  return `${description} [${values.length > 0 ? values.join(", ") : `#${index + 1}`}]`;
+}
+
+function formatValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * parseCsv - RFC 4180 CSV: the first line holds the column names, fields may be
+ *   quoted ("a, b" and "say ""hi"""). Numbers, true/false and null are converted;
+ *   everything else stays a string.
+ */
+function parseCsv(content, file) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const text = content.replace(/^\uFEFF/, "");
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Data file "${file}" has an unterminated quoted field.`);
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...lines] = records.filter((line) => line.some((value) => value !== ""));
+  if (!header) {
+    throw new Error(`Data file "${file}" is empty.`);
+  }
+
+  return lines.map((line, index) => {
+    if (line.length !== header.length) {
+      throw new Error(
+        `Data file "${file}" row ${index + 2} has ${line.length} field(s), expected ${header.length}.`
+      );
+    }
+    return Object.fromEntries(header.map((name, column) => [name.trim(), convertCsvValue(line[column])]));
+  });
+}
+
+function convertCsvValue(value) {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (value === "null") {
+    return null;
+  }
+  // Only canonical numbers, so "007" or "1e3" stay strings
+  if (value !== "" && String(Number(value)) === value) {
+    return Number(value);
+  }
+  return value;
+}
@@ -0,0 +1,233 @@
+import fs from "fs";
+import path from "path";
+import { TEST_STATUS, summarizeResults } from "./test_result.js";
+
+/**
+ * history.js
+ * ----------
+ * The run history: one JSON line per `run`, appended to
+ * `.ibgroboot/history.jsonl` in the project folder (or the `history.file` of
+ * the project config, or `--history <file>`).
+ *
+ *   { startedAt, finishedAt, durationMs, environment, summary,
+ *     cases: [{ suite, file, testCase, status, durationMs, assertions: [{ assertion, passed }] }] }
+ *
+ * The store is local state, kept out of git (see .gitignore); CI can carry it
+ * between runs as a cache. `file` is relative to the store's folder, so the
+ * store stays valid whatever folder `run` is started from, or when it is moved.
+ * Suites with `save_to_history: false` are left out.
+ * analyzeHistory derives pass-rate trends, newly failing and flaky test cases
+ * from it, for the `history` command and the HTML report.
+ */
+
+export const DEFAULT_HISTORY_FILE = ".ibgroboot/history.jsonl";
+
+// Oldest runs are dropped beyond this many, unless history.max_runs says otherwise
+const DEFAULT_MAX_RUNS = 500;
+
+// Runs looked at when deciding whether a test case is flaky
+const DEFAULT_FLAKY_WINDOW = 20;
+
+/**
+ * resolveHistorySettings - Where the history is kept and how many runs it holds.
+ * @param {string} [historyFile] - `--history <file>`, relative to the working directory
+ * @param {object} projectConfig - Result of loadProjectConfig
+ * @returns {{ file: string, maxRuns: number }}
+ */
+export function resolveHistorySettings(historyFile, projectConfig) {
+  const settings = projectConfig.config.history ?? {};
+  const file = historyFile
+    ? path.resolve(historyFile)
+    : path.resolve(projectConfig.baseDir, settings.file ?? DEFAULT_HISTORY_FILE);
+  const maxRuns = Number(settings.max_runs ?? DEFAULT_MAX_RUNS);
+  if (!Number.isInteger(maxRuns) || maxRuns < 1) {
+    throw new Error(`history.max_runs must be a whole number of at least 1, got "${settings.max_runs}".`);
+  }
+  return { file, maxRuns };
+}
+
+/**
+ * buildHistoryRecord - The history entry of a run.
+ * @param {Array<SuiteResult>} suites - Only the suites to keep (see save_to_history)
+ * @param {object} run
+ * @param {Date} run.startedAt
+ * @param {string} [run.environment]
+ * @param {string} run.baseDir - Suite files are stored relative to it
+ * @returns {object}
+ */
+export function buildHistoryRecord(suites, { startedAt, environment, baseDir }) {
+  const finishedAt = new Date();
+  const cases = suites.flatMap((suite) =>
+    suite.testResults.map((tc) => ({
+      suite: suite.name ?? path.basename(suite.file),
+      file: path.relative(baseDir, suite.file).split(path.sep).join("/"),
+      testCase: tc.testCase,
+      status: tc.status,
+      durationMs: Math.round(tc.durationMs ?? 0),
+      assertions: tc.assertions.map(({ assertion, passed }) => ({ assertion, passed })),
+    }))
+  );
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    environment: environment ?? null,
+    summary: roundDuration(summarizeResults(suites.flatMap((suite) => suite.testResults))),
+    cases,
+  };
+}
+
+/**
+ * appendHistory - Adds a run to the store, dropping the oldest runs beyond `maxRuns`.
+ */
+export function appendHistory(file, record, { maxRuns = DEFAULT_MAX_RUNS } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const runs = readHistory(file);
+  if (runs.length + 1 > maxRuns) {
+    const kept = [...runs.slice(runs.length + 1 - maxRuns), record];
+    fs.writeFileSync(file, kept.map((run) => `${JSON.stringify(run)}\n`).join(""), "utf8");
+  } else {
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`, "utf8");
+  }
+}
+
+/**
+ * readHistory - Every run in the store, oldest first. Lines that are not valid
+ *   JSON (e.g. a run cut off while being written) are skipped.
+ * @returns {object[]}
+ */
+export function readHistory(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const runs = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (line.trim() === "") {
+      continue;
+    }
+    try {
+      runs.push(JSON.parse(line));
+    } catch {
+      // Skip the damaged line and keep the rest of the history
+    }
+  }
+  return runs;
+}
+
+/**
+ * analyzeHistory - Trends over the stored runs.
+ *
+ *   - trend: per run, its counts and pass rate (passed out of the cases that
+ *     ran, skipped ones aside)
+ *   - newlyFailing: test cases that failed or errored in the latest run but
+ *     passed the last time they ran before it; `fixed` is the reverse
+ *   - flaky: test cases that flipped between passing and failing at least
+ *     twice in the last `window` runs they took part in, most flips first
+ *
+ * @param {object[]} runs - From readHistory, oldest first
+ * @param {object} [options]
+ * @param {number} [options.window] - Runs considered for flakiness (default 20)
+ * @returns {{ trend: object[], newlyFailing: object[], fixed: object[], flaky: object[] }}
+ */
+export function analyzeHistory(runs, { window = DEFAULT_FLAKY_WINDOW } = {}) {
+  const trend = runs.map((run) => {
+    const { total, passed, failed, errored, skipped } = run.summary;
+    const ran = total - skipped;
+    return {
+      startedAt: run.startedAt,
+      environment: run.environment,
+      total,
+      passed,
+      failed,
+      errored,
+      skipped,
+      durationMs: run.durationMs,
+      passRate: ran > 0 ? passed / ran : null,
+    };
+  });
+
+  // Every case's outcomes, oldest first, skipping the runs where it did not run
+  const outcomes = new Map();
+  runs.forEach((run, runIndex) => {
+    for (const entry of run.cases) {
+      if (entry.status === TEST_STATUS.SKIPPED) {
+        continue;
+      }
+      const key = caseKey(entry);
+      if (!outcomes.has(key)) {
+        outcomes.set(key, { suite: entry.suite, file: entry.file, testCase: entry.testCase, results: [] });
+      }
+      outcomes.get(key).results.push({ runIndex, ...entry });
+    }
+  });
+
+  const latestIndex = runs.length - 1;
+  const newlyFailing = [];
+  const fixed = [];
+  const flaky = [];
+  for (const { results, ...identity } of outcomes.values()) {
+    const latest = results[results.length - 1];
+    const previous = results[results.length - 2];
+    if (latest.runIndex === latestIndex && previous) {
+      if (isFailure(latest.status) && previous.status === TEST_STATUS.PASSED) {
+        newlyFailing.push({
+          ...identity,
+          status: latest.status,
+          lastPassedAt: runs[previous.runIndex].startedAt,
+          failedAssertions: latest.assertions.filter((a) => !a.passed).map((a) => a.assertion),
+        });
+      } else if (latest.status === TEST_STATUS.PASSED && isFailure(previous.status)) {
+        fixed.push({ ...identity, lastFailedAt: runs[previous.runIndex].startedAt });
+      }
+    }
+
+    const recent = results.slice(-window);
+    let flips = 0;
+    for (let i = 1; i < recent.length; i += 1) {
+      if (isFailure(recent[i].status) !== isFailure(recent[i - 1].status)) {
+        flips += 1;
+      }
+    }
+    if (flips >= 2) {
+      const failures = recent.filter((result) => isFailure(result.status));
+      flaky.push({
+        ...identity,
+        runs: recent.length,
+        flips,
+        passRate: (recent.length - failures.length) / recent.length,
+        // Which assertions the failing runs tripped, most often first
+        failingAssertions: countAssertions(failures),
+        averageDurationMs: Math.round(recent.reduce((sum, result) => sum + result.durationMs, 0) / recent.length),
+      });
+    }
+  }
+  flaky.sort((a, b) => b.flips - a.flips || a.passRate - b.passRate);
+
+  return { trend, newlyFailing, fixed, flaky };
+}
+
+function countAssertions(results) {
+  const counts = new Map();
+  for (const result of results) {
+    for (const { assertion, passed } of result.assertions) {
+      if (!passed) {
+        counts.set(assertion, (counts.get(assertion) ?? 0) + 1);
+      }
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([assertion, count]) => ({ assertion, count }));
+}
+
+function isFailure(status) {
+  return status === TEST_STATUS.FAILED || status === TEST_STATUS.ERROR;
+}
+
+function caseKey({ file, testCase }) {
+  return `${file}\u0000${testCase}`;
+}
+
+function roundDuration(summary) {
+  return { ...summary, durationMs: Math.round(summary.durationMs) };
+}
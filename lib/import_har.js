@@ -0,0 +1,192 @@
+import { isSecretName } from "./redact.js";
+import {
+  starterAssertions,
+  fromExampleBody,
+  parseJson,
+  isJsonMediaType,
+  mediaTypeOf,
+  uniqueName,
+  envName,
+} from "./starter_assertions.js";
+
+// Recorded requests that are page assets rather than API calls
+const ASSET_PATTERN = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|webm|mp3)$/i;
+
+// Headers the browser or HTTP client sets by itself
+const SKIPPED_HEADERS = new Set([
+  "host",
+  "connection",
+  "keep-alive",
+  "content-length",
+  "transfer-encoding",
+  "upgrade",
+  "te",
+  "trailer",
+  "proxy-connection",
+  "accept-encoding",
+  "cookie",
+  "user-agent",
+  "referer",
+  "origin",
+  "priority",
+  "cache-control",
+  "pragma",
+]);
+
+/**
+ * importHar - Turns a browser HAR recording into suites, one per host, with a
+ *   test case per recorded API call (static assets and failed requests are
+ *   skipped).
+ *
+ *   Credentials are not copied into the suites: an Authorization header
+ *   becomes an `auth` block and other credential-looking headers (see
+ *   isSecretName) become ${ENV} placeholders. Cookies are dropped. The
+ *   recorded status, content type and JSON body give the starter assertions.
+ *
+ * @param {object} har - The parsed HAR file
+ * @returns {{ suites: Array<{ name: string, document: object }>, warnings: string[] }}
+ */
+export function importHar(har) {
+  const entries = har.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error("Not a HAR file: it has no \"log.entries\" list.");
+  }
+
+  const warnings = [];
+  const hosts = new Map();
+  let skipped = 0;
+
+  for (const entry of entries) {
+    let url;
+    try {
+      url = new URL(entry.request?.url);
+    } catch {
+      skipped += 1;
+      continue;
+    }
+    const status = entry.response?.status ?? 0;
+    if (!/^https?:$/.test(url.protocol) || ASSET_PATTERN.test(url.pathname) || status === 0 || isPageLoad(entry)) {
+      skipped += 1;
+      continue;
+    }
+    if (!hosts.has(url.origin)) {
+      hosts.set(url.origin, { names: new Set(), env: new Set(), testCases: [] });
+    }
+    const host = hosts.get(url.origin);
+    host.testCases.push(testCaseFor(entry, url, host));
+  }
+
+  if (skipped > 0) {
+    warnings.push(`${skipped} recorded request(s) were skipped (assets, page loads or requests without a response).`);
+  }
+
+  const suites = [...hosts.entries()].map(([origin, { env, testCases }]) => {
+    if (env.size > 0) {
+      warnings.push(`${new URL(origin).host}: set ${[...env].join(", ")} before running the suite.`);
+    }
+    return { name: new URL(origin).host, document: { name: new URL(origin).host, url: origin, test_cases: testCases } };
+  });
+  return { suites, warnings };
+}
+
+function testCaseFor(entry, url, { names, env }) {
+  const { request, response } = entry;
+  const method = String(request.method ?? "GET").toUpperCase();
+  const testCase = {
+    description: uniqueName(`${method} ${url.pathname}`, names),
+    method,
+    path: url.pathname,
+  };
+
+  const query = [...url.searchParams.entries()].map(([key, value]) => ({ key, value }));
+  if (query.length > 0) {
+    testCase.query = query;
+  }
+
+  const headers = [];
+  for (const { name, value } of request.headers ?? []) {
+    const lower = String(name).toLowerCase();
+    if (lower.startsWith(":") || SKIPPED_HEADERS.has(lower) || lower.startsWith("sec-")) {
+      continue;
+    }
+    if (lower === "authorization") {
+      testCase.auth = authFor(value, env);
+    } else if (isSecretName(name)) {
+      const variable = envName(name);
+      env.add(variable);
+      headers.push({ key: name, value: `\${${variable}}` });
+    } else if (!(lower === "content-type" && isJsonMediaType(value))) {
+      headers.push({ key: name, value });
+    }
+  }
+  if (headers.length > 0) {
+    testCase.headers = headers;
+  }
+  Object.assign(testCase, bodyParts(request.postData));
+
+  const contentType = mediaTypeOf(response.content?.mimeType ?? headerValue(response.headers, "Content-Type"));
+  const body = isJsonMediaType(contentType) ? parseJson(responseText(response.content)) : undefined;
+  testCase.expected_results = starterAssertions({
+    status: response.status,
+    contentType: contentType || undefined,
+    ...fromExampleBody(body),
+  });
+  return testCase;
+}
+
+// Bearer and Basic credentials become their auth blocks; any other scheme is sent whole from ${API_AUTHORIZATION}
+function authFor(value, env) {
+  const [scheme] = String(value).split(" ");
+  if (/^bearer$/i.test(scheme)) {
+    env.add("API_TOKEN");
+    return { type: "bearer", token: "${API_TOKEN}" };
+  }
+  if (/^basic$/i.test(scheme)) {
+    env.add("API_USERNAME");
+    env.add("API_PASSWORD");
+    return { type: "basic", username: "${API_USERNAME}", password: "${API_PASSWORD}" };
+  }
+  env.add("API_AUTHORIZATION");
+  return { type: "apikey", name: "Authorization", value: "${API_AUTHORIZATION}" };
+}
+
+function bodyParts(postData) {
+  if (!postData) {
+    return {};
+  }
+  const mediaType = mediaTypeOf(postData.mimeType);
+  if (mediaType === "application/x-www-form-urlencoded") {
+    const params = postData.params?.length
+      ? postData.params.map(({ name, value }) => ({ key: name, value: value ?? "" }))
+      : [...new URLSearchParams(postData.text ?? "").entries()].map(([key, value]) => ({ key, value }));
+    return { form: params };
+  }
+  if (mediaType.startsWith("multipart/")) {
+    return {
+      multipart: (postData.params ?? []).map(({ name, value, fileName }) =>
+        fileName ? { name, file: fileName } : { name, value: value ?? "" }
+      ),
+    };
+  }
+  if (!postData.text) {
+    return {};
+  }
+  const parsed = isJsonMediaType(mediaType) ? parseJson(postData.text) : undefined;
+  return { body: parsed ?? postData.text };
+}
+
+function responseText(content = {}) {
+  if (typeof content.text !== "string") {
+    return undefined;
+  }
+  return content.encoding === "base64" ? Buffer.from(content.text, "base64").toString("utf8") : content.text;
+}
+
+// Top-level documents the browser navigated to
+function isPageLoad(entry) {
+  return entry._resourceType === "document" || mediaTypeOf(entry.response?.content?.mimeType) === "text/html";
+}
+
+function headerValue(headers = [], name) {
+  return headers.find((header) => String(header.name).toLowerCase() === name.toLowerCase())?.value;
+}
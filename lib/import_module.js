@@ -0,0 +1,36 @@
+import path from "path";
+import { createRequire } from "module";
+import { pathToFileURL } from "url";
+
+const require = createRequire(import.meta.url);
+
+// Times each file was invalidated; a new version is imported under a new URL
+const versions = new Map();
+
+/**
+ * importWithResolvedPath - Utility to handle relative or absolute paths in ESM.
+ * Relative paths are resolved against `baseDir` (the suite's folder).
+ */
+export async function importWithResolvedPath(relativeOrAbsolutePath, baseDir = process.cwd()) {
+  if (relativeOrAbsolutePath.startsWith("file:")) {
+    return import(relativeOrAbsolutePath);
+  }
+
+  const fullPath = path.resolve(baseDir, relativeOrAbsolutePath);
+  const url = pathToFileURL(fullPath);
+  if (versions.has(fullPath)) {
+    url.search = `?version=${versions.get(fullPath)}`;
+  }
+  return import(url.href);
+}
+
+/**
+ * invalidateModule - Makes the next importWithResolvedPath of `fullPath` load
+ *   the file again instead of reusing the cached module (used by watch mode).
+ *   Modules it imports itself stay cached.
+ */
+export function invalidateModule(fullPath) {
+  versions.set(fullPath, (versions.get(fullPath) ?? 0) + 1);
+  // CommonJS files imported from ESM are also kept in the require cache
+  delete require.cache[fullPath];
+}
@@ -0,0 +1,344 @@
+import path from "path";
+import { starterAssertions, isJsonMediaType, mediaTypeOf, uniqueName, isPlainObject } from "./starter_assertions.js";
+
+const METHODS = ["get", "put", "post", "delete", "patch", "head", "options"];
+
+// How deep sample bodies follow nested schemas (and recursive $refs)
+const MAX_SAMPLE_DEPTH = 6;
+
+/**
+ * importOpenApi - Turns an OpenAPI 3 document into suites, one per tag (the
+ *   operation's first tag; untagged operations go to a suite named after the API).
+ *
+ *   Each operation becomes a test case with its path, path params, required
+ *   query params and headers, and a sample JSON body. Its starter assertions
+ *   come from the first success response: "Status Code", "Content-Type",
+ *   "Required Fields" and "Schema Compliance" against the spec itself.
+ *   Security schemes become `auth` blocks whose credentials are ${ENV} placeholders.
+ *
+ * @param {object} spec - The parsed document
+ * @param {object} context
+ * @param {string} context.sourcePath - Absolute path of the spec
+ * @param {string} context.outDir - Where the suites will be written (for relative $refs)
+ * @returns {{ suites: Array<{ name: string, document: object }>, warnings: string[] }}
+ */
+export function importOpenApi(spec, { sourcePath, outDir }) {
+  if (typeof spec.openapi !== "string" || !spec.openapi.startsWith("3.")) {
+    throw new Error(
+      spec.swagger ? "Swagger 2.0 documents are not supported; convert them to OpenAPI 3 first." : "Not an OpenAPI 3 document."
+    );
+  }
+
+  const warnings = [];
+  const specRef = toPosix(path.relative(outDir, sourcePath));
+  const specFile = specRef.startsWith(".") ? specRef : `./${specRef}`;
+  const title = spec.info?.title ?? path.basename(sourcePath);
+  const defaultAuth = authFor(spec, spec.security, warnings);
+  const groups = new Map();
+
+  for (const [route, pathItem] of Object.entries(spec.paths ?? {})) {
+    const resolvedItem = resolveRef(spec, pathItem);
+    for (const method of METHODS) {
+      const operation = resolvedItem[method];
+      if (!operation) {
+        continue;
+      }
+      const group = operation.tags?.[0] ?? title;
+      if (!groups.has(group)) {
+        groups.set(group, { names: new Set(), testCases: [] });
+      }
+      const { names, testCases } = groups.get(group);
+      const testCase = {
+        description: uniqueName(operation.summary ?? operation.operationId ?? `${method.toUpperCase()} ${route}`, names),
+        method: method.toUpperCase(),
+        path: route,
+        ...requestParts(spec, [...(resolvedItem.parameters ?? []), ...(operation.parameters ?? [])], operation),
+      };
+      if (operation.security !== undefined) {
+        const auth = authFor(spec, operation.security, warnings);
+        if (JSON.stringify(auth) !== JSON.stringify(defaultAuth)) {
+          testCase.auth = auth ?? "none";
+        }
+      }
+      testCase.expected_results = starterAssertions(
+        responseExpectations(spec, route, method, operation, specFile)
+      );
+      testCases.push(testCase);
+    }
+  }
+
+  const server = spec.servers?.[0];
+  const baseUrl = server
+    ? server.url.replace(/\{(\w+)\}/g, (match, name) => server.variables?.[name]?.default ?? match)
+    : "http://localhost";
+  if (!server) {
+    warnings.push(`The spec has no servers; baseUrl is set to ${baseUrl}.`);
+  }
+
+  const suites = [...groups.entries()].map(([name, { testCases }]) => ({
+    name,
+    document: {
+      name: name === title ? title : `${title} - ${name}`,
+      url: "{{baseUrl}}",
+      variables: { baseUrl },
+      ...(defaultAuth && { auth: defaultAuth }),
+      test_cases: testCases,
+    },
+  }));
+  return { suites, warnings };
+}
+
+function requestParts(spec, rawParameters, operation) {
+  // Operation parameters override path-level ones with the same name and location
+  const parameters = new Map();
+  for (const raw of rawParameters) {
+    const parameter = resolveRef(spec, raw);
+    parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+  }
+
+  const parts = {};
+  for (const parameter of parameters.values()) {
+    const value = parameterExample(spec, parameter);
+    if (parameter.in === "path") {
+      parts.path_params = { ...parts.path_params, [parameter.name]: value };
+    } else if (parameter.in === "query" && parameter.required) {
+      parts.query = { ...parts.query, [parameter.name]: value };
+    } else if (parameter.in === "header" && parameter.required) {
+      parts.headers = { ...parts.headers, [parameter.name]: value };
+    }
+  }
+
+  const content = resolveRef(spec, operation.requestBody ?? {}).content ?? {};
+  const jsonType = Object.keys(content).find(isJsonMediaType);
+  if (jsonType) {
+    parts.body = mediaExample(spec, content[jsonType]);
+  } else if (content["application/x-www-form-urlencoded"]) {
+    parts.form = mediaExample(spec, content["application/x-www-form-urlencoded"]);
+  }
+  return parts;
+}
+
+function responseExpectations(spec, route, method, operation, specFile) {
+  const codes = Object.keys(operation.responses ?? {});
+  const code = codes.filter((candidate) => /^2\d\d$/.test(candidate)).sort()[0] ?? codes.find((c) => /^2xx$/i.test(c));
+  if (!code) {
+    return { status: "2xx" };
+  }
+
+  const response = resolveRef(spec, operation.responses[code]);
+  const expectations = { status: /^\d+$/.test(code) ? Number(code) : "2xx" };
+  const content = response.content ?? {};
+  const mediaType = Object.keys(content).find(isJsonMediaType) ?? Object.keys(content)[0];
+  if (!mediaType) {
+    return expectations;
+  }
+  expectations.contentType = mediaTypeOf(mediaType);
+
+  const schema = content[mediaType].schema;
+  if (!schema || !isJsonMediaType(mediaType)) {
+    return expectations;
+  }
+  const component = schema.$ref?.match(/^#\/components\/schemas\/([^/]+)$/)?.[1];
+  expectations.schemaCompliance = component
+    ? { openapi: specFile, component: decodePointer(component) }
+    : {
+        schema: {
+          $ref: `${specFile}#/paths/${encodePointer(route)}/${method}/responses/${code}/content/${encodePointer(mediaType)}/schema`,
+        },
+      };
+  expectations.requiredFields = requiredFields(spec, schema);
+  return expectations;
+}
+
+// Top-level required fields of an object schema, or of the items of an array schema
+function requiredFields(spec, rawSchema) {
+  let schema = flatten(spec, rawSchema);
+  if (schema.type === "array" && schema.items) {
+    schema = flatten(spec, schema.items);
+  }
+  return [...new Set(schema.required ?? [])];
+}
+
+// Follows $refs and merges allOf, one level deep
+function flatten(spec, rawSchema) {
+  const schema = resolveRef(spec, rawSchema ?? {});
+  if (!Array.isArray(schema.allOf)) {
+    return schema;
+  }
+  return schema.allOf.reduce(
+    (merged, part) => {
+      const flat = flatten(spec, part);
+      return {
+        ...merged,
+        ...flat,
+        properties: { ...merged.properties, ...flat.properties },
+        required: [...(merged.required ?? []), ...(flat.required ?? [])],
+      };
+    },
+    { ...schema, allOf: undefined }
+  );
+}
+
+function parameterExample(spec, parameter) {
+  if (parameter.example !== undefined) {
+    return parameter.example;
+  }
+  const firstExample = Object.values(parameter.examples ?? {})[0];
+  if (firstExample !== undefined) {
+    return resolveRef(spec, firstExample).value;
+  }
+  return sampleFor(spec, parameter.schema ?? { type: "string" }, 0, parameter.name);
+}
+
+function mediaExample(spec, media) {
+  if (media.example !== undefined) {
+    return media.example;
+  }
+  const firstExample = Object.values(media.examples ?? {})[0];
+  if (firstExample !== undefined) {
+    return resolveRef(spec, firstExample).value;
+  }
+  return sampleFor(spec, media.schema ?? {}, 0);
+}
+
+/**
+ * sampleFor - A value that fits the schema: its example, default or first enum
+ *   value when it has one, otherwise a placeholder of the right type.
+ */
+function sampleFor(spec, rawSchema, depth, name = "") {
+  const schema = flatten(spec, rawSchema);
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  const alternatives = schema.oneOf ?? schema.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    return sampleFor(spec, alternatives[0], depth, name);
+  }
+  if (depth >= MAX_SAMPLE_DEPTH) {
+    return null;
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== "null") : schema.type;
+  switch (type ?? (schema.properties ? "object" : schema.items ? "array" : "string")) {
+    case "object": {
+      const sample = {};
+      for (const [key, property] of Object.entries(schema.properties ?? {})) {
+        if (!resolveRef(spec, property).readOnly) {
+          sample[key] = sampleFor(spec, property, depth + 1, key);
+        }
+      }
+      return sample;
+    }
+    case "array":
+      return schema.items ? [sampleFor(spec, schema.items, depth + 1, name)] : [];
+    case "integer":
+      return schema.minimum ?? 1;
+    case "number":
+      return schema.minimum ?? 1.5;
+    case "boolean":
+      return true;
+    default:
+      return STRING_FORMAT_SAMPLES[schema.format] ?? (name ? `${name}-example` : "string");
+  }
+}
+
+const STRING_FORMAT_SAMPLES = {
+  "date-time": "2024-01-01T00:00:00Z",
+  date: "2024-01-01",
+  email: "user@example.com",
+  uuid: "00000000-0000-4000-8000-000000000000",
+  uri: "https://example.com",
+  hostname: "example.com",
+  ipv4: "127.0.0.1",
+};
+
+/**
+ * authFor - The `auth` block for a security requirement list: the first
+ *   requirement that uses a supported scheme. Credentials are ${ENV}
+ *   placeholders to fill in an .env file.
+ */
+function authFor(spec, security, warnings) {
+  if (!Array.isArray(security) || security.length === 0) {
+    return null;
+  }
+  const schemes = spec.components?.securitySchemes ?? {};
+  for (const requirement of security) {
+    for (const name of Object.keys(requirement)) {
+      const scheme = resolveRef(spec, schemes[name] ?? {});
+      const auth = authForScheme(scheme, requirement[name]);
+      if (auth) {
+        return auth;
+      }
+    }
+  }
+  warnings.push(`No supported security scheme in ${JSON.stringify(security)}; add an auth block by hand.`);
+  return null;
+}
+
+function authForScheme(scheme, scopes = []) {
+  if (scheme.type === "http" && /^bearer$/i.test(scheme.scheme ?? "")) {
+    return { type: "bearer", token: "${API_TOKEN}" };
+  }
+  if (scheme.type === "http" && /^basic$/i.test(scheme.scheme ?? "")) {
+    return { type: "basic", username: "${API_USERNAME}", password: "${API_PASSWORD}" };
+  }
+  if (scheme.type === "apiKey" && (scheme.in === "header" || scheme.in === "query")) {
+    return { type: "apikey", name: scheme.name, value: "${API_KEY}", in: scheme.in };
+  }
+  if (scheme.type === "oauth2") {
+    const flow = scheme.flows?.clientCredentials ?? scheme.flows?.password;
+    if (!flow) {
+      return null;
+    }
+    const auth = {
+      type: "oauth2",
+      grant: scheme.flows.clientCredentials ? "client_credentials" : "password",
+      token_url: flow.tokenUrl,
+      client_id: "${OAUTH_CLIENT_ID}",
+      client_secret: "${OAUTH_CLIENT_SECRET}",
+    };
+    if (auth.grant === "password") {
+      Object.assign(auth, { username: "${OAUTH_USERNAME}", password: "${OAUTH_PASSWORD}" });
+    }
+    if (scopes.length > 0) {
+      auth.scope = scopes.join(" ");
+    }
+    return auth;
+  }
+  return null;
+}
+
+// Local `#/...` references only; anything else is returned as it is
+function resolveRef(spec, node, seen = new Set()) {
+  if (!isPlainObject(node) || typeof node.$ref !== "string" || !node.$ref.startsWith("#/")) {
+    return node;
+  }
+  if (seen.has(node.$ref)) {
+    return {};
+  }
+  seen.add(node.$ref);
+  const target = node.$ref
+    .slice(2)
+    .split("/")
+    .map(decodePointer)
+    .reduce((current, segment) => current?.[segment], spec);
+  return resolveRef(spec, target ?? {}, seen);
+}
+
+function encodePointer(segment) {
+  return segment.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function decodePointer(segment) {
+  return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
@@ -0,0 +1,295 @@
+import { isSecretName } from "./redact.js";
+import {
+  starterAssertions,
+  fromExampleBody,
+  parseJson,
+  isJsonMediaType,
+  mediaTypeOf,
+  uniqueName,
+  envName,
+} from "./starter_assertions.js";
+
+/**
+ * importPostman - Turns a Postman v2.1 collection into suites: one per
+ *   top-level folder (requests in nested folders join it) and one for the
+ *   requests at the root.
+ *
+ *   Postman `{{variables}}` use the same syntax as suites, so they are kept;
+ *   collection variables become suite variables and the ones the collection
+ *   uses without defining are added empty. `:name` path variables become
+ *   `path_params`. A request's first saved example response gives its starter
+ *   assertions.
+ *
+ *   Credentials are not copied: auth tokens, passwords and keys typed into the
+ *   collection become `${API_TOKEN}`-style placeholders, and so do collection
+ *   variables with credential-looking names. `{{variable}}` references stay.
+ *
+ * @param {object} collection - The parsed collection
+ * @returns {{ suites: Array<{ name: string, document: object }>, warnings: string[] }}
+ */
+export function importPostman(collection) {
+  if (!Array.isArray(collection.item)) {
+    throw new Error("Not a Postman v2 collection: it has no \"item\" list.");
+  }
+
+  const warnings = [];
+  const title = collection.info?.name ?? "Postman collection";
+  const variables = {};
+  const variableEnv = new Set();
+  for (const { key, value, disabled } of collection.variable ?? []) {
+    if (key && !disabled) {
+      variables[key] = isSecretName(key) ? credential(value, envName(key), variableEnv) : value ?? "";
+    }
+  }
+
+  const groups = [];
+  const rootRequests = collection.item.filter((item) => !Array.isArray(item.item));
+  if (rootRequests.length > 0) {
+    groups.push({ name: title, items: rootRequests, auth: collection.auth });
+  }
+  for (const folder of collection.item.filter((item) => Array.isArray(item.item))) {
+    groups.push({
+      name: folder.name ?? "Folder",
+      items: flattenFolder(folder.item),
+      auth: folder.auth ?? collection.auth,
+    });
+  }
+
+  const suites = [];
+  for (const group of groups) {
+    const requests = group.items.map((item) => ({ item, parts: requestUrl(item.request) }));
+    const base = commonBase(requests.map(({ parts }) => parts.base));
+    const env = new Set(variableEnv);
+    const suiteAuth = authFor(group.auth, { warnings, env }, group.name);
+    const names = new Set();
+    const testCases = requests.map(({ item, parts }) =>
+      testCaseFor(item, parts, { base, suiteAuth, names, warnings, env })
+    );
+
+    const name = group.name === title ? title : `${title} - ${group.name}`;
+    if (env.size > 0) {
+      warnings.push(`"${name}": set ${[...env].join(", ")} before running the suite.`);
+    }
+    const suiteVariables = { ...variables };
+    const missing = undefinedVariables([base, suiteAuth, testCases], suiteVariables);
+    for (const variable of missing) {
+      suiteVariables[variable] = "";
+    }
+    if (missing.length > 0) {
+      warnings.push(`"${name}" uses ${missing.map((variable) => `{{${variable}}}`).join(", ")} without a value; fill them in.`);
+    }
+
+    const document = {
+      name,
+      url: base,
+      ...(Object.keys(suiteVariables).length > 0 && { variables: suiteVariables }),
+      ...(suiteAuth && { auth: suiteAuth }),
+      test_cases: testCases,
+    };
+    suites.push({ name: group.name, document });
+  }
+  return { suites, warnings };
+}
+
+function flattenFolder(items) {
+  return items.flatMap((item) => (Array.isArray(item.item) ? flattenFolder(item.item) : [item]));
+}
+
+function testCaseFor(item, { base, path, pathParams, query }, { base: suiteBase, suiteAuth, names, warnings, env }) {
+  const request = typeof item.request === "string" ? { url: item.request } : item.request ?? {};
+  const testCase = {
+    description: uniqueName(item.name ?? `${request.method ?? "GET"} ${path}`, names),
+    method: String(request.method ?? "GET").toUpperCase(),
+    path: base === suiteBase ? path : `${base}${path}`,
+  };
+  if (Object.keys(pathParams).length > 0) {
+    testCase.path_params = pathParams;
+  }
+  if (query.length > 0) {
+    testCase.query = query;
+  }
+
+  // A JSON body sets its own Content-Type
+  const body = bodyParts(request.body, warnings, testCase.description);
+  const headers = (request.header ?? [])
+    .filter(({ key, disabled }) => key && !disabled)
+    .filter(({ key, value }) => !(body.body !== undefined && /^content-type$/i.test(key) && /json/i.test(value ?? "")))
+    .map(({ key, value }) => ({ key, value: value ?? "" }));
+  if (headers.length > 0) {
+    testCase.headers = headers;
+  }
+  Object.assign(testCase, body);
+
+  if (request.auth !== undefined) {
+    const auth = authFor(request.auth, { warnings, env }, testCase.description);
+    if (JSON.stringify(auth) !== JSON.stringify(suiteAuth)) {
+      testCase.auth = auth ?? "none";
+    }
+  }
+
+  testCase.expected_results = starterAssertions(exampleExpectations(item.response?.[0]));
+  return testCase;
+}
+
+/**
+ * requestUrl - Splits a request URL into the base (`{{baseUrl}}` or the
+ *   origin), the path (its `:name` variables work as they are), the path
+ *   variable values and the enabled query params.
+ */
+function requestUrl(request) {
+  const rawUrl = typeof request === "string" ? request : request?.url;
+  const url = typeof rawUrl === "string" ? { raw: rawUrl } : rawUrl ?? { raw: "" };
+  const raw = String(url.raw ?? "");
+  const withoutQuery = raw.split(/[?#]/)[0];
+
+  const match = withoutQuery.match(/^(\{\{[^{}]+\}\}|[a-z][a-z0-9+.-]*:\/\/[^/]*)?(.*)$/i);
+  const base = match[1] ?? "";
+  let path = match[2] ?? "";
+  if (path && !path.startsWith("/")) {
+    path = `/${path}`;
+  }
+
+  const pathParams = {};
+  const pathVariables = new Map((url.variable ?? []).map(({ key, value }) => [key, value ?? ""]));
+  for (const [, name] of path.matchAll(/\/:(\w+)/g)) {
+    pathParams[name] = pathVariables.get(name) ?? "";
+  }
+
+  const query = Array.isArray(url.query)
+    ? url.query.filter(({ key, disabled }) => key && !disabled).map(({ key, value }) => ({ key, value: value ?? "" }))
+    : queryFromRaw(raw);
+  return { base, path, pathParams, query };
+}
+
+function queryFromRaw(raw) {
+  const search = raw.split("#")[0].split("?").slice(1).join("?");
+  if (!search) {
+    return [];
+  }
+  return search
+    .split("&")
+    .filter(Boolean)
+    .map((pair) => {
+      const [key, ...value] = pair.split("=");
+      return { key: decodeURIComponent(key), value: decodeURIComponent(value.join("=")) };
+    });
+}
+
+// The base most requests of the suite share; the others keep theirs in `path`
+function commonBase(bases) {
+  const counts = new Map();
+  for (const base of bases) {
+    counts.set(base, (counts.get(base) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? "";
+}
+
+function bodyParts(body, warnings, description) {
+  if (!body || body.disabled) {
+    return {};
+  }
+  switch (body.mode) {
+    case "raw": {
+      const language = body.options?.raw?.language;
+      const parsed = parseJson(body.raw);
+      if (parsed !== undefined && (language === undefined || language === "json")) {
+        return { body: parsed };
+      }
+      return body.raw ? { body: body.raw } : {};
+    }
+    case "urlencoded":
+      return { form: keyValueList(body.urlencoded) };
+    case "formdata":
+      return {
+        multipart: (body.formdata ?? [])
+          .filter(({ key, disabled }) => key && !disabled)
+          .map(({ key, type, value, src }) =>
+            type === "file" ? { name: key, file: Array.isArray(src) ? src[0] : src ?? "" } : { name: key, value: value ?? "" }
+          ),
+      };
+    case "graphql":
+      return {
+        body: {
+          query: body.graphql?.query ?? "",
+          ...(body.graphql?.variables && { variables: parseJson(body.graphql.variables) ?? {} }),
+        },
+      };
+    default:
+      warnings.push(`"${description}": ${body.mode} bodies are not imported.`);
+      return {};
+  }
+}
+
+function keyValueList(entries = []) {
+  return entries.filter(({ key, disabled }) => key && !disabled).map(({ key, value }) => ({ key, value: value ?? "" }));
+}
+
+function headerValue(headers, name) {
+  return headers.find(({ key }) => key.toLowerCase() === name.toLowerCase())?.value ?? "";
+}
+
+function exampleExpectations(example) {
+  if (!example) {
+    return { status: "2xx" };
+  }
+  const headers = (example.header ?? []).filter(({ key }) => key);
+  const contentType = mediaTypeOf(headerValue(headers, "Content-Type"));
+  const body = contentType === "" || isJsonMediaType(contentType) ? parseJson(example.body) : undefined;
+  return {
+    status: example.code ?? "2xx",
+    contentType: contentType || undefined,
+    ...(body !== undefined && isJsonMediaType(contentType || "application/json") && fromExampleBody(body)),
+  };
+}
+
+// Postman auth: { type, <type>: [{ key, value }] }
+function authFor(auth, { warnings, env }, owner) {
+  if (!auth) {
+    return null;
+  }
+  const settings = {};
+  for (const { key, value } of auth[auth.type] ?? []) {
+    settings[key] = value;
+  }
+  switch (auth.type) {
+    case "noauth":
+      return null;
+    case "bearer":
+      return { type: "bearer", token: credential(settings.token, "API_TOKEN", env) };
+    case "basic":
+      return {
+        type: "basic",
+        username: credential(settings.username, "API_USERNAME", env),
+        password: credential(settings.password, "API_PASSWORD", env),
+      };
+    case "apikey":
+      return {
+        type: "apikey",
+        name: settings.key ?? "X-Api-Key",
+        value: credential(settings.value, "API_KEY", env),
+        in: settings.in === "query" ? "query" : "header",
+      };
+    default:
+      warnings.push(`"${owner}": ${auth.type} auth is not imported; add an auth block by hand.`);
+      return null;
+  }
+}
+
+// A credential typed into the collection becomes ${variable}; blanks and {{references}} stay as they are
+function credential(value, variable, env) {
+  const text = String(value ?? "");
+  if (text === "" || /\{\{[^{}]+\}\}/.test(text)) {
+    return text;
+  }
+  env.add(variable);
+  return `\${${variable}}`;
+}
+
+// `{{name}}` references in `parts` that `variables` has no value for
+function undefinedVariables(parts, variables) {
+  const used = new Set();
+  for (const [, name] of JSON.stringify(parts).matchAll(/\{\{\s*([\w.-]+)\s*\}\}/g)) {
+    used.add(name);
+  }
+  return [...used].filter((name) => !(name in variables));
+}
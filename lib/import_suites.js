@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { importOpenApi } from "./import_openapi.js";
+import { importPostman } from "./import_postman.js";
+import { importHar } from "./import_har.js";
+
+/**
+ * import_suites.js
+ * ----------------
+ * `ibgroboot import <source>`: generates .ibgrobot suites from an API
+ * description or a recording, as a starting point to edit by hand.
+ *
+ *   openapi   OpenAPI 3 document (JSON or YAML)    see import_openapi.js
+ *   postman   Postman v2.1 collection export       see import_postman.js
+ *   har       Browser HAR recording                see import_har.js
+ *
+ * Every importer returns `{ suites: [{ name, document }], warnings }`; this
+ * module detects the format, names the files and writes them.
+ */
+
+export const IMPORTERS = {
+  openapi: (source, context) => importOpenApi(source, context),
+  postman: (source) => importPostman(source),
+  har: (source) => importHar(source),
+};
+
+/**
+ * detectFormat - The importer a parsed source document is meant for.
+ * @returns {string|null} A key of IMPORTERS
+ */
+export function detectFormat(source) {
+  if (source?.openapi !== undefined || source?.swagger !== undefined) {
+    return "openapi";
+  }
+  if (source?.info?._postman_id !== undefined || /postman/i.test(String(source?.info?.schema ?? ""))) {
+    return "postman";
+  }
+  if (Array.isArray(source?.log?.entries)) {
+    return "har";
+  }
+  return null;
+}
+
+/**
+ * importSuites - Reads `sourcePath` and converts it into suites.
+ * @param {string} sourcePath
+ * @param {object} options
+ * @param {string} options.outDir - Where the suites will be written
+ * @param {string} [options.from] - Force a format instead of detecting it
+ * @returns {{ format: string, files: Array<{ file: string, document: object }>, warnings: string[] }}
+ * @throws {Error} When the source cannot be read or its format is unknown
+ */
+export function importSuites(sourcePath, { outDir, from }) {
+  const absoluteSource = path.resolve(sourcePath);
+  let source;
+  try {
+    source = yaml.load(fs.readFileSync(absoluteSource, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read "${sourcePath}": ${err.reason ?? err.message}`);
+  }
+
+  const format = from ?? detectFormat(source);
+  if (!format) {
+    throw new Error(
+      `Could not tell what "${sourcePath}" is. Pass --from with one of: ${Object.keys(IMPORTERS).join(", ")}`
+    );
+  }
+  if (!IMPORTERS[format]) {
+    throw new Error(`Unknown import format "${format}". Available: ${Object.keys(IMPORTERS).join(", ")}`);
+  }
+
+  const absoluteOut = path.resolve(outDir);
+  const { suites, warnings } = IMPORTERS[format](source, { sourcePath: absoluteSource, outDir: absoluteOut });
+  const taken = new Set();
+  const files = suites.map(({ name, document }) => {
+    let fileName = slugify(name) || "suite";
+    for (let i = 2; taken.has(fileName); i += 1) {
+      fileName = `${slugify(name) || "suite"}-${i}`;
+    }
+    taken.add(fileName);
+    return { file: path.join(absoluteOut, `${fileName}.ibgrobot`), document };
+  });
+  return { format, files, warnings };
+}
+
+/**
+ * writeSuites - Writes imported suites as YAML. Existing files are only
+ *   replaced with `force`.
+ * @param {Array<{ file: string, document: object }>} files
+ * @param {object} options
+ * @param {string} options.sourcePath - Named in each file's header comment
+ * @param {boolean} [options.force]
+ * @throws {Error} Before writing anything, when a file exists and force is off
+ */
+export function writeSuites(files, { sourcePath, force = false }) {
+  const existing = files.filter(({ file }) => fs.existsSync(file));
+  if (existing.length > 0 && !force) {
+    throw new Error(
+      `${existing.map(({ file }) => path.relative(process.cwd(), file)).join(", ")} already exist(s). ` +
+        `Use --force to overwrite.`
+    );
+  }
+
+  for (const { file, document } of files) {
+    const header = `# Generated by ibgroboot import from ${path.basename(sourcePath)}. Review before committing.\n`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, header + yaml.dump(document, { lineWidth: -1, noRefs: true }), "utf8");
+  }
+}
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
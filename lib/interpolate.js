@@ -0,0 +1,71 @@
+import { getPathValue } from "./resolve_path.js";
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+/**
+ * interpolate - Replaces `{{name}}` placeholders in strings, arrays and objects
+ *   (keys are left alone) with values from `variables`. Names can be paths,
+ *   e.g. `{{ item.id }}`.
+ *
+ *   A string that is exactly one placeholder takes the variable's raw value, so
+ *   `id: "{{itemId}}"` stays a number when `itemId` is one. Inside longer strings
+ *   objects are inserted as JSON.
+ *
+ * @param {*} value
+ * @param {Record<string, *>} variables
+ * @param {object} [options]
+ * @param {boolean} [options.strict] - Default true. When false, placeholders of
+ *   unknown variables are left as they are instead of throwing
+ * @returns {*} A copy of `value` with every placeholder replaced
+ * @throws {Error} When a placeholder names an unknown variable (strict mode)
+ */
+export function interpolate(value, variables, options = {}) {
+  if (typeof value === "string") {
+    return interpolateString(value, variables, options);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolate(item, variables, options));
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, variables, options);
+    }
+    return result;
+  }
+  return value;
+}
+
+function interpolateString(text, variables, { strict = true }) {
+  const whole = text.match(WHOLE_PLACEHOLDER);
+  if (whole) {
+    const resolved = lookup(whole[1], variables, strict);
+    return resolved === undefined ? text : resolved;
+  }
+
+  return text.replace(PLACEHOLDER, (placeholder, name) => {
+    const resolved = lookup(name, variables, strict);
+    if (resolved === undefined) {
+      return placeholder;
+    }
+    return typeof resolved === "object" && resolved !== null
+      ? JSON.stringify(resolved)
+      : String(resolved);
+  });
+}
+
+function lookup(name, variables, strict) {
+  const value = Object.prototype.hasOwnProperty.call(variables, name)
+    ? variables[name]
+    : getPathValue(variables, name);
+  if (value === undefined && strict) {
+    throw new Error(`Unknown variable "{{${name}}}".`);
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  // Buffers, FormData, etc. are passed through untouched
+  return typeof value === "object" && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
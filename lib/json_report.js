@@ -0,0 +1,32 @@
+import { summarizeResults } from "./test_result.js";
+
+/**
+ * renderJsonReport - The run's results as JSON, for dashboards and scripts:
+ *   { startedAt, summary, suites: [{ suite, file, startedAt, durationMs, summary, testCases: [TestCaseResult] }] }
+ *
+ * @param {Array<SuiteResult>} suites
+ * @returns {string}
+ */
+export function renderJsonReport(suites) {
+  const report = {
+    startedAt: suites[0]?.startedAt.toISOString() ?? null,
+    summary: summarizeResults(suites.flatMap((suite) => suite.testResults)),
+    suites: suites.map((suite) => ({
+      suite: suite.name ?? null,
+      file: suite.file,
+      startedAt: suite.startedAt.toISOString(),
+      durationMs: suite.durationMs,
+      summary: summarizeResults(suite.testResults),
+      testCases: suite.testResults,
+    })),
+  };
+  return `${JSON.stringify(report, jsonReplacer, 2)}\n`;
+}
+
+function jsonReplacer(key, value) {
+  // Response bodies can be binary
+  if (value && value.type === "Buffer" && Array.isArray(value.data)) {
+    return `[binary, ${value.data.length} bytes]`;
+  }
+  return value;
+}
@@ -0,0 +1,85 @@
+import { TEST_STATUS, summarizeResults } from "./test_result.js";
+
+/**
+ * renderJunitReport - JUnit XML in the shape Jenkins and GitLab read:
+ *   one <testsuite> per suite, one <testcase> per test case.
+ *   - failed cases get a <failure> listing the failed assertions
+ *   - errored cases get an <error> with the message and stack
+ *   - skipped cases get a <skipped> with the reason
+ *   - hook output and retry/poll attempts go to <system-out>
+ *
+ * @param {Array<SuiteResult>} suites
+ * @returns {string}
+ */
+export function renderJunitReport(suites) {
+  const stats = summarizeResults(suites.flatMap((suite) => suite.testResults));
+  const durationMs = suites.reduce((sum, suite) => sum + suite.durationMs, 0);
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="IBGRoboot" tests="${stats.total}" failures="${stats.failed}" errors="${stats.errored}" skipped="${stats.skipped}" time="${seconds(durationMs)}">`,
+    ...suites.map(renderTestSuite),
+    `</testsuites>`,
+    "",
+  ].join("\n");
+}
+
+function renderTestSuite(suite) {
+  const stats = summarizeResults(suite.testResults);
+  const suiteName = suite.name ?? suite.file;
+
+  const testCases = suite.testResults.map((tc) => {
+    const attributes = `name="${escapeXml(tc.testCase)}" classname="${escapeXml(suiteName)}" time="${seconds(tc.durationMs)}"`;
+    const children = [];
+
+    if (tc.status === TEST_STATUS.FAILED) {
+      const failed = tc.assertions.filter((a) => !a.passed);
+      const details = failed.map((a) => `${a.assertion}: ${a.message}`).join("\n");
+      children.push(
+        `<failure message="${escapeXml(failed[0]?.message ?? "")}" type="AssertionError">${escapeXml(details)}</failure>`
+      );
+    } else if (tc.status === TEST_STATUS.ERROR) {
+      children.push(
+        `<error message="${escapeXml(tc.error.message)}" type="${escapeXml(tc.error.stage)}">${escapeXml(tc.error.stack ?? "")}</error>`
+      );
+    } else if (tc.status === TEST_STATUS.SKIPPED) {
+      children.push(`<skipped message="${escapeXml(tc.skipReason ?? "")}"/>`);
+    }
+
+    const attempts = tc.attempts?.length > 1
+      ? [`${tc.attempts.length} attempts: ${tc.attempts.map((at) => `${at.status ?? at.error} (${Math.round(at.durationMs)}ms)`).join(", ")}`]
+      : [];
+    const output = attempts
+      .concat((tc.hooks || []).filter((h) => h.output).map((h) => `[${h.hook}] ${h.script}\n${h.output}`))
+      .join("\n");
+    if (output) {
+      children.push(`<system-out>${escapeXml(output)}</system-out>`);
+    }
+
+    if (children.length === 0) {
+      return `    <testcase ${attributes}/>`;
+    }
+    return `    <testcase ${attributes}>\n${children.map((c) => `      ${c}`).join("\n")}\n    </testcase>`;
+  });
+
+  return [
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${stats.total}" failures="${stats.failed}" errors="${stats.errored}" skipped="${stats.skipped}" time="${seconds(suite.durationMs)}" timestamp="${suite.startedAt.toISOString()}" file="${escapeXml(suite.file)}">`,
+    ...testCases,
+    `  </testsuite>`,
+  ].join("\n");
+}
+
+function seconds(durationMs = 0) {
+  return (durationMs / 1000).toFixed(3);
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    // Control characters other than tab/newline/carriage return are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
@@ -0,0 +1,193 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { validateSuiteDocument, describeSchemaErrors } from "./suite_schema.js";
+import { listAssertions, loadAssertionPlugins } from "./assertion_registry.js";
+
+/**
+ * lintSuiteFile - Checks a .ibgrobot file against the suite schema without running it.
+ *
+ *   - errors:   YAML syntax errors, wrong types, missing required keys, unknown assertions,
+ *               plugins that cannot be loaded
+ *   - warnings: unknown keys (often typos)
+ *
+ *   The suite's `plugins` are loaded first, so their assertions are known.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{ file: string, problems: Array<{ severity: "error"|"warning", line: number, column: number, path: string, message: string }> }>}
+ *   Problems are sorted by position; line and column start at 1.
+ */
+export async function lintSuiteFile(filePath) {
+  const source = fs.readFileSync(filePath, "utf8");
+  const problems = [];
+
+  let document;
+  let positions;
+  try {
+    ({ document, positions } = loadWithPositions(source));
+  } catch (err) {
+    if (err instanceof yaml.YAMLException) {
+      problems.push({
+        severity: "error",
+        line: (err.mark?.line ?? 0) + 1,
+        column: (err.mark?.column ?? 0) + 1,
+        path: "(root)",
+        message: `Invalid YAML: ${err.reason}`,
+      });
+      return { file: filePath, problems };
+    }
+    throw err;
+  }
+
+  if (!document || typeof document !== "object" || Array.isArray(document)) {
+    problems.push({ severity: "error", line: 1, column: 1, path: "(root)", message: "A suite must be a YAML mapping." });
+    return { file: filePath, problems };
+  }
+
+  const locate = (pointer) => positions.get(pointer) ?? { line: 1, column: 1 };
+
+  if (document.plugins) {
+    try {
+      await loadAssertionPlugins(document.plugins, path.dirname(path.resolve(filePath)));
+    } catch (err) {
+      problems.push({ severity: "error", ...locate("/plugins"), path: "plugins", message: err.message });
+    }
+  }
+
+  for (const entry of describeSchemaErrors(validateSuiteDocument(document, listAssertions()))) {
+    const problem = { severity: "error", ...locate(entry.pointer), path: entry.path, message: `${entry.path} ${entry.message}` };
+
+    if (entry.keyword === "additionalProperties") {
+      problem.severity = "warning";
+      problem.message = `Unknown key "${entry.params.additionalProperty}" in ${parentLabel(entry.path)}; it is ignored.`;
+    } else if (entry.keyword === "enum" && entry.pointer.endsWith("/assertion")) {
+      const name = getPointer(document, entry.pointer);
+      const suggestion = closestAssertion(String(name));
+      problem.message = `Unknown assertion "${name}".${suggestion ? ` Did you mean "${suggestion}"?` : ""}`;
+    }
+    problems.push(problem);
+  }
+
+  problems.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { file: filePath, problems };
+}
+
+/**
+ * loadWithPositions - Parses YAML and records where every node starts, keyed by
+ *   JSON pointer ("/test_cases/0/expected_results/1/inputs"). For mapping keys
+ *   the key's own position is used, so problems point at the line that holds it.
+ */
+function loadWithPositions(source) {
+  const stack = [];
+  let root = null;
+
+  const document = yaml.load(source, {
+    listener(event, state) {
+      if (event === "open") {
+        stack.push({ offset: state.position, children: [] });
+        return;
+      }
+      const node = stack.pop();
+      node.kind = state.kind;
+      node.result = state.result;
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(node);
+      } else {
+        root = node;
+      }
+    },
+  });
+
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i += 1) {
+    if (source[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+  const toPosition = (offset) => {
+    // The listener reports where a node's parsing began, which can be before leading whitespace
+    let start = offset;
+    while (start < source.length && /\s/.test(source[start])) {
+      start += 1;
+    }
+    let line = lineStarts.length - 1;
+    while (line > 0 && lineStarts[line] > start) {
+      line -= 1;
+    }
+    return { line: line + 1, column: start - lineStarts[line] + 1 };
+  };
+
+  const positions = new Map();
+  const walk = (node, value, pointer) => {
+    if (!positions.has(pointer)) {
+      positions.set(pointer, toPosition(node.offset));
+    }
+    // Flow collections inside block sequences arrive wrapped in a node holding the same value
+    while (node.children.length === 1 && node.children[0].result === node.result) {
+      node = node.children[0];
+    }
+    if (node.kind === "mapping" && value && typeof value === "object") {
+      for (let i = 0; i + 1 < node.children.length; i += 2) {
+        const keyNode = node.children[i];
+        const key = String(keyNode.result);
+        const childPointer = `${pointer}/${escapePointer(key)}`;
+        positions.set(childPointer, toPosition(keyNode.offset));
+        walk(node.children[i + 1], value[key], childPointer);
+      }
+    } else if (node.kind === "sequence" && Array.isArray(value)) {
+      node.children.forEach((child, index) => walk(child, value[index], `${pointer}/${index}`));
+    }
+  };
+  if (root) {
+    walk(root, document, "");
+  }
+
+  return { document, positions };
+}
+
+function escapePointer(key) {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function getPointer(document, pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((value, segment) => value?.[segment], document);
+}
+
+function parentLabel(path) {
+  const parent = path.replace(/(\.[^.[\]]+|\[\d+\])$/, "");
+  return parent === path ? "the suite" : parent;
+}
+
+function closestAssertion(name) {
+  const candidates = listAssertions().flatMap((definition) => [definition.name, ...definition.aliases]);
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(3, Math.floor(name.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
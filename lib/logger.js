@@ -0,0 +1,30 @@
+import { redact } from "./redact.js";
+
+/**
+ * logger - Thin wrapper around the console so the CLI can silence progress
+ *   output (`--quiet`) without every module checking a flag itself.
+ *   Warnings and errors are always printed. Registered secrets are masked.
+ */
+let quiet = false;
+
+/**
+ * setQuiet - Turns progress output on or off for the rest of the process.
+ * @param {boolean} value
+ */
+export function setQuiet(value) {
+  quiet = Boolean(value);
+}
+
+export const logger = {
+  info(...args) {
+    if (!quiet) {
+      console.log(...args.map(redact));
+    }
+  },
+  warn(...args) {
+    console.warn(...args.map(redact));
+  },
+  error(...args) {
+    console.error(...args.map(redact));
+  },
+};
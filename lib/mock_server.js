@@ -0,0 +1,290 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { interpolate } from "./interpolate.js";
+import { toKeyValueObject } from "./build_request_config.js";
+import { readSnapshot } from "./snapshots.js";
+import { logger } from "./logger.js";
+
+/**
+ * mock_server.js
+ * --------------
+ * Serves the example responses of .ibgrobot suites from a local HTTP server
+ * (`ibgroboot mock`). Every test case becomes a route: the suite's `url` and
+ * `method` with the case's `method`, `path` and `query`, answered with
+ *
+ *   1. its `mock_response` block:
+ *        mock_response:
+ *          status: 201
+ *          headers: { Location: "/items/7" }
+ *          body: { id: 7, name: "Widget" }   # or body_file: "./examples/item.json"
+ *          delay: 150                       # ms
+ *   2. or else the body its "Snapshot" assertion recorded (see snapshots.js),
+ *      with the status of its "Status Code" assertion (default 200).
+ *
+ * `{id}`, `:id` and `{{variable}}` path segments match any value. When several
+ * routes match, the one with the most fixed segments wins, then the one with
+ * the most matching `query` params (a differing one ranks last), then file order. An `X-Mock-Case: <description>` request
+ * header picks a test case explicitly.
+ */
+
+// Content types of `body_file`s, by extension (anything else is application/octet-stream)
+const MEDIA_TYPES = {
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+};
+
+/**
+ * buildMockRoutes - The routes of the given parsed suites.
+ * @param {object[]} suites - Results of parseIbgrobotConfiguration
+ * @returns {{ routes: Array<MockRoute>, skipped: Array<{ suite: string, testCase: string }> }}
+ *   MockRoute: { method, pathname, query, suite, testCase, source, response }
+ *   `skipped` lists the test cases with neither a mock_response nor a snapshot.
+ * @throws {Error} When a body_file or a snapshot file cannot be read
+ */
+export function buildMockRoutes(suites) {
+  const routes = [];
+  const skipped = [];
+
+  for (const suite of suites) {
+    const suiteName = suite.name ?? path.basename(suite.filePath ?? "suite");
+    for (const { data_row: dataRow, ...testCase } of suite.testCases) {
+      const variables = dataRow ? { ...suite.variables, ...dataRow } : suite.variables ?? {};
+      const resolved = interpolate(testCase, variables, { strict: false });
+      const url = interpolate(suite.url ?? "", variables, { strict: false });
+      let response;
+      try {
+        response = exampleResponse(suite, resolved);
+      } catch (err) {
+        throw new Error(`${suiteName}: "${resolved.description}": ${err.message}`);
+      }
+      if (!response) {
+        skipped.push({ suite: suiteName, testCase: resolved.description });
+        continue;
+      }
+      routes.push({
+        method: String(resolved.method || suite.method || "GET").toUpperCase(),
+        pathname: routePath(url, resolved.path),
+        query: toKeyValueObject(resolved.query),
+        suite: suiteName,
+        testCase: resolved.description,
+        ...response,
+      });
+    }
+  }
+
+  return { routes, skipped };
+}
+
+/**
+ * startMockServer - Listens on `host:port` and answers with the matching route.
+ *   Requests that match no route get a 404 listing the routes. Every response
+ *   allows cross-origin requests, so a browser app can use the mock directly.
+ * @param {Array<MockRoute>} routes
+ * @param {object} [options]
+ * @param {number} [options.port] - Default 4010; 0 picks a free port
+ * @param {string} [options.host] - Default 127.0.0.1
+ * @returns {Promise<{ server: http.Server, url: string, close: () => Promise<void> }>}
+ */
+export function startMockServer(routes, { port = 4010, host = "127.0.0.1" } = {}) {
+  const server = http.createServer((req, res) => {
+    handleRequest(routes, req, res).catch((err) => {
+      logger.error(`Mock server error on ${req.method} ${req.url}: ${err.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+      }
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      const address = server.address();
+      resolve({
+        server,
+        url: `http://${host.includes(":") ? `[${host}]` : host}:${address.port}`,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+async function handleRequest(routes, req, res) {
+  const corsHeaders = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS",
+    "Access-Control-Allow-Headers": req.headers["access-control-request-headers"] ?? "*",
+  };
+  if (req.method === "OPTIONS" && req.headers["access-control-request-method"]) {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, "http://mock");
+  const route = findRoute(routes, req.method, url, req.headers["x-mock-case"]);
+  if (!route) {
+    logger.warn(`${req.method} ${url.pathname}${url.search} -> 404 (no route)`);
+    res.writeHead(404, { ...corsHeaders, "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        error: `No mock route for ${req.method} ${url.pathname}`,
+        routes: routes.map((candidate) => `${candidate.method} ${candidate.pathname}`),
+      })
+    );
+    return;
+  }
+
+  const { status, headers, body, delay } = route.response;
+  if (delay > 0) {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+  logger.info(`${req.method} ${url.pathname}${url.search} -> ${status} (${route.suite}: ${route.testCase})`);
+  res.writeHead(status, { ...corsHeaders, ...headers });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+function findRoute(routes, method, url, caseName) {
+  const segments = splitPath(url.pathname);
+  const candidates = routes
+    .map((route, index) => ({ route, index, score: matchPath(route.pathname, segments) }))
+    .filter(
+      ({ route, score }) =>
+        score !== null &&
+        (route.method === method || (method === "HEAD" && route.method === "GET")) &&
+        (caseName === undefined || route.testCase === caseName)
+    );
+  candidates.sort(
+    (a, b) =>
+      b.score - a.score ||
+      queryScore(b.route.query, url.searchParams) - queryScore(a.route.query, url.searchParams) ||
+      a.index - b.index
+  );
+  return candidates[0]?.route ?? null;
+}
+
+// The number of fixed segments that matched, or null when the path does not match
+function matchPath(pattern, segments) {
+  const expected = splitPath(pattern);
+  if (expected.length !== segments.length) {
+    return null;
+  }
+  let score = 0;
+  for (let i = 0; i < expected.length; i += 1) {
+    if (isPlaceholderSegment(expected[i])) {
+      continue;
+    }
+    if (expected[i] !== segments[i]) {
+      return null;
+    }
+    score += 1;
+  }
+  return score;
+}
+
+// How many of the route's query params the request has, or -1 when one differs
+function queryScore(query, searchParams) {
+  const entries = Object.entries(query);
+  const matches = entries.every(([key, value]) => {
+    const values = (Array.isArray(value) ? value : [value]).map((item) => (item === null ? "" : String(item)));
+    const actual = searchParams.getAll(key);
+    return values.every((item) => (/\{\{[^{}]+\}\}/.test(item) && actual.length > 0) || actual.includes(item));
+  });
+  return matches ? entries.length : -1;
+}
+
+function isPlaceholderSegment(segment) {
+  return /^\{[^{}]+\}$/.test(segment) || /^:\w+$/.test(segment) || /\{\{[^{}]+\}\}/.test(segment);
+}
+
+function splitPath(pathname) {
+  return pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch {
+        return segment;
+      }
+    });
+}
+
+// The path part of the suite url joined with the case's `path` (a full URL replaces it)
+function routePath(suiteUrl, casePath) {
+  let url = String(suiteUrl);
+  if (casePath) {
+    const suffix = String(casePath);
+    url = /^https?:\/\//i.test(suffix) ? suffix : `${url.replace(/\/+$/, "")}/${suffix.replace(/^\/+/, "")}`;
+  }
+  const withoutOrigin = url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, "");
+  const pathname = withoutOrigin.split(/[?#]/)[0];
+  return `/${pathname.replace(/^\/+/, "")}`;
+}
+
+function exampleResponse(suite, testCase) {
+  if (testCase.mock_response) {
+    const { status = 200, headers, body, body_file: bodyFile, delay = 0 } = testCase.mock_response;
+    if (bodyFile === undefined) {
+      return { source: "mock_response", response: toHttpResponse(Number(status), headers, body, Number(delay)) };
+    }
+    const filePath = path.resolve(suite.baseDir, bodyFile);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`body_file "${filePath}" does not exist.`);
+    }
+    const response = toHttpResponse(Number(status), headers, fs.readFileSync(filePath), Number(delay));
+    const mediaType = MEDIA_TYPES[path.extname(filePath).toLowerCase()];
+    if (mediaType && response.headers["Content-Type"] === "application/octet-stream") {
+      response.headers["Content-Type"] = mediaType;
+    }
+    return { source: "mock_response", response };
+  }
+
+  if (suite.filePath) {
+    const { exists, value } = readSnapshot(suite.filePath, testCase.description);
+    if (exists) {
+      return { source: "snapshot", response: toHttpResponse(expectedStatus(testCase), undefined, value, 0) };
+    }
+  }
+  return null;
+}
+
+// The status a "Status Code" assertion of the case asks for, when it names one
+function expectedStatus(testCase) {
+  const assertion = (testCase.expected_results ?? []).find(({ assertion: name }) => name === "Status Code");
+  const inputs = Array.isArray(assertion?.inputs) ? assertion.inputs[0] : assertion?.inputs;
+  const status = Number(typeof inputs === "object" && inputs !== null ? inputs.min : inputs);
+  return Number.isInteger(status) && status >= 100 && status <= 599 ? status : 200;
+}
+
+function toHttpResponse(status, headers, content, delay) {
+  const responseHeaders = {};
+  for (const [key, value] of Object.entries(toKeyValueObject(headers))) {
+    responseHeaders[key] = String(value);
+  }
+  const hasContentType = Object.keys(responseHeaders).some((key) => key.toLowerCase() === "content-type");
+
+  let body;
+  let contentType;
+  if (content === undefined || content === null) {
+    body = "";
+  } else if (Buffer.isBuffer(content)) {
+    body = content;
+    contentType = "application/octet-stream";
+  } else if (typeof content === "string") {
+    body = content;
+    contentType = "text/plain; charset=utf-8";
+  } else {
+    body = JSON.stringify(content);
+    contentType = "application/json; charset=utf-8";
+  }
+  if (contentType && !hasContentType) {
+    responseHeaders["Content-Type"] = contentType;
+  }
+  return { status, headers: responseHeaders, body, delay };
+}
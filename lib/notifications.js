@@ -0,0 +1,311 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import yaml from "js-yaml";
+import { interpolate } from "./interpolate.js";
+import { resolveEnvironment, substituteEnv } from "./environment.js";
+import { registerSecret, redact } from "./redact.js";
+import { TEST_STATUS, summarizeResults } from "./test_result.js";
+
+/**
+ * notifications.js
+ * ----------------
+ * Posts a summary of each run to Slack incoming webhooks and generic HTTP
+ * webhooks, listed under `notifications` in the project config:
+ *
+ *   notifications:
+ *     - type: slack
+ *       webhook_url: "${SLACK_WEBHOOK_URL}"
+ *       on: failure                      # or always (default failure)
+ *       report_url: "https://ci.example.com/artifacts/{{report_name}}"
+ *       mentions:                        # Slack ids of the suites' squads and owners
+ *         squads: { Crashes: "<!subteam^S012AB3CD>" }
+ *         owners: { "ann@example.com": "<@U024BE7LH>" }
+ *     - type: webhook
+ *       url: "https://hooks.example.com/api-tests"
+ *       headers: { Authorization: "Bearer ${HOOK_TOKEN}" }
+ *       template: "./notify/payload.yaml"
+ *
+ * A suite's `target_squads` and `target_owners` are mentioned when it has
+ * failures. `report_results: false` leaves a suite out of every notification,
+ * `sync_to_slack: false` out of the Slack ones.
+ *
+ * Payloads are built from a template: a JSON/YAML file or an inline object
+ * whose `{{placeholders}}` are filled from the notification context (see
+ * buildNotificationContext). Without one, NOTIFIERS[type].defaultTemplate is used.
+ * A notification that cannot be sent is reported, it never fails the run.
+ */
+
+// Failing test cases listed in the default texts; the rest are counted
+const MAX_LISTED_FAILURES = 15;
+
+const SEND_TIMEOUT_MS = 10000;
+
+/**
+ * NOTIFIERS - One entry per notification `type`: which config key holds its
+ *   URL, which suites it covers, how mentions are written and its payload when
+ *   no template is given.
+ */
+export const NOTIFIERS = {
+  slack: {
+    urlKey: "webhook_url",
+    includes: (suite) => suite.reportResults !== false && suite.syncToSlack !== false,
+    mention: (name, mapped) => mapped ?? `@${name}`,
+    defaultTemplate: { text: "{{text}}" },
+  },
+  webhook: {
+    urlKey: "url",
+    includes: (suite) => suite.reportResults !== false,
+    mention: (name, mapped) => mapped ?? name,
+    defaultTemplate: {
+      status: "{{status}}",
+      environment: "{{environment}}",
+      started_at: "{{started_at}}",
+      duration_ms: "{{duration_ms}}",
+      summary: "{{summary}}",
+      report: "{{report}}",
+      reports: "{{reports}}",
+      failures: "{{failures}}",
+      squads: "{{squads}}",
+      owners: "{{owners}}",
+      mentions: "{{mentions}}",
+      suites: "{{suites}}",
+    },
+  },
+};
+
+/**
+ * resolveNotifiers - The configured notifications, with `${ENV}` placeholders
+ *   filled in (as for suites, from the process env and .env files) and their
+ *   URLs registered as secrets.
+ * @param {object} projectConfig - Result of loadProjectConfig
+ * @param {object} [options]
+ * @param {string} [options.environment] - `--env`, for its env_file
+ * @param {string[]} [options.envFiles] - `--env-file`
+ * @returns {object[]}
+ * @throws {Error} On an unknown type, a missing URL or an unreadable template
+ */
+export function resolveNotifiers(projectConfig, { environment, envFiles } = {}) {
+  const configured = projectConfig.config.notifications ?? [];
+  if (!Array.isArray(configured)) {
+    throw new Error(`"notifications" in the project config must be a list.`);
+  }
+  if (configured.length === 0) {
+    return [];
+  }
+
+  const { env } = resolveEnvironment({
+    name: environment,
+    suiteBaseDir: projectConfig.baseDir,
+    projectConfig,
+    envFiles,
+  });
+
+  return configured.map((raw, index) => {
+    const notifier = substituteEnv(raw, env);
+    const kind = NOTIFIERS[notifier.type];
+    if (!kind) {
+      throw new Error(
+        `notifications[${index}]: unknown type "${notifier.type}". Available: ${Object.keys(NOTIFIERS).join(", ")}`
+      );
+    }
+    const url = notifier[kind.urlKey];
+    if (!url) {
+      throw new Error(`notifications[${index}]: a ${notifier.type} notification needs "${kind.urlKey}".`);
+    }
+    if (notifier.on !== undefined && notifier.on !== "failure" && notifier.on !== "always") {
+      throw new Error(`notifications[${index}]: "on" must be failure or always, got "${notifier.on}".`);
+    }
+    registerSecret(url);
+    return {
+      type: notifier.type,
+      url,
+      method: notifier.method ?? "POST",
+      headers: notifier.headers ?? {},
+      on: notifier.on ?? "failure",
+      reportUrl: notifier.report_url,
+      mentions: notifier.mentions ?? {},
+      template: loadTemplate(notifier.template, projectConfig.baseDir, index) ?? kind.defaultTemplate,
+    };
+  });
+}
+
+/**
+ * sendNotifications - Sends the run's summary to every notifier it concerns:
+ *   `on: failure` ones only when a covered suite failed or errored.
+ * @param {object[]} notifiers - From resolveNotifiers
+ * @param {object} run
+ * @param {Array<SuiteResult>} run.suites
+ * @param {string[]} run.reports - Paths of the written reports
+ * @param {Date} run.startedAt
+ * @param {string} [run.environment]
+ * @returns {Promise<Array<{ type: string, host: string, sent: boolean, status?: number, error?: string }>>}
+ *   One entry per notifier that had something to send; `host` is the URL's
+ *   host, as the URL itself can be a secret
+ */
+export async function sendNotifications(notifiers, run) {
+  const outcomes = [];
+  for (const notifier of notifiers) {
+    const suites = run.suites.filter(NOTIFIERS[notifier.type].includes);
+    if (suites.length === 0) {
+      continue;
+    }
+    const context = buildNotificationContext(notifier, { ...run, suites });
+    if (notifier.on === "failure" && context.status === TEST_STATUS.PASSED) {
+      continue;
+    }
+
+    const outcome = { type: notifier.type, host: hostOf(notifier.url), sent: false };
+    try {
+      const response = await axios({
+        method: notifier.method,
+        url: notifier.url,
+        headers: { "Content-Type": "application/json", ...notifier.headers },
+        data: interpolate(notifier.template, context, { strict: false }),
+        timeout: SEND_TIMEOUT_MS,
+        validateStatus: () => true,
+      });
+      outcome.status = response.status;
+      outcome.sent = response.status >= 200 && response.status < 300;
+      if (!outcome.sent) {
+        outcome.error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      outcome.error = redact(err.message);
+    }
+    outcomes.push(outcome);
+  }
+  return outcomes;
+}
+
+/**
+ * buildNotificationContext - The values a template can use:
+ *
+ *   {{status}}         "passed" or "failed"
+ *   {{environment}}    --env name, or ""
+ *   {{started_at}}     ISO time; {{duration_ms}}
+ *   {{summary}}        { total, passed, failed, errored, skipped }
+ *   {{report}}         link (report_url) or path of the first report; {{report_name}} its file name
+ *   {{reports}}        every report link or path
+ *   {{failures}}       [{ suite, file, test_case, status, message }]
+ *   {{squads}}, {{owners}}  target_squads / target_owners of the failing suites
+ *   {{mentions}}       those squads and owners, written as mentions
+ *   {{suites}}         [{ name, file, total, passed, failed, errored, skipped }]
+ *   {{text}}           a ready-made summary in Slack markdown
+ */
+export function buildNotificationContext(notifier, { suites, reports = [], startedAt, environment }) {
+  const summary = summarizeResults(suites.flatMap((suite) => suite.testResults));
+  delete summary.durationMs;
+  const status = summary.failed + summary.errored > 0 ? TEST_STATUS.FAILED : TEST_STATUS.PASSED;
+
+  const failures = suites.flatMap((suite) =>
+    suite.testResults
+      .filter((tc) => tc.status === TEST_STATUS.FAILED || tc.status === TEST_STATUS.ERROR)
+      .map((tc) => ({
+        suite: suiteName(suite),
+        file: suite.file,
+        test_case: tc.testCase,
+        status: tc.status,
+        message: redact(failureMessage(tc)),
+      }))
+  );
+
+  const failingSuites = suites.filter((suite) =>
+    suite.testResults.some((tc) => tc.status === TEST_STATUS.FAILED || tc.status === TEST_STATUS.ERROR)
+  );
+  const squads = unique(failingSuites.flatMap((suite) => suite.targetSquads ?? []));
+  const owners = unique(failingSuites.flatMap((suite) => suite.targetOwners ?? []));
+  const { mention } = NOTIFIERS[notifier.type];
+  const mentions = [
+    ...squads.map((name) => mention(name, notifier.mentions.squads?.[name])),
+    ...owners.map((name) => mention(name, notifier.mentions.owners?.[name])),
+  ];
+
+  const reportLinks = reports.map((report) =>
+    notifier.reportUrl
+      ? interpolate(notifier.reportUrl, { report_name: path.basename(report), report_path: report }, { strict: false })
+      : report
+  );
+
+  const context = {
+    status,
+    environment: environment ?? "",
+    started_at: startedAt.toISOString(),
+    duration_ms: Date.now() - startedAt.getTime(),
+    summary,
+    report: reportLinks[0] ?? "",
+    report_name: reports[0] ? path.basename(reports[0]) : "",
+    reports: reportLinks,
+    failures,
+    squads,
+    owners,
+    mentions,
+    suites: suites.map((suite) => ({ name: suiteName(suite), file: suite.file, ...countsOf(suite) })),
+  };
+  context.text = summaryText(context);
+  return context;
+}
+
+function summaryText({ status, environment, summary, report, failures, mentions }) {
+  const where = environment ? ` (${environment})` : "";
+  const lines = [
+    status === TEST_STATUS.PASSED
+      ? `:white_check_mark: API tests passed${where}: ${summary.passed} of ${summary.total} test cases passed.`
+      : `:x: API tests failed${where}: ${summary.failed + summary.errored} of ${summary.total} test cases failed or errored.`,
+  ];
+  for (const failure of failures.slice(0, MAX_LISTED_FAILURES)) {
+    lines.push(`• *${failure.suite} › ${failure.test_case}*: ${failure.message}`);
+  }
+  if (failures.length > MAX_LISTED_FAILURES) {
+    lines.push(`… and ${failures.length - MAX_LISTED_FAILURES} more`);
+  }
+  if (report) {
+    lines.push(`Report: ${report}`);
+  }
+  if (mentions.length > 0) {
+    lines.push(`cc ${mentions.join(" ")}`);
+  }
+  return lines.join("\n");
+}
+
+// The error, or the first failed assertion's message
+function failureMessage(tc) {
+  if (tc.error) {
+    return tc.error.message;
+  }
+  const failed = tc.assertions.find((a) => !a.passed);
+  return failed ? `${failed.assertion}: ${failed.message}` : "Failed";
+}
+
+function loadTemplate(template, baseDir, index) {
+  if (template === undefined || typeof template === "object") {
+    return template;
+  }
+  const filePath = path.resolve(baseDir, String(template));
+  try {
+    return yaml.load(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`notifications[${index}]: could not read template "${filePath}": ${err.reason ?? err.message}`);
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "(invalid URL)";
+  }
+}
+
+function countsOf(suite) {
+  const { total, passed, failed, errored, skipped } = summarizeResults(suite.testResults);
+  return { total, passed, failed, errored, skipped };
+}
+
+function suiteName(suite) {
+  return suite.name ?? path.basename(suite.file);
+}
+
+function unique(values) {
+  return [...new Set(values.map(String))];
+}
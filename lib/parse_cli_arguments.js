@@ -0,0 +1,144 @@
+import { parseArgs } from "util";
+
+export const USAGE = `
+Usage: ibgroboot <command> [options]
+
+Commands:
+  run <files|globs|dirs...>   Run one or more .ibgrobot suites
+  lint <files|globs|dirs...>  Check suites against the .ibgrobot schema without running them
+  mock <files|globs|dirs...>  Serve the suites' example responses from a local HTTP server
+  import <source>             Generate suites from an OpenAPI 3 document, a Postman v2.1
+                              collection or a HAR recording
+  history                     Show pass-rate trends, newly failing and flaky test cases
+  watch <files|globs|dirs...> Run the suites, then re-run each one when it or a script or
+                              assertion module it uses changes
+
+Options:
+  --report-dir <dir>          Directory reports are written to (default: "reports")
+  --format <formats>          Report format(s), comma-separated or repeated (default: "html"):
+                              html, junit, json, tap, console
+  --concurrency <n>           Run up to <n> suites and test cases at once (default: 1)
+  --tags <expression>         Only run test cases whose tags match, e.g. "smoke and not slow"
+  --filter <text>             Only run test cases whose description contains <text>,
+                              or matches it when written as /regex/flags
+  --env <name>                Environment profile to run against (see "environments")
+  --env-file <file>           Extra .env file to load, can be repeated
+  --config <file>             Project config file (default: ./ibgroboot.config.yaml if present)
+  --update-snapshots          Record "Snapshot" assertions again instead of comparing them
+  --history <file>            Run history store (default: .ibgroboot/history.jsonl)
+  --no-history                run: do not record this run in the history
+  --no-notify                 run: do not send the configured notifications
+  --runs <n>                  history: how many runs the trend shows (default: 10)
+  --port <n>                  mock: port to listen on (default: 4010)
+  --host <host>               mock: address to listen on (default: 127.0.0.1)
+  --out <dir>                 import: directory the suites are written to (default: "suites")
+  --from <format>             import: openapi, postman or har (default: detected from the source)
+  --force                     import: overwrite existing suite files
+  -q, --quiet                 Only print warnings, errors and the final summary (implies --no-logo)
+  --no-logo                   Do not draw the logo
+  -h, --help                  Show this message
+
+Exit codes:
+  0  every test case passed (lint: no errors)
+  1  at least one test case failed or errored (lint: a file has errors)
+  2  invalid usage, a suite could not be loaded or no test case was selected
+`;
+
+export const COMMANDS = ["run", "lint", "mock", "import", "history", "watch"];
+
+/**
+ * parseCliArguments - Parses `process.argv.slice(2)` into a command, its
+ *   positional arguments and the normalized options.
+ *
+ * @param {string[]} argv
+ * @returns {{ command: string|undefined, positionals: string[], options: object }}
+ * @throws {Error} On unknown options, missing option values or an invalid --concurrency, --port or --runs
+ */
+export function parseCliArguments(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "report-dir": { type: "string", default: "reports" },
+      format: { type: "string", multiple: true },
+      concurrency: { type: "string" },
+      tags: { type: "string" },
+      filter: { type: "string" },
+      env: { type: "string" },
+      "env-file": { type: "string", multiple: true },
+      config: { type: "string" },
+      "update-snapshots": { type: "boolean", default: false },
+      history: { type: "string" },
+      "no-history": { type: "boolean", default: false },
+      "no-notify": { type: "boolean", default: false },
+      runs: { type: "string" },
+      port: { type: "string" },
+      host: { type: "string", default: "127.0.0.1" },
+      out: { type: "string", default: "suites" },
+      from: { type: "string" },
+      force: { type: "boolean", default: false },
+      quiet: { type: "boolean", short: "q", default: false },
+      "no-logo": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [command, ...rest] = positionals;
+
+  const formats = (values.format || ["html"])
+    .flatMap((format) => format.split(","))
+    .map((format) => format.trim().toLowerCase())
+    .filter(Boolean);
+
+  let concurrency;
+  if (values.concurrency !== undefined) {
+    concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`--concurrency must be a whole number of at least 1, got "${values.concurrency}".`);
+    }
+  }
+
+  let port;
+  if (values.port !== undefined) {
+    port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`--port must be a whole number between 0 and 65535, got "${values.port}".`);
+    }
+  }
+
+  let runs;
+  if (values.runs !== undefined) {
+    runs = Number(values.runs);
+    if (!Number.isInteger(runs) || runs < 1) {
+      throw new Error(`--runs must be a whole number of at least 1, got "${values.runs}".`);
+    }
+  }
+
+  return {
+    command,
+    positionals: rest,
+    options: {
+      reportDir: values["report-dir"],
+      formats: [...new Set(formats)],
+      concurrency,
+      tags: values.tags,
+      filter: values.filter,
+      environment: values.env,
+      envFiles: values["env-file"] || [],
+      configPath: values.config,
+      updateSnapshots: values["update-snapshots"],
+      historyFile: values.history,
+      history: !values["no-history"],
+      notify: !values["no-notify"],
+      runs,
+      port,
+      host: values.host,
+      outDir: values.out,
+      from: values.from?.toLowerCase(),
+      force: values.force,
+      quiet: values.quiet,
+      logo: !values.quiet && !values["no-logo"],
+      help: values.help,
+    },
+  };
+}
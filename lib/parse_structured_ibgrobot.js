@@ -1,31 +1,112 @@
 import fs from 'fs';
+import path from 'path';
 import yaml from 'js-yaml';
+import { resolveEnvironment, substituteEnv, registerSecrets, envReferences } from './environment.js';
+import { expandDataCases } from './expand_data_cases.js';
+import { logger } from './logger.js';
 
 /**
  * Parses a .ibgrobot file containing YAML data.
  *
+ * `${VAR}` / `${VAR:-default}` placeholders anywhere in the file are replaced
+ * with environment variables (process env, then .env files) at load time.
+ * The selected environment profile's variables are merged over the suite's
+ * `variables`, and `env` is kept for `{{ env.X }}` placeholders at run time.
+ * Test cases with `data` / `matrix` are expanded into one test case per row.
+ * Each test case's `tags` is a list holding its own tags and the suite's.
+ *
  * @param {string} filePath - The path to the .ibgrobot file
+ * @param {object} [options]
+ * @param {string} [options.environment] - Name of the environment profile (`--env`)
+ * @param {string[]} [options.envFiles] - Extra .env files (`--env-file`)
+ * @param {object} [options.projectConfig] - Result of loadProjectConfig
  * @returns {object|null} - An object containing parsed data or null if parsing fails
  */
-export function parseIbgrobotConfiguration(filePath) {
+export function parseIbgrobotConfiguration(filePath, options = {}) {
     try {
       const fileContent = fs.readFileSync(filePath, 'utf-8');
-      const data = yaml.load(fileContent);
-  
+      const { environments, ...rawData } = yaml.load(fileContent) || {};
+
+      // Relative file references (body_file, multipart files, ...) resolve against the suite's folder
+      const baseDir = path.dirname(path.resolve(filePath));
+
+      const environment = resolveEnvironment({
+        name: options.environment,
+        suiteEnvironments: environments,
+        suiteSecrets: rawData.secrets,
+        suiteBaseDir: baseDir,
+        projectConfig: options.projectConfig,
+        envFiles: options.envFiles,
+      });
+      const data = substituteEnv(rawData, environment.env);
+
       const {
         name,
         url,
         method,
         headers,
+        auth,
+        variables: suiteVariables,
         suite_pre_script,
         suite_post_script,
+        timeout,
+        retries,
+        serial,
+        plugins,
+        save_to_history,
+        sync_to_slack,
+        report_results,
+        target_squads,
+        target_owners,
+        tags,
         test_cases: testCases = [],
-      } = data || {};
-  
-      return { name, url, method, headers, suite_pre_script, suite_post_script, testCases };
+      } = data;
+
+      const variables = { ...suiteVariables, ...environment.variables };
+      registerSecrets({
+        env: environment.env,
+        variables,
+        secrets: environment.secrets,
+        referenced: envReferences([rawData, environments]),
+      });
+
+      return {
+        name,
+        url,
+        method,
+        headers,
+        auth,
+        variables,
+        env: environment.env,
+        environment: options.environment,
+        suite_pre_script,
+        suite_post_script,
+        timeout,
+        retries,
+        serial,
+        plugins,
+        saveToHistory: save_to_history !== false,
+        syncToSlack: sync_to_slack !== false,
+        reportResults: report_results !== false,
+        targetSquads: toList(target_squads),
+        targetOwners: toList(target_owners),
+        tags: toList(tags).map(String),
+        testCases: expandDataCases(testCases, baseDir).map((testCase) => ({
+          ...testCase,
+          tags: [...new Set([...toList(tags), ...toList(testCase.tags)].map(String))],
+        })),
+        baseDir,
+        filePath: path.resolve(filePath),
+      };
     } catch (err) {
-      console.error(`Error parsing .ibgrobot file at "${filePath}": ${err.message}`);
+      logger.error(`Error parsing .ibgrobot file at "${filePath}": ${err.message}`);
       return null;
     }
   }
-  
\ No newline at end of file
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+
+export const PROJECT_CONFIG_FILES = [
+  "ibgroboot.config.yaml",
+  "ibgroboot.config.yml",
+  "ibgroboot.config.json",
+];
+
+/**
+ * loadProjectConfig - Loads the project-wide settings shared by every suite
+ *   (environment profiles, ...).
+ *
+ *   Looks for one of PROJECT_CONFIG_FILES in `cwd` unless an explicit path is given.
+ *
+ * @param {string} [configPath] - Explicit config file (e.g. from `--config`)
+ * @param {string} [cwd]
+ * @returns {{ config: object, baseDir: string, filePath: string|null }}
+ * @throws {Error} If an explicit file is missing or any config file is not valid YAML/JSON
+ */
+export function loadProjectConfig(configPath, cwd = process.cwd()) {
+  let filePath = null;
+
+  if (configPath) {
+    filePath = path.resolve(cwd, configPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file "${configPath}" does not exist.`);
+    }
+  } else {
+    filePath =
+      PROJECT_CONFIG_FILES.map((name) => path.join(cwd, name)).find((candidate) =>
+        fs.existsSync(candidate)
+      ) || null;
+  }
+
+  if (!filePath) {
+    return { config: {}, baseDir: cwd, filePath: null };
+  }
+
+  try {
+    const config = yaml.load(fs.readFileSync(filePath, "utf8")) || {};
+    return { config, baseDir: path.dirname(filePath), filePath };
+  } catch (err) {
+    throw new Error(`Error parsing config file "${filePath}": ${err.message}`);
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * redact.js
+ * ---------
+ * Process-wide registry of secret values (tokens, passwords, ...). Anything
+ * printed through the logger goes through `redact`, which replaces every
+ * registered value with a mask. Reports are rendered from results passed
+ * through `redactValues` first: masking the rendered JSON, XML or HTML would
+ * also hit numbers, booleans and markup that happen to equal a secret.
+ */
+
+export const MASK = "****";
+
+// Names that look like they hold credentials
+const SECRET_NAME_PATTERN = /(secret|token|passw(or)?d|api[_-]?key|authorization|credential|private[_-]?key)/i;
+
+// Shorter values would mask unrelated text all over the output
+export const MIN_SECRET_LENGTH = 8;
+
+const secrets = new Set();
+
+/**
+ * registerSecret - Marks a value as secret from now on.
+ * @param {*} value
+ */
+export function registerSecret(value) {
+  if (value === undefined || value === null || typeof value === "object") {
+    return;
+  }
+  const text = String(value);
+  if (text.length >= MIN_SECRET_LENGTH) {
+    secrets.add(text);
+  }
+}
+
+/**
+ * isSecretName - Whether a variable name suggests it holds a credential.
+ */
+export function isSecretName(name) {
+  return SECRET_NAME_PATTERN.test(String(name));
+}
+
+/**
+ * redact - Masks every registered secret in `text`. Non-strings are returned as-is.
+ */
+export function redact(text) {
+  if (typeof text !== "string" || secrets.size === 0) {
+    return text;
+  }
+  let result = text;
+  // Longest first, so a secret containing another one is masked whole
+  for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+    result = result.split(secret).join(MASK);
+  }
+  return result;
+}
+
+/**
+ * redactValues - A copy of `value` with every string in it (deeply) masked.
+ *   Numbers, booleans, keys and anything but plain objects and arrays (Dates,
+ *   Buffers, ...) are left as they are.
+ */
+export function redactValues(value) {
+  if (secrets.size === 0) {
+    return value;
+  }
+  if (typeof value === "string") {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValues);
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = redactValues(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
@@ -1,31 +1,30 @@
-import fs from 'fs';
 import path from 'path';
+import { TEST_STATUS, summarizeResults } from './test_result.js';
+import { parsePath, formatPath } from './resolve_path.js';
+
+const STATUS_LABELS = {
+  [TEST_STATUS.PASSED]: 'PASS',
+  [TEST_STATUS.FAILED]: 'FAIL',
+  [TEST_STATUS.ERROR]: 'ERROR',
+  [TEST_STATUS.SKIPPED]: 'SKIP',
+};
 
 
 ////////////////////////////////////////////////////////////////
 // 2) Aggregate / build data for the HTML template placeholders
 ////////////////////////////////////////////////////////////////
-export function buildReportData(testResults, testSuiteName) {
-  // Overall stats
-  let totalTests = 0;
-  let totalPassedTests = 0;
-  let totalFailedTests = 0;
-  let totalSkippedTests = 0; // If skipping is part of your logic
+export function buildReportData(suites, history = null) {
+  // Overall stats; errored test cases count as failures in the Fail column
+  const stats = summarizeResults(suites.flatMap(suite => suite.testResults));
 
   // We'll also build the table rows for the "Detailed Test Case Results"
   let testCaseRowsHtml = '';
+  const allTags = new Set();
 
-  testResults.forEach((tc) => {
-    totalTests += 1;
-    
-    // If ANY assertion fails => the test case as a whole fails
-    const allAssertionsPass = tc.assertions.every(a => a.passed);
-    const testCasePassed = allAssertionsPass;
-    if (testCasePassed) {
-      totalPassedTests += 1;
-    } else {
-      totalFailedTests += 1;
-    }
+  // With several suites, each test case row names its suite
+  const showSuite = suites.length > 1;
+
+  suites.forEach((suite) => suite.testResults.forEach((tc) => {
 
     // Build an HTML snippet showing each assertion
     const assertionsList = tc.assertions.map(a => {
@@ -33,32 +32,75 @@ export function buildReportData(testResults, testSuiteName) {
       const badgeClass = a.passed ? 'badge-pass' : 'badge-fail';
       return `
         <li>
-          ${a.assertion}: 
+          ${escapeHtml(a.assertion)}:
           <span class="${badgeClass}">${statusText}</span><br>
-          <code>${a.message}</code>
+          <code>${escapeHtml(a.message)}</code>
+          ${a.passed ? '' : renderViolations(a.violations)}
+        </li>
+      `;
+    }).join('');
+
+    // Hook scripts (pre/post/teardown) and whatever they printed
+    const hooksList = (tc.hooks || []).map(h => {
+      const statusText = h.passed ? 'PASS' : 'FAIL';
+      const badgeClass = h.passed ? 'badge-pass' : 'badge-fail';
+      return `
+        <li>
+          ${escapeHtml(h.hook)} <code>${escapeHtml(h.script)}</code>:
+          <span class="${badgeClass}">${statusText}</span>
+          ${h.output ? `<pre class="hook-output">${escapeHtml(h.output)}</pre>` : ''}
         </li>
       `;
     }).join('');
 
-    // Build one table row per testCase
+    // Errored cases never reached their assertions; skipped ones never ran
+    let details = '';
+    if (tc.error) {
+      details = `
+        <p class="error-message">Error (${escapeHtml(tc.error.stage)}): <code>${escapeHtml(tc.error.message)}</code></p>
+        ${tc.error.stack ? `<details><summary>Stack trace</summary><pre class="hook-output">${escapeHtml(tc.error.stack)}</pre></details>` : ''}
+      `;
+    } else if (tc.status === TEST_STATUS.SKIPPED) {
+      details = `<p class="skip-reason">Skipped: ${escapeHtml(tc.skipReason)}</p>`;
+    }
+
+    const tags = tc.tags || [];
+    tags.forEach(tag => allTags.add(tag));
+    const failing = tc.status === TEST_STATUS.FAILED || tc.status === TEST_STATUS.ERROR;
+    const searchText = [suiteLabel(suite), tc.testCase, ...tags, ...tc.assertions.map(a => `${a.assertion} ${a.message}`)]
+      .join(' ')
+      .toLowerCase();
+
+    // One <tbody> per test case: the summary row, then its collapsible request/response panel
     testCaseRowsHtml += `
-      <tr>
-        <td>${tc.testCase}</td>
-        <td>—</td> <!-- Placeholder if you want to show tags -->
+      <tbody class="case" data-status="${tc.status}" data-tags="${escapeHtml(JSON.stringify(tags))}" data-search="${escapeHtml(searchText)}">
+      <tr class="case-row" tabindex="0" aria-expanded="${failing}">
+        <td><span class="toggle" aria-hidden="true"></span>${showSuite ? `<span class="suite-name">${escapeHtml(suiteLabel(suite))} ›</span> ` : ''}${escapeHtml(tc.testCase)}</td>
+        <td>${tags.length > 0 ? tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ') : '—'}</td>
         <td>
-          <ul>${assertionsList}</ul>
+          ${details}
+          ${assertionsList ? `<ul>${assertionsList}</ul>` : ''}
+          ${hooksList ? `<ul class="hooks">${hooksList}</ul>` : ''}
         </td>
-        <td>${testCasePassed ? 'PASS' : 'FAIL'}</td>
-        <td>00:00:00</td>
+        <td class="status-${tc.status}">${STATUS_LABELS[tc.status]}</td>
+        <td>${formatElapsed(tc.durationMs)}</td>
+      </tr>
+      <tr class="case-panel"${failing ? '' : ' hidden'}>
+        <td colspan="5">${renderCasePanel(tc)}</td>
       </tr>
+      </tbody>
     `;
-  });
+  }));
 
   // For the top "All Tests" row
-  const total = totalTests;
-  const pass = totalPassedTests;
-  const fail = totalFailedTests;
-  const skip = totalSkippedTests;
+  const total = stats.total;
+  const pass = stats.passed;
+  const fail = stats.failed + stats.errored;
+  const skip = stats.skipped;
+  // Suites may have run side by side, so the run takes as long as first start to last end
+  const runStart = Math.min(...suites.map(suite => suite.startedAt.getTime()));
+  const runEnd = Math.max(...suites.map(suite => suite.startedAt.getTime() + suite.durationMs));
+  const elapsed = formatElapsed(runEnd - runStart);
   
   // Progress bar logic (percentage)
   const passPercent = (pass / total) * 100 || 0;
@@ -66,54 +108,93 @@ export function buildReportData(testResults, testSuiteName) {
   const skipPercent = (skip / total) * 100 || 0;
 
   const overallPassed = fail === 0;
-  const statusText = overallPassed ? 'All tests passed' : 'Some tests failed';
+  const statusText = overallPassed
+    ? 'All tests passed'
+    : stats.errored > 0 ? 'Some tests failed or errored' : 'Some tests failed';
   const statusClass = overallPassed ? 'status-passed' : 'status-failed';
-  const now = new Date().toLocaleDateString();
 
   // Return an object with placeholders
   return {
     STATUS_CLASS: statusClass,
     STATUS_TEXT: statusText,
-    START_TIME: now,
-    END_TIME: now,
-    ELAPSED_TIME: '00:00:00.000',
-    LOG_FILE: 'log.html',
+    START_TIME: formatTimestamp(runStart),
+    END_TIME: formatTimestamp(runEnd),
+    ELAPSED_TIME: elapsed,
 
     ALL_TESTS_TOTAL: total,
     ALL_TESTS_PASS: pass,
     ALL_TESTS_FAIL: fail,
     ALL_TESTS_SKIP: skip,
-    ALL_TESTS_ELAPSED: '00:00:00',
+    ALL_TESTS_ELAPSED: elapsed,
     ALL_TESTS_PASS_PERCENT: passPercent.toFixed(0),
     ALL_TESTS_FAIL_PERCENT: failPercent.toFixed(0),
     ALL_TESTS_SKIP_PERCENT: skipPercent.toFixed(0),
 
-    // If you want to show tags or suite info, you can build them similarly
-    TAGS_ROWS: `
-      <tr>
-        <td>—</td>
-        <td>${total}</td>
-        <td>${pass}</td>
-        <td>${fail}</td>
-        <td>${skip}</td>
-        <td>00:00:00</td>
-        <td>
-          <div class="progress-container">
-            <div class="progress-bar-pass" style="width: ${passPercent}%"></div>
-            <div class="progress-bar-fail" style="width: ${failPercent}%"></div>
-            <div class="progress-bar-skip" style="width: ${skipPercent}%"></div>
-          </div>
-        </td>
-      </tr>
-    `,
-    SUITE_ROWS: `
+    TAGS_ROWS: buildTagRows(suites),
+    SUITE_ROWS: suites.map(buildSuiteRow).join(''),
+
+    HISTORY_SECTION: buildHistorySection(history),
+
+    TEST_CASE_ROWS: testCaseRowsHtml,
+    TEST_CASE_COUNT: total,
+    TAG_OPTIONS: [...allTags].sort().map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join(''),
+
+    GENERATED_TIME: formatTimestamp(Date.now()),
+  };
+}
+
+/**
+ * buildSuiteRow - One row of the "Test Statistics by Suite" table.
+ */
+function buildSuiteRow(suite) {
+  return buildStatsRow(escapeHtml(suiteLabel(suite)), suite.testResults, suite.durationMs);
+}
+
+/**
+ * buildTagRows - The "Test Statistics by Tag" table: one row per tag, counting
+ *   every test case that has it (see tc.tags), so a case appears under each of
+ *   its tags. Elapsed is the sum of those cases' durations.
+ */
+function buildTagRows(suites) {
+  const byTag = new Map();
+  for (const tc of suites.flatMap(suite => suite.testResults)) {
+    for (const tag of tc.tags || []) {
+      if (!byTag.has(tag)) {
+        byTag.set(tag, []);
+      }
+      byTag.get(tag).push(tc);
+    }
+  }
+  if (byTag.size === 0) {
+    return `
+      <tr><td colspan="7" class="muted">No test case has tags.</td></tr>
+    `;
+  }
+  return [...byTag.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map(tag => {
+      const results = byTag.get(tag);
+      return buildStatsRow(`<span class="tag">${escapeHtml(tag)}</span>`, results, summarizeResults(results).durationMs);
+    })
+    .join('');
+}
+
+// labelHtml is inserted as it is, so it must already be escaped
+function buildStatsRow(labelHtml, results, durationMs) {
+  const stats = summarizeResults(results);
+  const fail = stats.failed + stats.errored;
+  const passPercent = (stats.passed / stats.total) * 100 || 0;
+  const failPercent = (fail / stats.total) * 100 || 0;
+  const skipPercent = (stats.skipped / stats.total) * 100 || 0;
+
+  return `
       <tr>
-        <td>${testSuiteName}</td>
-        <td>${total}</td>
-        <td>${pass}</td>
+        <td>${labelHtml}</td>
+        <td>${stats.total}</td>
+        <td>${stats.passed}</td>
         <td>${fail}</td>
-        <td>${skip}</td>
-        <td>00:00:00</td>
+        <td>${stats.skipped}</td>
+        <td>${formatElapsed(durationMs)}</td>
         <td>
           <div class="progress-container">
             <div class="progress-bar-pass" style="width: ${passPercent}%"></div>
@@ -122,59 +203,366 @@ export function buildReportData(testResults, testSuiteName) {
           </div>
         </td>
       </tr>
-    `,
+    `;
+}
 
-    TEST_CASE_ROWS: testCaseRowsHtml,
+// Runs shown in the pass-rate trend table
+const HISTORY_TREND_RUNS = 10;
 
-    GENERATED_TIME: now,
-  };
+/**
+ * buildHistorySection - Pass-rate trend of the latest runs, test cases newly
+ *   failing since their previous run and flaky ones (see history.js). Empty
+ *   when the run keeps no history.
+ */
+function buildHistorySection(history) {
+  if (!history || history.trend.length === 0) {
+    return '';
+  }
+
+  const trendRows = history.trend.slice(-HISTORY_TREND_RUNS).reverse().map(run => {
+    const percent = run.passRate === null ? 0 : run.passRate * 100;
+    return `
+        <tr>
+          <td>${escapeHtml(new Date(run.startedAt).toLocaleString())}${run.environment ? ` <span class="suite-name">(${escapeHtml(run.environment)})</span>` : ''}</td>
+          <td>${run.total}</td>
+          <td>${run.passed}</td>
+          <td>${run.failed + run.errored}</td>
+          <td>${run.skipped}</td>
+          <td>${run.passRate === null ? '—' : `${percent.toFixed(0)}%`}</td>
+          <td>
+            <div class="progress-container">
+              <div class="progress-bar-pass" style="width: ${percent}%"></div>
+              <div class="progress-bar-fail" style="width: ${run.passRate === null ? 0 : 100 - percent}%"></div>
+            </div>
+          </td>
+        </tr>`;
+  }).join('');
+
+  const caseName = entry => `<span class="suite-name">${escapeHtml(entry.suite)} ›</span> ${escapeHtml(entry.testCase)}`;
+  const newlyFailing = history.newlyFailing.map(entry => `
+        <li>${caseName(entry)}: <span class="status-${entry.status}">${STATUS_LABELS[entry.status]}</span>${entry.failedAssertions.length > 0 ? ` (${escapeHtml(entry.failedAssertions.join(', '))})` : ''}, passed ${escapeHtml(new Date(entry.lastPassedAt).toLocaleString())}</li>`).join('');
+  const flaky = history.flaky.map(entry => `
+        <li>${caseName(entry)}: ${entry.flips} flips in ${entry.runs} runs, ${(entry.passRate * 100).toFixed(0)}% passed${entry.failingAssertions.length > 0 ? ` (fails on ${escapeHtml(entry.failingAssertions.map(a => `${a.assertion} ×${a.count}`).join(', '))})` : ''}</li>`).join('');
+
+  return `
+    <h2>History</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Run</th>
+          <th>Total</th>
+          <th>Pass</th>
+          <th>Fail</th>
+          <th>Skip</th>
+          <th>Pass Rate</th>
+          <th>Pass / Fail</th>
+        </tr>
+      </thead>
+      <tbody>${trendRows}
+      </tbody>
+    </table>
+    <h3>Newly failing since the previous run</h3>
+    ${newlyFailing ? `<ul class="history-list">${newlyFailing}</ul>` : '<p>None.</p>'}
+    <h3>Flaky test cases</h3>
+    ${flaky ? `<ul class="history-list">${flaky}</ul>` : '<p>None.</p>'}
+  `;
+}
+
+// Lines of a pretty-printed body shown before it is cut off
+const MAX_BODY_LINES = 400;
+
+// First segments of the violation paths that are about the response rather than its body
+const RESPONSE_FIELDS = new Set(['status', 'headers', 'durationMs']);
+
+/**
+ * renderCasePanel - The collapsible part of a test case row: every attempt,
+ *   the request as sent and the response as received. Body and header lines
+ *   that an assertion's violations point at are highlighted.
+ */
+function renderCasePanel(tc) {
+  const attempts = tc.attempts || [];
+  const attemptsList = attempts.length > 1
+    ? `<p class="attempts">${attempts.length} attempts</p><ul class="hooks">${attempts.map(at => `
+        <li>#${at.attempt}: ${at.status ?? escapeHtml(at.error)} (${Math.round(at.durationMs)}ms, ${escapeHtml(at.outcome)})</li>`).join('')}
+      </ul>`
+    : '';
+
+  const marks = violationPaths(tc.assertions);
+  const request = tc.request
+    ? `
+        <h4>Request</h4>
+        <p><code>${escapeHtml(String(tc.request.method || 'GET').toUpperCase())} ${escapeHtml(tc.request.url)}</code></p>
+        ${renderHeaders(tc.request.headers)}
+        ${renderBody(tc.request.body)}`
+    : '<h4>Request</h4><p class="muted">Not sent.</p>';
+  const response = tc.response
+    ? `
+        <h4>Response</h4>
+        <p><code${marks.has('status') ? ' class="marked"' : ''}>${tc.response.status} ${escapeHtml(tc.response.statusText)}</code> in <span${marks.has('durationMs') ? ' class="marked"' : ''}>${Math.round(tc.response.durationMs)}ms</span></p>
+        ${renderHeaders(tc.response.headers, marks)}
+        ${renderBody(tc.response.body, marks)}`
+    : '<h4>Response</h4><p class="muted">No response.</p>';
+
+  return `
+      ${attemptsList}
+      <div class="panels">
+        <div class="panel">${request}</div>
+        <div class="panel">${response}</div>
+      </div>`;
+}
+
+/**
+ * violationPaths - The normalized paths (see resolve_path.js) every failed
+ *   assertion's violations point at.
+ */
+function violationPaths(assertions = []) {
+  const paths = new Set();
+  for (const a of assertions) {
+    if (a.passed) {
+      continue;
+    }
+    for (const v of a.violations || []) {
+      try {
+        paths.add(formatPath(parsePath(v.path ?? '$')));
+      } catch {
+        // A plugin may report a path that is not a field path; nothing to highlight
+      }
+    }
+  }
+  return paths;
+}
+
+function renderHeaders(headers = {}, marks = new Set()) {
+  const entries = Object.entries(headers || {});
+  if (entries.length === 0) {
+    return '';
+  }
+  const rows = entries.map(([name, value]) => {
+    const marked = marks.has(formatPath(['headers', String(name).toLowerCase()]));
+    return `<tr${marked ? ' class="marked"' : ''}><td><code>${escapeHtml(name)}</code></td><td><code>${escapeHtml(Array.isArray(value) ? value.join(', ') : value)}</code></td></tr>`;
+  }).join('');
+  return `<details class="headers"><summary>Headers (${entries.length})</summary><table class="violations">${rows}</table></details>`;
+}
+
+/**
+ * renderBody - A body as a <pre> block; JSON is pretty-printed with one line
+ *   per field so violated fields can be highlighted. A field that is missing
+ *   highlights its closest existing parent.
+ */
+function renderBody(body, marks = new Set()) {
+  if (body === undefined || body === null || body === '') {
+    return '<p class="muted">No body.</p>';
+  }
+  if (typeof body === 'string') {
+    return `<pre class="body">${escapeHtml(body)}</pre>`;
+  }
+  if (body.type === 'Buffer' && Array.isArray(body.data)) {
+    return `<p class="muted">[binary, ${body.data.length} bytes]</p>`;
+  }
+  if (Buffer.isBuffer(body)) {
+    return `<p class="muted">[binary, ${body.length} bytes]</p>`;
+  }
+
+  const highlighted = new Set();
+  for (const mark of marks) {
+    const segments = parsePath(mark);
+    if (!RESPONSE_FIELDS.has(segments[0])) {
+      highlighted.add(formatPath(closestExistingPath(body, segments)));
+    }
+  }
+  const lines = [];
+  jsonLines(body, [], 0, null, true, highlighted, lines);
+  const shown = lines.slice(0, MAX_BODY_LINES).join('\n');
+  const more = lines.length > MAX_BODY_LINES ? `\n<span class="muted">… ${lines.length - MAX_BODY_LINES} more lines</span>` : '';
+  return `<pre class="body">${shown}${more}</pre>`;
+}
+
+function jsonLines(value, segments, depth, key, last, highlighted, lines) {
+  const indent = '  '.repeat(depth);
+  const label = key === null ? '' : `<span class="json-key">${escapeHtml(JSON.stringify(key))}</span>: `;
+  const comma = last ? '' : ',';
+  const open = line => highlighted.has(formatPath(segments)) ? `<mark>${line}</mark>` : line;
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    const [start, end] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+    if (entries.length === 0) {
+      lines.push(open(`${indent}${label}${start}${end}${comma}`));
+      return;
+    }
+    lines.push(open(`${indent}${label}${start}`));
+    entries.forEach(([childKey, child], index) => {
+      jsonLines(child, [...segments, childKey], depth + 1, Array.isArray(value) ? null : childKey, index === entries.length - 1, highlighted, lines);
+    });
+    lines.push(`${indent}${end}${comma}`);
+    return;
+  }
+  lines.push(open(`${indent}${label}<span class="json-${value === null ? 'null' : typeof value}">${escapeHtml(JSON.stringify(value))}</span>${comma}`));
+}
+
+function closestExistingPath(body, segments) {
+  let current = body;
+  const existing = [];
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      break;
+    }
+    current = current[segment];
+    existing.push(segment);
+  }
+  return existing;
+}
+
+/**
+ * formatTimestamp - Local time as YYYY-MM-DD HH:MM:SS.mmm
+ */
+function formatTimestamp(time) {
+  const date = new Date(time);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * renderViolations - Table of every violation an assertion found: field path,
+ *   rule, expected and actual value.
+ */
+function renderViolations(violations = []) {
+  if (violations.length === 0) {
+    return '';
+  }
+  const rows = violations.map(v => `
+            <tr>
+              <td><code>${escapeHtml(v.path)}</code></td>
+              <td>${escapeHtml(v.rule)}</td>
+              <td><code>${escapeHtml(formatValue(v.expected))}</code></td>
+              <td><code>${escapeHtml(formatValue(v.actual))}</code></td>
+            </tr>`).join('');
+  return `
+          <table class="violations">
+            <tr><th>Path</th><th>Rule</th><th>Expected</th><th>Actual</th></tr>${rows}
+          </table>`;
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return '—';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+function suiteLabel(suite) {
+  return suite.name ?? path.basename(suite.file);
+}
+
+/**
+ * formatElapsed - Milliseconds as HH:MM:SS.mmm
+ */
+function formatElapsed(durationMs = 0) {
+  const totalMs = Math.round(durationMs);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(totalMs % 1000, 3)}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 ////////////////////////////////////////////////////////////////
-// 3) HTML Template (Light Mode, Robot-Like)
+// 3) HTML Template (Robot-Like, light or dark)
 ////////////////////////////////////////////////////////////////
-const lightReportTemplate = `
+// Self-contained: styles and the filtering script are inline, nothing is fetched.
+// The template only holds {{PLACEHOLDERS}}; every value filled in is escaped.
+const reportTemplate = `
 <!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
   <title>IBGRoboot Test Suite Report</title>
   <style>
+    :root {
+      --bg: #fefefe;
+      --text: #333;
+      --muted: #777;
+      --bar: #e9e9e9;
+      --border: #ccc;
+      --th: #f3f3f3;
+      --code-bg: #f6f6f6;
+      --code-border: #e0e0e0;
+      --mark: #ffe58f;
+      --pass: #4caf50;
+      --fail: #f44336;
+      --error: #b71c1c;
+      --skip: #ff9800;
+      --tag-bg: #e3ecf7;
+      --tag-text: #2c5282;
+      --json-key: #7b1fa2;
+      --json-string: #2e7d32;
+      --json-number: #1565c0;
+    }
+    [data-theme="dark"] {
+      --bg: #1b1d21;
+      --text: #ddd;
+      --muted: #999;
+      --bar: #26292e;
+      --border: #3d4148;
+      --th: #2a2d33;
+      --code-bg: #23262b;
+      --code-border: #3d4148;
+      --mark: #5c4a12;
+      --error: #ef5350;
+      --tag-bg: #2a3a50;
+      --tag-text: #a9c7ef;
+      --json-key: #ce93d8;
+      --json-string: #a5d6a7;
+      --json-number: #90caf9;
+    }
     body {
       margin: 0; padding: 0;
       font-family: "Helvetica Neue", Arial, sans-serif;
-      background-color: #fefefe;
-      color: #333;
+      background-color: var(--bg);
+      color: var(--text);
     }
     h1, h2, h3 {
       margin: 0.75em 0 0.5em;
       font-weight: 600;
     }
+    h4 {
+      margin: 0.5em 0 0.3em;
+    }
     .header, .footer {
       padding: 10px 20px;
-      background-color: #e9e9e9;
+      background-color: var(--bar);
+    }
+    .header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
     }
     .content {
       padding: 20px;
     }
+    .badge-pass, .badge-fail {
+      display: inline-block;
+      padding: 2px 6px;
+      color: #fff;
+      border-radius: 3px;
+      font-size: 13px;
+    }
     .badge-pass {
-    display: inline-block;
-    padding: 2px 6px;
-    background-color: #4caf50;
-    color: #fff;
-    border-radius: 3px;
-    /* font-weight: bold; */
-    font-size: 13px;
+      background-color: var(--pass);
     }
-
     .badge-fail {
-          display: inline-block;
-    padding: 2px 6px;
-    background-color: #f44336;
-    color: #fff;
-    border-radius: 3px;
-    /* font-weight: bold; */
-    font-size: 13px;
+      background-color: var(--fail);
     }
     .summary-info p {
       margin: 0.2em 0;
@@ -185,56 +573,181 @@ const lightReportTemplate = `
       margin-bottom: 20px;
     }
     th, td {
-      border: 1px solid #ccc;
+      border: 1px solid var(--border);
       padding: 6px 8px;
       text-align: left;
+      vertical-align: top;
     }
     th {
-      background-color: #f3f3f3;
+      background-color: var(--th);
     }
     .status-passed {
-      color: #4caf50;
+      color: var(--pass);
       font-weight: 600;
     }
     .status-failed {
-      color: #f44336;
+      color: var(--fail);
       font-weight: 600;
     }
+    .status-error {
+      color: var(--error);
+      font-weight: 600;
+    }
+    .status-skipped {
+      color: var(--skip);
+      font-weight: 600;
+    }
+    .suite-name, .muted {
+      color: var(--muted);
+    }
+    .tag {
+      display: inline-block;
+      padding: 1px 6px;
+      margin: 1px 0;
+      border-radius: 10px;
+      background-color: var(--tag-bg);
+      color: var(--tag-text);
+      font-size: 12px;
+    }
+    table.violations {
+      width: auto;
+      margin: 4px 0 6px;
+      font-size: 12px;
+    }
+    table.violations th, table.violations td {
+      padding: 2px 6px;
+    }
+    .error-message, .skip-reason, .attempts {
+      margin: 0 0 4px;
+    }
     .progress-container {
       height: 15px;
-      background-color: #e0e0e0;
+      background-color: var(--code-border);
       margin: 0.3em 0;
       position: relative;
       border-radius: 2px;
       overflow: hidden;
     }
     .progress-bar-pass {
-      background-color: #4caf50;
+      background-color: var(--pass);
       height: 100%;
       float: left;
     }
     .progress-bar-fail {
-      background-color: #f44336;
+      background-color: var(--fail);
       height: 100%;
       float: left;
     }
     .progress-bar-skip {
-      background-color: #ff9800;
+      background-color: var(--skip);
       height: 100%;
       float: left;
     }
     ul {
       margin: 0; padding-left: 20px;
     }
+    ul.history-list {
+      margin-bottom: 12px;
+    }
+    ul.hooks {
+      margin-top: 6px;
+      color: var(--muted);
+    }
+    .hook-output, pre.body {
+      margin: 4px 0;
+      padding: 4px 6px;
+      background-color: var(--code-bg);
+      border: 1px solid var(--code-border);
+      font-size: 12px;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    pre.body {
+      max-height: 480px;
+      overflow: auto;
+    }
+    .json-key { color: var(--json-key); }
+    .json-string { color: var(--json-string); }
+    .json-number, .json-boolean, .json-null { color: var(--json-number); }
+    mark, tr.marked td, .marked {
+      background-color: var(--mark);
+      color: inherit;
+    }
+    .toolbar {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 12px;
+      align-items: center;
+      margin-bottom: 10px;
+    }
+    .toolbar label {
+      white-space: nowrap;
+    }
+    .toolbar input[type="search"] {
+      min-width: 220px;
+    }
+    .toolbar input, .toolbar select, button {
+      font: inherit;
+      background-color: var(--bg);
+      color: var(--text);
+      border: 1px solid var(--border);
+      border-radius: 3px;
+      padding: 2px 6px;
+    }
+    button {
+      cursor: pointer;
+    }
+    tr.case-row {
+      cursor: pointer;
+    }
+    tr.case-row:focus {
+      outline: 2px solid var(--tag-text);
+      outline-offset: -2px;
+    }
+    .toggle::before {
+      content: "\\25B8";
+      display: inline-block;
+      width: 1em;
+      color: var(--muted);
+    }
+    tr.case-row[aria-expanded="true"] .toggle::before {
+      content: "\\25BE";
+    }
+    tr.case-panel > td {
+      background-color: var(--code-bg);
+    }
+    .panels {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 16px;
+    }
+    .panel {
+      flex: 1 1 420px;
+      min-width: 0;
+    }
+    details.headers summary {
+      cursor: pointer;
+      color: var(--muted);
+    }
     .footer p {
       margin: 0.2em 0;
       font-size: 0.95em;
     }
   </style>
+  <script>
+    // Before the page is drawn, so a dark report does not flash white
+    (function () {
+      var saved = null;
+      try { saved = localStorage.getItem('ibgroboot-report-theme'); } catch (e) {}
+      var dark = saved ? saved === 'dark' : window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+      document.documentElement.setAttribute('data-theme', dark ? 'dark' : 'light');
+    })();
+  </script>
 </head>
 <body>
   <div class="header">
     <h1>IBGRoboot Test Suite Report</h1>
+    <button type="button" id="theme-toggle">Toggle dark mode</button>
   </div>
 
   <div class="content">
@@ -245,7 +758,6 @@ const lightReportTemplate = `
       <p>Start Time: {{START_TIME}}</p>
       <p>End Time: {{END_TIME}}</p>
       <p>Elapsed Time: {{ELAPSED_TIME}}</p>
-      <p>Log File: <a href="{{LOG_FILE}}" target="_blank">{{LOG_FILE}}</a></p>
     </div>
 
     <!-- Test Statistics -->
@@ -282,6 +794,24 @@ const lightReportTemplate = `
     </table>
 
 
+    <!-- Statistics by Tag -->
+    <table>
+      <thead>
+        <tr>
+          <th>Statistics by Tag</th>
+          <th>Total</th>
+          <th>Pass</th>
+          <th>Fail</th>
+          <th>Skip</th>
+          <th>Elapsed</th>
+          <th>Pass / Fail / Skip</th>
+        </tr>
+      </thead>
+      <tbody>
+        {{TAGS_ROWS}}
+      </tbody>
+    </table>
+
     <!-- Statistics by Suite -->
     <table>
       <thead>
@@ -300,9 +830,29 @@ const lightReportTemplate = `
       </tbody>
     </table>
 
+    <!-- Run history (see history.js) -->
+    {{HISTORY_SECTION}}
+
     <!-- Detailed Test Case Table -->
     <h2>Detailed Test Case Results</h2>
-    <table>
+    <div class="toolbar">
+      <span>Status:</span>
+      <label><input type="checkbox" class="status-filter" value="passed" checked /> Passed</label>
+      <label><input type="checkbox" class="status-filter" value="failed" checked /> Failed</label>
+      <label><input type="checkbox" class="status-filter" value="error" checked /> Error</label>
+      <label><input type="checkbox" class="status-filter" value="skipped" checked /> Skipped</label>
+      <label>Tag:
+        <select id="tag-filter">
+          <option value="">All tags</option>
+          {{TAG_OPTIONS}}
+        </select>
+      </label>
+      <input type="search" id="search" placeholder="Search test cases and assertions" />
+      <button type="button" id="expand-all">Expand all</button>
+      <button type="button" id="collapse-all">Collapse all</button>
+      <span class="muted"><span id="shown-count">{{TEST_CASE_COUNT}}</span> of {{TEST_CASE_COUNT}} shown</span>
+    </div>
+    <table id="test-cases">
       <thead>
         <tr>
           <th>Test Case</th>
@@ -312,15 +862,75 @@ const lightReportTemplate = `
           <th>Elapsed</th>
         </tr>
       </thead>
-      <tbody>
-        {{TEST_CASE_ROWS}}
-      </tbody>
+      {{TEST_CASE_ROWS}}
     </table>
   </div>
 
   <div class="footer">
     <p>Generated {{GENERATED_TIME}}</p>
   </div>
+
+  <script>
+    (function () {
+      var cases = Array.prototype.slice.call(document.querySelectorAll('#test-cases tbody.case'));
+
+      function setExpanded(body, expanded) {
+        body.querySelector('tr.case-row').setAttribute('aria-expanded', String(expanded));
+        body.querySelector('tr.case-panel').hidden = !expanded;
+      }
+
+      cases.forEach(function (body) {
+        var row = body.querySelector('tr.case-row');
+        row.addEventListener('click', function (event) {
+          // Let links, summaries and text selection inside the row behave as usual
+          if (event.target.closest('a, summary, details') || String(window.getSelection()) !== '') {
+            return;
+          }
+          setExpanded(body, row.getAttribute('aria-expanded') !== 'true');
+        });
+        row.addEventListener('keydown', function (event) {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            setExpanded(body, row.getAttribute('aria-expanded') !== 'true');
+          }
+        });
+      });
+
+      function applyFilters() {
+        var statuses = Array.prototype.slice.call(document.querySelectorAll('.status-filter:checked'))
+          .map(function (box) { return box.value; });
+        var tag = document.getElementById('tag-filter').value;
+        var terms = document.getElementById('search').value.toLowerCase().split(/\\s+/).filter(Boolean);
+        var shown = 0;
+        cases.forEach(function (body) {
+          var visible = statuses.indexOf(body.dataset.status) !== -1 &&
+            (!tag || JSON.parse(body.dataset.tags).indexOf(tag) !== -1) &&
+            terms.every(function (term) { return body.dataset.search.indexOf(term) !== -1; });
+          body.hidden = !visible;
+          shown += visible ? 1 : 0;
+        });
+        document.getElementById('shown-count').textContent = shown;
+      }
+
+      Array.prototype.forEach.call(document.querySelectorAll('.status-filter'), function (box) {
+        box.addEventListener('change', applyFilters);
+      });
+      document.getElementById('tag-filter').addEventListener('change', applyFilters);
+      document.getElementById('search').addEventListener('input', applyFilters);
+      document.getElementById('expand-all').addEventListener('click', function () {
+        cases.forEach(function (body) { if (!body.hidden) { setExpanded(body, true); } });
+      });
+      document.getElementById('collapse-all').addEventListener('click', function () {
+        cases.forEach(function (body) { setExpanded(body, false); });
+      });
+
+      document.getElementById('theme-toggle').addEventListener('click', function () {
+        var theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+        document.documentElement.setAttribute('data-theme', theme);
+        try { localStorage.setItem('ibgroboot-report-theme', theme); } catch (e) {}
+      });
+    })();
+  </script>
 </body>
 </html>
 `;
@@ -329,10 +939,8 @@ const lightReportTemplate = `
 // 4) Generate the final HTML from placeholders
 ////////////////////////////////////////////////////////////////
 export function generateReportHtml(reportData) {
-  let html = lightReportTemplate;
-  Object.keys(reportData).forEach((key) => {
-    const placeholder = `{{${key}}}`;
-    html = html.replaceAll(placeholder, reportData[key]);
-  });
-  return html;
+  // A single pass, so placeholder-like text in response bodies is left as it is
+  return reportTemplate.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+    key in reportData ? String(reportData[key]) : placeholder
+  );
 }
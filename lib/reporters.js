@@ -0,0 +1,40 @@
+import { buildReportData, generateReportHtml } from "./report_generator.js";
+import { renderJunitReport } from "./junit_report.js";
+import { renderJsonReport } from "./json_report.js";
+import { renderTapReport } from "./tap_report.js";
+import { renderConsoleReport } from "./console_report.js";
+
+/**
+ * Reporters selectable with `--format`. Each one renders the results of every
+ * suite in the run (an array of SuiteResult, see test_result.js) into a string:
+ *
+ *   render(suites, { history }) => string
+ *
+ * `history` is analyzeHistory's result (see history.js), or null when the run
+ * keeps no history.
+ *
+ * Reporters with an `extension` are written to `<report-dir>/<name>-<time>.<extension>`;
+ * the others (console) are printed to stdout.
+ */
+export const REPORTERS = {
+  html: {
+    extension: "html",
+    render: (suites, { history } = {}) => generateReportHtml(buildReportData(suites, history)),
+  },
+  junit: {
+    extension: "xml",
+    render: renderJunitReport,
+  },
+  json: {
+    extension: "json",
+    render: renderJsonReport,
+  },
+  tap: {
+    extension: "tap",
+    render: renderTapReport,
+  },
+  console: {
+    extension: null,
+    render: renderConsoleReport,
+  },
+};
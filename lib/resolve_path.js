@@ -0,0 +1,172 @@
+/**
+ * resolve_path.js
+ * ---------------
+ * Field addressing for assertions and captures. Accepts dot/bracket paths with
+ * wildcards, optionally prefixed JSONPath-style with `$`:
+ *
+ *   id                     top-level field
+ *   data.user.address.zip  nested objects
+ *   items[0].price         array index
+ *   items[*].price         every item (also items.*.price)
+ *   $.meta["x-trace.id"]   quoted keys for names with dots or spaces
+ *
+ * A field that exists verbatim on the root object (e.g. a key literally named
+ * "user.name") always wins over path interpretation, so existing suites keep working.
+ */
+
+/**
+ * parsePath - Splits a path expression into segments.
+ * @param {string} expression
+ * @returns {Array<string|number>} Keys, indexes, and "*" for wildcards
+ */
+export function parsePath(expression) {
+  const source = String(expression).trim();
+  const segments = [];
+  let i = 0;
+
+  if (source === "$" || source.startsWith("$.") || source.startsWith("$[")) {
+    i = 1;
+  }
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === ".") {
+      i += 1;
+      continue;
+    }
+
+    if (char === "[") {
+      const close = findClosingBracket(source, i);
+      const inner = source.slice(i + 1, close).trim();
+      if (inner === "*") {
+        segments.push("*");
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push(Number(inner));
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        segments.push(inner.slice(1, -1));
+      } else {
+        throw new Error(`Invalid bracket segment "[${inner}]" in path "${expression}".`);
+      }
+      i = close + 1;
+      continue;
+    }
+
+    let end = i;
+    while (end < source.length && source[end] !== "." && source[end] !== "[") {
+      end += 1;
+    }
+    segments.push(source.slice(i, end));
+    i = end;
+  }
+
+  return segments;
+}
+
+/**
+ * resolvePath - Resolves a path against `root` and returns every concrete match.
+ *   Missing fields are returned too (with `exists: false`) so callers can report
+ *   exactly which concrete path was absent, e.g. `items[3].price`.
+ *
+ * @param {*} root
+ * @param {string} expression
+ * @returns {Array<{ path: string, value: *, exists: boolean }>}
+ */
+export function resolvePath(root, expression) {
+  if (isObjectLike(root) && Object.prototype.hasOwnProperty.call(root, expression)) {
+    return [{ path: formatPath([expression]), value: root[expression], exists: true }];
+  }
+
+  let matches = [{ segments: [], value: root, exists: true }];
+
+  for (const segment of parsePath(expression)) {
+    const next = [];
+    for (const match of matches) {
+      if (!match.exists) {
+        next.push(match);
+        continue;
+      }
+
+      const { value } = match;
+      if (segment === "*") {
+        if (!isObjectLike(value)) {
+          next.push({ ...match, exists: false, value: undefined });
+          continue;
+        }
+        const keys = Array.isArray(value) ? value.map((_, index) => index) : Object.keys(value);
+        keys.forEach((key) => {
+          next.push({ segments: [...match.segments, key], value: value[key], exists: true });
+        });
+        continue;
+      }
+
+      const key = typeof segment === "number" && Array.isArray(value) && segment < 0
+        ? value.length + segment
+        : segment;
+      const exists = isObjectLike(value) && Object.prototype.hasOwnProperty.call(value, key);
+      next.push({
+        segments: [...match.segments, key],
+        value: exists ? value[key] : undefined,
+        exists,
+      });
+    }
+    matches = next;
+  }
+
+  return matches.map(({ segments, value, exists }) => ({
+    path: formatPath(segments),
+    value,
+    exists,
+  }));
+}
+
+/**
+ * getPathValue - Convenience for single-valued lookups: the value of the first
+ *   match, or undefined.
+ */
+export function getPathValue(root, expression) {
+  const [first] = resolvePath(root, expression);
+  return first && first.exists ? first.value : undefined;
+}
+
+/**
+ * formatPath - Renders segments back into a readable concrete path.
+ * @param {Array<string|number>} segments
+ */
+export function formatPath(segments) {
+  if (segments.length === 0) {
+    return "$";
+  }
+  return segments
+    .map((segment, index) => {
+      if (typeof segment === "number") {
+        return `[${segment}]`;
+      }
+      if (/^[A-Za-z_$][\w$-]*$/.test(segment)) {
+        return index === 0 ? segment : `.${segment}`;
+      }
+      return `[${JSON.stringify(segment)}]`;
+    })
+    .join("");
+}
+
+function findClosingBracket(source, start) {
+  let quote = null;
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "]") {
+      return i;
+    }
+  }
+  throw new Error(`Unclosed "[" in path "${source}".`);
+}
+
+function isObjectLike(value) {
+  return typeof value === "object" && value !== null;
+}
@@ -0,0 +1,167 @@
+import { spawn } from "child_process";
+import { AsyncLocalStorage } from "async_hooks";
+import path from "path";
+import { format } from "util";
+import { importWithResolvedPath } from "./import_module.js";
+
+const SHELL_EXTENSIONS = new Set([".sh", ".bash"]);
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Collects console output per running JS hook, so hooks running at the same time
+// do not mix their output
+const hookOutput = new AsyncLocalStorage();
+let consolePatched = false;
+
+/**
+ * runHookScript - Runs a pre/post/teardown hook and captures its output.
+ *
+ *   - JS modules (.js/.mjs/.cjs) export a default function or one named after
+ *     the hook (e.g. `preRequest`). It is called with `context` and may mutate
+ *     it or return a value. Anything written to the console is captured.
+ *   - Shell scripts (.sh/.bash) run with `sh` in the suite folder. They get the
+ *     context as JSON on stdin and the IBG_* variables in their environment.
+ *     If stdout ends with a JSON object, it is parsed and returned.
+ *
+ * @param {string} scriptPath - Relative to `baseDir` unless absolute
+ * @param {object} options
+ * @param {string} options.hook - Hook name, used for the exported function and IBG_HOOK
+ * @param {object} options.context - Passed to the hook (JS) or as stdin JSON (shell)
+ * @param {string} options.baseDir
+ * @param {Record<string, string>} [options.env] - Base environment for shell scripts
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ returnValue: *, output: string, durationMs: number }>}
+ * @throws {Error} With `output` and `durationMs` attached, when the hook fails
+ */
+export async function runHookScript(scriptPath, { hook, context, baseDir, env = process.env, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const startedAt = performance.now();
+  const isShell = SHELL_EXTENSIONS.has(path.extname(scriptPath).toLowerCase());
+
+  const buffer = [];
+  try {
+    const returnValue = isShell
+      ? await runShellScript(scriptPath, { hook, context, baseDir, env, timeoutMs, buffer })
+      : await runModuleHook(scriptPath, { hook, context, baseDir, buffer });
+    return { returnValue, output: buffer.join(""), durationMs: performance.now() - startedAt };
+  } catch (err) {
+    err.output = buffer.join("");
+    err.durationMs = performance.now() - startedAt;
+    throw err;
+  }
+}
+
+async function runModuleHook(scriptPath, { hook, context, baseDir, buffer }) {
+  const hookModule = await importWithResolvedPath(scriptPath, baseDir);
+  const hookFn = hookModule.default || hookModule[hook];
+
+  if (typeof hookFn !== "function") {
+    throw new Error(`Module "${scriptPath}" does not export a default or "${hook}" function.`);
+  }
+
+  patchConsole();
+  return hookOutput.run(buffer, () => hookFn(context));
+}
+
+function runShellScript(scriptPath, { hook, context, baseDir, env, timeoutMs, buffer }) {
+  const fullPath = path.resolve(baseDir, scriptPath);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn("sh", [fullPath], {
+      cwd: baseDir,
+      env: { ...env, ...toHookEnv(hook, context) },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    const timer = setTimeout(() => {
+      child.kill("SIGTERM");
+      reject(new Error(`Script "${scriptPath}" timed out after ${timeoutMs}ms.`));
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+      buffer.push(String(chunk));
+    });
+    child.stderr.on("data", (chunk) => buffer.push(String(chunk)));
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(`Script "${scriptPath}" exited with code ${code}.`));
+        return;
+      }
+      resolve(parseTrailingJson(stdout));
+    });
+
+    // The script may not read stdin at all
+    child.stdin.on("error", () => {});
+    child.stdin.end(JSON.stringify(context, jsonReplacer));
+  });
+}
+
+function toHookEnv(hook, context) {
+  const { request = {}, response, testCase } = context;
+  const hookEnv = {
+    IBG_HOOK: hook,
+    IBG_TEST_CASE: testCase?.description ?? "",
+    IBG_METHOD: request.method ?? "",
+    IBG_URL: request.url ?? "",
+  };
+  if (response) {
+    hookEnv.IBG_STATUS = String(response.status);
+  }
+  return hookEnv;
+}
+
+/**
+ * parseTrailingJson - Returns the JSON object printed last on stdout, if any.
+ */
+function parseTrailingJson(stdout) {
+  const trimmed = stdout.trim();
+  const start = trimmed.lastIndexOf("\n{");
+  const candidate = start === -1 ? trimmed : trimmed.slice(start + 1);
+  if (!candidate.startsWith("{")) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return undefined;
+  }
+}
+
+function jsonReplacer(key, value) {
+  // Binary and multipart bodies are not meaningful as JSON
+  if (value instanceof FormData) {
+    return "[multipart form data]";
+  }
+  if (value && value.type === "Buffer" && Array.isArray(value.data)) {
+    return `[${value.data.length} bytes]`;
+  }
+  return value;
+}
+
+/**
+ * patchConsole - Routes console output produced inside a hook into that hook's
+ *   buffer. Output outside of hooks is untouched.
+ */
+function patchConsole() {
+  if (consolePatched) {
+    return;
+  }
+  consolePatched = true;
+
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const buffer = hookOutput.getStore();
+      if (buffer) {
+        buffer.push(`${format(...args)}\n`);
+      } else {
+        original(...args);
+      }
+    };
+  }
+}
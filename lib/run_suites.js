@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+import { parseIbgrobotConfiguration } from "./parse_structured_ibgrobot.js";
+import { REPORTERS } from "./reporters.js";
+import { sendHTTPRequest } from "./send_http_request.js";
+import { logger } from "./logger.js";
+import { redactValues } from "./redact.js";
+import { summarizeResults } from "./test_result.js";
+import { createLimiter, mapConcurrent } from "./concurrency.js";
+import { loadAssertionPlugins } from "./assertion_registry.js";
+import { takeSnapshotCounts } from "./snapshots.js";
+import { buildHistoryRecord, appendHistory, readHistory, analyzeHistory } from "./history.js";
+import { sendNotifications } from "./notifications.js";
+
+// Stands in for the result of a suite none of whose test cases were selected
+const UNSELECTED = Symbol("unselected");
+
+/**
+ * runSuites - Parses and runs every suite file, writes one combined report per
+ *   format, and summarizes the outcome.
+ *
+ *   Up to `concurrency` suites run at once, and at most `concurrency` test cases
+ *   are in flight across all of them. Results keep the order of `filePaths` and
+ *   of the test cases in each file, however they finish.
+ *
+ * @param {string[]} filePaths - Absolute paths of the .ibgrobot files to run
+ * @param {object} options
+ * @param {string} options.reportDir - Directory the reports are written to
+ * @param {string[]} options.formats - Keys of REPORTERS
+ * @param {number} [options.concurrency] - Default 1: everything runs one after another
+ * @param {Function} [options.select] - From buildTestCaseSelector: only the test cases it
+ *   accepts run and are reported. Suites left without any are not run at all.
+ * @param {string} [options.environment] - Environment profile name
+ * @param {string[]} [options.envFiles] - Extra .env files
+ * @param {object} [options.projectConfig] - Result of loadProjectConfig
+ * @param {boolean} [options.updateSnapshots] - Record "Snapshot" assertions again instead of comparing
+ * @param {object} [options.history] - From resolveHistorySettings; the run is recorded there and
+ *   reports get the trends (see history.js). Null to keep no history.
+ * @param {object[]} [options.notifiers] - From resolveNotifiers; notified once the reports are written
+ * @returns {Promise<{ suites: Array<SuiteResult>, reports: string[], total: number, passed: number, failed: number, errored: number, skipped: number, loadErrors: number, unselected: number, snapshots: { written: number, updated: number }, history: object|null, notifications: object[] }>}
+ */
+export async function runSuites(
+  filePaths,
+  {
+    reportDir,
+    formats,
+    concurrency = 1,
+    select = null,
+    environment,
+    envFiles,
+    projectConfig,
+    updateSnapshots = false,
+    history = null,
+    notifiers = [],
+  }
+) {
+  const summary = {
+    suites: [],
+    reports: [],
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errored: 0,
+    skipped: 0,
+    loadErrors: 0,
+    unselected: 0,
+    notifications: [],
+  };
+  const startedAt = new Date();
+  const limit = createLimiter(concurrency);
+
+  const suites = await mapConcurrent(filePaths, concurrency, async (filePath) => {
+    const data = parseIbgrobotConfiguration(filePath, {
+      environment,
+      envFiles,
+      projectConfig,
+    });
+    if (!data) {
+      return null;
+    }
+
+    try {
+      await loadAssertionPlugins(data.plugins, data.baseDir);
+    } catch (err) {
+      logger.error(`Error loading the plugins of "${filePath}": ${err.message}`);
+      return null;
+    }
+
+    if (select) {
+      data.testCases = data.testCases.filter(select);
+      if (data.testCases.length === 0) {
+        logger.info(`\n##### Suite: ${data.name ?? path.basename(filePath)}: no test case selected #####`);
+        return UNSELECTED;
+      }
+    }
+
+    logger.info(`\n##### Suite: ${data.name ?? path.basename(filePath)} (${filePath}) #####`);
+    const suiteStartedAt = new Date();
+    const testResults = await sendHTTPRequest(data, { limit, updateSnapshots });
+
+    return {
+      name: data.name,
+      file: filePath,
+      saveToHistory: data.saveToHistory,
+      syncToSlack: data.syncToSlack,
+      reportResults: data.reportResults,
+      targetSquads: data.targetSquads,
+      targetOwners: data.targetOwners,
+      startedAt: suiteStartedAt,
+      durationMs: Date.now() - suiteStartedAt.getTime(),
+      testResults,
+    };
+  });
+
+  for (const suite of suites) {
+    if (suite === UNSELECTED) {
+      summary.unselected += 1;
+      continue;
+    }
+    if (!suite) {
+      summary.loadErrors += 1;
+      continue;
+    }
+    const counts = summarizeResults(suite.testResults);
+    for (const key of ["total", "passed", "failed", "errored", "skipped"]) {
+      summary[key] += counts[key];
+    }
+    summary.suites.push(suite);
+  }
+
+  summary.snapshots = takeSnapshotCounts();
+  summary.history = history ? recordHistory(summary.suites, { history, startedAt, environment }) : null;
+
+  if (summary.suites.length > 0) {
+    summary.reports = writeReports(summary.suites, { reportDir, formats, startedAt, history: summary.history });
+    summary.notifications = await sendNotifications(notifiers, {
+      suites: summary.suites,
+      reports: summary.reports,
+      startedAt,
+      environment,
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * recordHistory - Appends the run to the history store and analyzes it. A
+ *   store that cannot be written only costs the trends, not the run.
+ * @returns {object|null} analyzeHistory's result, or null when every suite has
+ *   `save_to_history: false` or the store could not be written
+ */
+function recordHistory(suites, { history, startedAt, environment }) {
+  const kept = suites.filter((suite) => suite.saveToHistory !== false);
+  if (kept.length === 0) {
+    return null;
+  }
+  try {
+    const record = buildHistoryRecord(kept, { startedAt, environment, baseDir: path.dirname(history.file) });
+    appendHistory(history.file, record, { maxRuns: history.maxRuns });
+    return analyzeHistory(readHistory(history.file));
+  } catch (err) {
+    logger.warn(`Could not update the run history "${history.file}": ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * writeReports - Renders the results of every suite with each requested
+ *   reporter. File reporters are written to `reportDir`; the rest are printed.
+ *   A single suite's report is named after its file, a combined one "ibgroboot".
+ *   Secrets are masked in the results before rendering, never in the output.
+ * @returns {string[]} The paths that were written
+ */
+function writeReports(suites, { reportDir, formats, startedAt, history }) {
+  const stamp = startedAt.toISOString().replace(/[:.]/g, "-");
+  const baseName =
+    suites.length === 1
+      ? path.basename(suites[0].file).replace(/(\.ibgrobo?ot)?(\.ya?ml)?$/i, "")
+      : "ibgroboot";
+  const written = [];
+  const redactedSuites = redactValues(suites);
+  const redactedHistory = redactValues(history);
+
+  for (const format of formats) {
+    const { extension, render } = REPORTERS[format];
+    const output = render(redactedSuites, { history: redactedHistory });
+
+    if (!extension) {
+      process.stdout.write(output);
+      continue;
+    }
+
+    fs.mkdirSync(reportDir, { recursive: true });
+    const outputPath = path.join(reportDir, `${baseName}-${stamp}.${extension}`);
+    fs.writeFileSync(outputPath, output, "utf8");
+    written.push(outputPath);
+  }
+
+  return written;
+}
@@ -0,0 +1,247 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import yaml from "js-yaml";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+
+/**
+ * schema_validation.js
+ * --------------------
+ * JSON Schema (draft 2020-12) validation for the "Schema Compliance" assertion.
+ *
+ * A schema can be given inline, as a `$ref` to a JSON/YAML file (optionally with
+ * a `#/json/pointer`), or as `{ openapi: "./api.yaml", component: "Post" }` to use
+ * `#/components/schemas/Post` of an OpenAPI document. Relative references are
+ * resolved against the suite's directory, and files referenced from inside a
+ * schema are loaded as well. OpenAPI 3.0 specifics (`nullable`, boolean
+ * `exclusiveMinimum`/`exclusiveMaximum`) are converted to their 2020-12 equivalents.
+ */
+
+const ajv = new Ajv2020({ allErrors: true, strict: false, validateSchema: false });
+addFormats(ajv);
+
+const validatorCache = new Map();
+const loadedDocuments = new Set();
+let inlineSchemaCount = 0;
+
+// Keys that make a schema JSON Schema rather than the legacy shorthand
+const JSON_SCHEMA_KEYWORDS = new Set([
+  "$schema",
+  "$ref",
+  "$id",
+  "$defs",
+  "definitions",
+  "type",
+  "enum",
+  "const",
+  "format",
+  "pattern",
+  "nullable",
+  "properties",
+  "patternProperties",
+  "additionalProperties",
+  "required",
+  "items",
+  "prefixItems",
+  "contains",
+  "minItems",
+  "maxItems",
+  "uniqueItems",
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+  "multipleOf",
+  "minLength",
+  "maxLength",
+  "minProperties",
+  "maxProperties",
+  "allOf",
+  "anyOf",
+  "oneOf",
+  "not",
+  "if",
+  "then",
+  "else",
+]);
+
+/**
+ * isJsonSchema - Tells a real JSON Schema apart from the legacy shorthand
+ *   `{ field: "type" }`, where every value is a type name string. A schema
+ *   using any JSON Schema keyword (`type`, `properties`, `format`, ...) or
+ *   holding a non-string value is JSON Schema, so the shorthand cannot
+ *   describe fields named like a keyword.
+ */
+export function isJsonSchema(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return false;
+  }
+  return Object.entries(schema).some(([key, value]) => JSON_SCHEMA_KEYWORDS.has(key) || typeof value !== "string");
+}
+
+/**
+ * validateJsonSchema - Validates `data` against a schema input.
+ *
+ * @param {*} data
+ * @param {object} inputs - { schema } or { openapi, component }
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - Directory relative refs are resolved against
+ * @returns {{ valid: boolean, errors: Array<{ instancePath: string, message: string, keyword: string }> }}
+ */
+export function validateJsonSchema(data, inputs, { baseDir = process.cwd() } = {}) {
+  const validate = getValidator(inputs, baseDir);
+  const valid = validate(data);
+
+  const errors = (validate.errors || []).map((err) => ({
+    instancePath: err.instancePath || "/",
+    message: err.message,
+    keyword: err.keyword,
+    params: err.params,
+  }));
+
+  return { valid, errors };
+}
+
+/**
+ * formatSchemaErrors - One line per violation, e.g. `/data/id must be integer`.
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(formatSchemaError).join("; ");
+}
+
+/**
+ * formatSchemaError - A single violation, e.g. `/data/id must be integer`.
+ */
+export function formatSchemaError({ instancePath, message, keyword, params }) {
+  if (keyword === "additionalProperties") {
+    return `${instancePath} has unexpected property "${params.additionalProperty}"`;
+  }
+  if (keyword === "enum") {
+    return `${instancePath} ${message}: ${JSON.stringify(params.allowedValues)}`;
+  }
+  return `${instancePath} ${message}`;
+}
+
+function getValidator(inputs, baseDir) {
+  const baseUrl = pathToFileURL(path.join(baseDir, "/")).href;
+
+  if (inputs.openapi) {
+    if (!inputs.component) {
+      throw new Error(`"component" is required when "openapi" is given.`);
+    }
+    const ref = `${inputs.openapi}#/components/schemas/${inputs.component}`;
+    return getRefValidator(new URL(ref, baseUrl).href);
+  }
+
+  const { schema } = inputs;
+  const refOnly = Object.keys(schema).length === 1 && typeof schema.$ref === "string";
+  if (refOnly) {
+    return getRefValidator(new URL(schema.$ref, baseUrl).href);
+  }
+
+  const cacheKey = `${baseUrl}\n${JSON.stringify(schema)}`;
+  if (!validatorCache.has(cacheKey)) {
+    inlineSchemaCount += 1;
+    const inline = {
+      $id: new URL(`__ibgroboot_inline_${inlineSchemaCount}.json`, baseUrl).href,
+      ...schema,
+    };
+    loadReferencedDocuments(inline, inline.$id);
+    validatorCache.set(cacheKey, ajv.compile(inline));
+  }
+  return validatorCache.get(cacheKey);
+}
+
+function getRefValidator(refUrl) {
+  if (!validatorCache.has(refUrl)) {
+    const [documentUrl] = refUrl.split("#");
+    loadDocument(documentUrl);
+    validatorCache.set(refUrl, ajv.compile({ $ref: refUrl }));
+  }
+  return validatorCache.get(refUrl);
+}
+
+/**
+ * loadDocument - Reads a JSON/YAML file, normalizes OpenAPI 3.0 keywords and
+ *   registers it with Ajv under its file URL, then does the same for every file it references.
+ */
+function loadDocument(documentUrl) {
+  if (loadedDocuments.has(documentUrl)) {
+    return;
+  }
+
+  const filePath = fileURLToPath(documentUrl);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Schema file not found: ${filePath}`);
+  }
+
+  let document = yaml.load(fs.readFileSync(filePath, "utf8"));
+  if (typeof document?.openapi === "string" && document.openapi.startsWith("3.0")) {
+    document = convertOpenApi30(document);
+  }
+
+  loadedDocuments.add(documentUrl);
+  ajv.addSchema({ ...document, $id: documentUrl });
+  loadReferencedDocuments(document, documentUrl);
+}
+
+function loadReferencedDocuments(node, baseUrl) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => loadReferencedDocuments(item, baseUrl));
+    return;
+  }
+  if (!node || typeof node !== "object") {
+    return;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "$ref" && typeof value === "string" && !value.startsWith("#")) {
+      const [documentUrl] = new URL(value, baseUrl).href.split("#");
+      if (documentUrl.startsWith("file:")) {
+        loadDocument(documentUrl);
+      }
+    } else {
+      loadReferencedDocuments(value, baseUrl);
+    }
+  }
+}
+
+/**
+ * convertOpenApi30 - Rewrites OpenAPI 3.0 schema keywords into 2020-12 ones.
+ */
+function convertOpenApi30(node) {
+  if (Array.isArray(node)) {
+    return node.map(convertOpenApi30);
+  }
+  if (!node || typeof node !== "object") {
+    return node;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    result[key] = convertOpenApi30(value);
+  }
+
+  if (result.nullable === true) {
+    delete result.nullable;
+    if (typeof result.type === "string") {
+      result.type = [result.type, "null"];
+    } else if (Array.isArray(result.enum) && !result.enum.includes(null)) {
+      result.enum = [...result.enum, null];
+    } else if (!result.type) {
+      return { anyOf: [result, { type: "null" }] };
+    }
+  }
+  for (const [flag, bound] of [["exclusiveMinimum", "minimum"], ["exclusiveMaximum", "maximum"]]) {
+    if (typeof result[flag] === "boolean") {
+      if (result[flag] && typeof result[bound] === "number") {
+        result[flag] = result[bound];
+        delete result[bound];
+      } else {
+        delete result[flag];
+      }
+    }
+  }
+
+  return result;
+}
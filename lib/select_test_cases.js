@@ -0,0 +1,137 @@
+/**
+ * select_test_cases.js
+ * --------------------
+ * Which test cases `run` runs, from `--tags` and `--filter`.
+ *
+ *   --tags "smoke and not slow"      tag expression: and, or, not, parentheses
+ *   --tags "(orders or users) and smoke"
+ *   --filter "Create item"           description contains the text
+ *   --filter "/^get .*by id$/i"      description matches the regular expression
+ *
+ * A test case's tags are its own `tags` plus its suite's (see
+ * parse_structured_ibgrobot.js). Tags are compared case-insensitively.
+ */
+
+const OPERATORS = new Set(["and", "or", "not"]);
+
+/**
+ * buildTestCaseSelector - The test case predicate for the given options.
+ * @param {object} options
+ * @param {string} [options.tags] - Tag expression
+ * @param {string} [options.filter] - Description text, or `/regex/flags`
+ * @returns {Function|null} `(testCase) => boolean`, or null when every test case runs
+ * @throws {Error} On an invalid tag expression or regular expression
+ */
+export function buildTestCaseSelector({ tags, filter } = {}) {
+  const matchesTags = tags !== undefined ? parseTagExpression(tags) : null;
+  const matchesDescription = filter !== undefined ? parseDescriptionFilter(filter) : null;
+  if (!matchesTags && !matchesDescription) {
+    return null;
+  }
+  return (testCase) =>
+    (!matchesTags || matchesTags(testCase.tags ?? [])) &&
+    (!matchesDescription || matchesDescription(String(testCase.description ?? "")));
+}
+
+/**
+ * parseTagExpression - Compiles a tag expression. `not` binds tighter than
+ *   `and`, which binds tighter than `or`.
+ * @param {string} expression - e.g. "smoke and not slow"
+ * @returns {Function} `(tags: string[]) => boolean`
+ * @throws {Error} When the expression is empty or malformed
+ */
+export function parseTagExpression(expression) {
+  const tokens = String(expression).match(/\(|\)|[^\s()]+/g) ?? [];
+  if (tokens.length === 0) {
+    throw new Error("--tags: the tag expression is empty.");
+  }
+  let position = 0;
+
+  const fail = (problem) => {
+    throw new Error(`--tags: invalid tag expression "${expression}": ${problem}.`);
+  };
+  const peek = () => tokens[position]?.toLowerCase();
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() === "or") {
+      position += 1;
+      const right = parseAnd();
+      const previous = left;
+      left = (tags) => previous(tags) || right(tags);
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() === "and") {
+      position += 1;
+      const right = parseNot();
+      const previous = left;
+      left = (tags) => previous(tags) && right(tags);
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() === "not") {
+      position += 1;
+      const operand = parseNot();
+      return (tags) => !operand(tags);
+    }
+    return parseOperand();
+  };
+
+  const parseOperand = () => {
+    const token = tokens[position];
+    if (token === undefined) {
+      fail("it ends where a tag was expected");
+    }
+    if (token === "(") {
+      position += 1;
+      const inner = parseOr();
+      if (tokens[position] !== ")") {
+        fail("a \"(\" is not closed");
+      }
+      position += 1;
+      return inner;
+    }
+    if (token === ")" || OPERATORS.has(token.toLowerCase())) {
+      fail(`expected a tag but found "${token}"`);
+    }
+    position += 1;
+    const tag = token.toLowerCase();
+    return (tags) => tags.some((candidate) => String(candidate).toLowerCase() === tag);
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position]}"`);
+  }
+  return predicate;
+}
+
+/**
+ * parseDescriptionFilter - `/pattern/flags` is a regular expression; any
+ *   other text must appear in the description as it is.
+ * @returns {Function} `(description: string) => boolean`
+ * @throws {Error} On an invalid regular expression
+ */
+export function parseDescriptionFilter(filter) {
+  const regex = /^\/(.+)\/([a-z]*)$/s.exec(filter);
+  if (!regex) {
+    return (description) => description.includes(filter);
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(regex[1], regex[2]);
+  } catch (err) {
+    throw new Error(`--filter: ${err.message}`);
+  }
+  return (description) => {
+    // A global or sticky pattern remembers where it stopped matching
+    pattern.lastIndex = 0;
+    return pattern.test(description);
+  };
+}
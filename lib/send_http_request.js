@@ -1,170 +1,358 @@
-import axios from "axios";
-import path from "path";
-import { fileURLToPath } from "url";
 import { runAssertions } from "./assertion_response.js";
-
-/**
- * buildHeaders - Converts the headers array from .ibgrobot into an object that Axios can consume.
- * @param {Array<{ key: string; value: string }>} headersArr
- * @returns {Record<string, string>} Key-value pairs for headers
- */
-function buildHeaders(headersArr) {
-  const result = {};
-  headersArr.forEach(({ key, value }) => {
-    result[key] = value;
-  });
-  return result;
-}
+import { logger } from "./logger.js";
+import { buildRequestConfig, toKeyValueObject } from "./build_request_config.js";
+import { interpolate } from "./interpolate.js";
+import { captureVariables } from "./capture_variables.js";
+import { runHookScript } from "./run_hook_script.js";
+import { resolveStatus, skippedResult, describeRequest } from "./test_result.js";
+import { resolveSendOptions, sendWithRetries } from "./send_with_retries.js";
+import { resolveAuth, applyAuth } from "./auth.js";
 
 /**
  * sendHTTPRequest - Sends HTTP requests for each test case, with an optional
  *   "stateful pre-script" that runs once before everything, which can mutate
  *   global "headers" and "data".
  *
+ *   Test cases share a set of variables: the suite's `variables` block plus
+ *   whatever earlier cases put there through their `capture` block. They are
+ *   substituted into `{{name}}` placeholders of the url, headers and test case.
+ *
+ *   A test case with `skip: true` (or a reason string) is not run. When any
+ *   test case has `only: true`, the ones without it are skipped.
+ *
+ *   Test cases run through `limit`, so several can be in flight at once. A case
+ *   with `serial: true` or a `capture` block runs alone: it waits for the cases
+ *   before it, and the ones after it wait for it. `serial: true` on the suite
+ *   runs every case in order.
+ *
+ *   The suite's or the test case's `auth` block (see auth.js) is applied to
+ *   each request after its pre_request_script.
+ *
  * @param {object} ibgrobotData - The entire parsed .ibgrobot object
- * @returns {Array} An array of { testCase, assertions } results
+ * @param {object} [options]
+ * @param {Function} [options.limit] - Concurrency limiter shared across suites (see concurrency.js)
+ * @param {boolean} [options.updateSnapshots] - Record "Snapshot" assertions again instead of comparing
+ * @returns {Array<TestCaseResult>} One result per test case, in file order (see test_result.js)
  */
-export async function sendHTTPRequest(ibgrobotData) {
+export async function sendHTTPRequest(ibgrobotData, { limit = (task) => task(), updateSnapshots = false } = {}) {
   const {
-    url,
-    method,
     headers = [],
+    variables: suiteVariables = {},
     testCases = [],
     suite_pre_script,
     suite_post_script,
+    serial: suiteSerial = false,
+    baseDir,
   } = ibgrobotData;
 
-  let baseHeaders = buildHeaders(headers);
-
-  let globalData = null;
+  const suite = {
+    ibgrobotData,
+    baseHeaders: toKeyValueObject(headers),
+    globalData: null,
+    updateSnapshots,
+    // `env` backs {{ env.NAME }} placeholders
+    variables: { env: ibgrobotData.env || {}, ...suiteVariables },
+  };
 
   // Run Stateful Pre-suite-script
   if (suite_pre_script) {
     try {
-      const preScriptModule = await importWithResolvedPath(suite_pre_script);
-
-      const statefulPreFn =
-        preScriptModule.default || preScriptModule.statefulPreScript;
-
-      if (typeof statefulPreFn !== "function") {
-        console.warn(
-          `[Stateful Pre-suite-script] Module "${suite_pre_script}" does not export a valid function. Skipping.`
-        );
-      } else {
-
-        const result = await statefulPreFn({
-          headers: baseHeaders,
-          data: globalData,
-        });
-        console.log(result);
-
-        if (result) {
-          if (result.headers) {
-            baseHeaders = buildHeaders(result.headers);
-          }
-          if (result.data) {
-            globalData = result.data;
-          }
-        }
+      const { returnValue: result, output } = await runHookScript(suite_pre_script, {
+        hook: "statefulPreScript",
+        context: { headers: suite.baseHeaders, data: suite.globalData },
+        baseDir,
+        env: ibgrobotData.env,
+      });
+      logOutput(output);
 
-        console.log(`[Stateful Pre-suite-script]  Completed. Headers/Data possibly updated.`);
+      if (result) {
+        if (result.headers) {
+          // A list of { key, value } or a plain map, like the suite's `headers`
+          suite.baseHeaders = toKeyValueObject(result.headers);
+        }
+        if (result.data) {
+          suite.globalData = result.data;
+        }
+        if (result.variables) {
+          Object.assign(suite.variables, result.variables);
+        }
       }
+
+      logger.info(`[Stateful Pre-suite-script]  Completed. Headers/Data possibly updated.`);
     } catch (err) {
-      console.error(
+      logOutput(err.output);
+      logger.error(
         `[Stateful Pre-Script] Error importing or running script "${suite_pre_script}": ${err.message}`
       );
     }
   }
 
+  const hasOnly = testCases.some((testCase) => testCase.only);
+
+  const runOne = (testCase) => {
+    const skipped = (reason) => {
+      const variables = testCase.data_row ? { ...suite.variables, ...testCase.data_row } : suite.variables;
+      return skippedResult({ ...testCase, description: describeCase(testCase.description, variables) }, reason);
+    };
+    if (testCase.skip) {
+      const reason = typeof testCase.skip === "string" ? testCase.skip : "Marked with skip";
+      const result = skipped(reason);
+      logger.info(`\n=== Skipping Test Case: ${result.testCase} (${reason}) ===`);
+      return result;
+    }
+    if (hasOnly && !testCase.only) {
+      return skipped("Another test case is marked with only");
+    }
+    return limit(() => runTestCase(testCase, suite));
+  };
+
   const results = [];
-  for (const testCase of testCases) {
+  for (const batch of toBatches(testCases, suiteSerial)) {
+    results.push(...(await Promise.all(batch.map(runOne))));
+  }
+
+  // Run Stateless Post-suite-script
+  if (suite_post_script) {
     try {
-      console.log(`\n=== Running Test Case: ${testCase.description} ===`);
-
-      const config = {
-        method: method || "GET",
-        url,
-        headers: { ...baseHeaders },
-      };
-
-      // If method is not GET, set a request body
-      // (combine globalData + testCase body if that suits your logic)
-      if (config.method.toUpperCase() !== "GET") {
-        let finalBody = globalData ? { ...globalData } : {};
-
-        const bodyParam = testCase.parameters?.find((p) => p.key === "body");
-        if (bodyParam) {
-          const caseBody = JSON.parse(bodyParam.value);
-          finalBody = { ...finalBody, ...caseBody };
-        }
+      const { output } = await runHookScript(suite_post_script, {
+        hook: "statelessPostScript",
+        context: { variables: suite.variables },
+        baseDir,
+        env: ibgrobotData.env,
+      });
+      logOutput(output);
+      logger.info(`[Stateless Post-suite-script]  Completed.`);
+    } catch (err) {
+      logOutput(err.output);
+      logger.error(
+        `[Stateless Post-Script] Error importing or running script "${suite_post_script}": ${err.message}`
+      );
+    }
+  }
+
+  return results;
+}
+
+/**
+ * runTestCase - Builds, sends and asserts one test case, running its hooks:
+ *   - pre_request_script  before sending; can change the request
+ *   - post_request_script after the response; can change it before assertions run
+ *   - teardown_script     always last, even when the case failed or errored
+ *   (`path_to_pre_test_script` / `path_to_post_test_script` are accepted as aliases)
+ *
+ * A hook may mutate `context.request` / `context.response` in place, or return
+ * (shell scripts: print as their last stdout line) `{ request, response, variables }`
+ * to be merged in.
+ */
+async function runTestCase(testCase, suite) {
+  const { ibgrobotData, variables } = suite;
+  const hooks = [];
+  let assertionResults = [];
+  let request;
+  let response;
+  let attempts = [];
+  let caughtError;
+  const startedAt = new Date();
+  const caseStartedAt = performance.now();
+  // Data-driven cases see their row's values ahead of the shared variables.
+  const { capture, data_row: dataRow, ...caseFields } = testCase;
+  const caseVariables = dataRow ? { ...variables, ...dataRow } : variables;
+  const description = describeCase(testCase.description, caseVariables);
+
+  const runCaseHook = async (hookKey, hook, context) => {
+    const script = testCase[hookKey] ?? testCase[HOOK_ALIASES[hookKey]];
+    if (!script) {
+      return undefined;
+    }
+    const record = { hook: hookKey, script, passed: true, output: "", durationMs: 0 };
+    hooks.push(record);
+    try {
+      const { returnValue, output, durationMs } = await runHookScript(script, {
+        hook,
+        context,
+        baseDir: ibgrobotData.baseDir,
+        env: { ...ibgrobotData.env },
+      });
+      Object.assign(record, { output, durationMs });
+      if (returnValue?.variables) {
+        Object.assign(variables, returnValue.variables);
+      }
+      return returnValue;
+    } catch (err) {
+      Object.assign(record, { passed: false, output: err.output ?? "", durationMs: err.durationMs ?? 0 });
+      err.message = `${hookKey} "${script}" failed: ${err.message}`;
+      err.hook = hookKey;
+      throw err;
+    }
+  };
 
-        config.data = finalBody;
+  try {
+    logger.info(`\n=== Running Test Case: ${description} ===`);
+
+    // The capture block describes what to read from this response, so it is not interpolated.
+    const resolvedCase = interpolate(caseFields, caseVariables);
+
+    request = buildRequestConfig(
+      { ...ibgrobotData, url: interpolate(ibgrobotData.url, caseVariables) },
+      resolvedCase,
+      {
+        baseHeaders: interpolate(suite.baseHeaders, caseVariables),
+        globalData: suite.globalData,
       }
+    );
+
+    const preContext = { request, variables, testCase: resolvedCase, data: suite.globalData };
+    const preResult = await runCaseHook("pre_request_script", "preRequest", preContext);
+    request = mergeHookResult(preContext.request, preResult?.request);
+    request = await applyAuth(
+      request,
+      resolveAuth(interpolate(ibgrobotData.auth, caseVariables), resolvedCase.auth)
+    );
 
-      // 5) Send HTTP request
-      const response = await axios(config);
-      console.log(`Running Assertions ======`);
+    // 5) Send HTTP request, with the suite's/case's timeout, retries and polling.
+    // Only network-level failures (after the last retry) end up in the catch block.
+    const sendOptions = resolveSendOptions(ibgrobotData, resolvedCase);
+    const assertionOptions = {
+      baseDir: ibgrobotData.baseDir,
+      suiteFile: ibgrobotData.filePath,
+      testCase: resolvedCase.description,
+      updateSnapshots: suite.updateSnapshots,
+    };
+    const sent = await sendWithRetries(request, sendOptions, async (candidate) => {
+      const results = await runAssertions(candidate.body, sendOptions.poll.until, candidate, assertionOptions);
+      const failed = results.find((result) => !result.passed);
+      return { passed: !failed, message: failed ? `${failed.assertion}: ${failed.message}` : "" };
+    });
+    response = sent.response;
+    attempts = sent.attempts;
 
-      let assertionResults = await runAssertions(
-        response.data,
-        testCase.expected_results
+    const postContext = { request, response, variables, testCase: resolvedCase };
+    const postResult = await runCaseHook("post_request_script", "postRequest", postContext);
+    response = mergeHookResult(postContext.response, postResult?.response);
+
+    logger.info(`Running Assertions ======`);
+    assertionResults = await runAssertions(response.body, resolvedCase.expected_results, response, assertionOptions);
+    if (sent.pollFailure) {
+      assertionResults.unshift({ assertion: "Poll", passed: false, message: sent.pollFailure });
+    }
+
+    if (capture) {
+      const { values, errors } = captureVariables(capture, response);
+      Object.assign(variables, values);
+      if (Object.keys(values).length > 0) {
+        logger.info(`Captured: ${Object.keys(values).join(", ")}`);
+      }
+      // A capture that finds nothing fails the case; later cases would use a stale value
+      assertionResults = assertionResults.concat(
+        errors.map((message) => ({ assertion: "Capture", passed: false, message }))
       );
-      
-      results.push({
-        testCase: testCase.description,
-        assertions: assertionResults,
-      });
+    }
 
-      console.log(`=== Completed Test Case: ${testCase.description} ===\n`);
+    logger.info(`=== Completed Test Case: ${description} ===\n`);
+  } catch (error) {
+    caughtError = error;
+    attempts = error.attempts ?? attempts;
+    logger.error(
+      `Error in Test Case "${description}":`,
+      error.message
+    );
+  } finally {
+    try {
+      await runCaseHook("teardown_script", "teardown", {
+        request,
+        response,
+        error: caughtError ? caughtError.message : null,
+        passed: !caughtError && assertionResults.every((a) => a.passed),
+        variables,
+        testCase,
+      });
     } catch (error) {
-      console.error(
-        `Error in Test Case "${testCase.description}":`,
-        error.message
-      );
+      logger.error(`Error in Test Case "${description}":`, error.message);
+      assertionResults.push({ assertion: "teardown_script", passed: false, message: error.message });
     }
   }
 
-  // Run Stateful Post-suite-script
-  if (suite_post_script) {
-    try {
-      const postScriptModule = await importWithResolvedPath(suite_post_script);
+  for (const { hook, output } of hooks) {
+    if (output) {
+      logger.info(`[${hook}] output:\n${output.trimEnd()}`);
+    }
+  }
 
-      const statelessPreFn =
-        postScriptModule.default || preScriptModule.statelessPostScript;
+  const error = caughtError
+    ? { message: caughtError.message, stack: caughtError.stack, stage: caughtError.hook ?? "request" }
+    : null;
 
-      if (typeof statelessPreFn !== "function") {
-        console.warn(
-          `[Stateless Post-suite-script] Module "${suite_post_script}" does not export a valid function. Skipping.`
-        );
-      } else {
+  return {
+    testCase: description,
+    tags: testCase.tags ?? [],
+    status: resolveStatus({ error, assertions: assertionResults }),
+    assertions: assertionResults,
+    hooks,
+    request: describeRequest(request),
+    response: response ?? null,
+    attempts,
+    startedAt: startedAt.toISOString(),
+    durationMs: performance.now() - caseStartedAt,
+    error,
+  };
+}
+
+/**
+ * describeCase - The description as reports and logs show it: with the
+ *   placeholders of captured or data-row values filled in, e.g. "get 42"
+ *   rather than "get {{itemId}}". Unknown placeholders are left as they are.
+ */
+function describeCase(description, variables) {
+  const resolved = interpolate(description, variables, { strict: false });
+  return resolved === null || resolved === undefined || typeof resolved === "object" ? description : String(resolved);
+}
 
-        await statelessPreFn();
-        console.log(`[Stateless Post-suite-script]  Completed. Headers/Data possibly updated.`);
+/**
+ * toBatches - Groups consecutive independent test cases so each group can run
+ *   concurrently; serial cases get a group of their own.
+ */
+function toBatches(testCases, suiteSerial) {
+  const batches = [];
+  let current = [];
+  for (const testCase of testCases) {
+    if (suiteSerial || testCase.serial || testCase.capture) {
+      if (current.length > 0) {
+        batches.push(current);
       }
-    } catch (err) {
-      console.error(
-        `[Stateless Pre-Script] Error importing or running script "${suite_pre_script}": ${err.message}`
-      );
+      batches.push([testCase]);
+      current = [];
+    } else {
+      current.push(testCase);
     }
   }
-
-  return results;
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
 }
 
+const HOOK_ALIASES = {
+  pre_request_script: "path_to_pre_test_script",
+  post_request_script: "path_to_post_test_script",
+};
+
 /**
- * importWithResolvedPath - Utility to handle relative or absolute paths in ESM.
- * Adjust as needed for your environment.
+ * mergeHookResult - Applies the `request`/`response` object a hook returned
+ *   over the current one; headers are merged rather than replaced.
  */
-async function importWithResolvedPath(relativeOrAbsolutePath) {
-  if (
-    relativeOrAbsolutePath.startsWith("file:") ||
-    path.isAbsolute(relativeOrAbsolutePath)
-  ) {
-    return import(relativeOrAbsolutePath);
+function mergeHookResult(current, update) {
+  if (!update || typeof update !== "object") {
+    return current;
   }
+  return {
+    ...current,
+    ...update,
+    headers: { ...current.headers, ...update.headers },
+  };
+}
 
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-  const fullPath = path.join(__dirname, relativeOrAbsolutePath);
-  return import(fullPath);
-}
\ No newline at end of file
+function logOutput(output) {
+  if (output) {
+    logger.info(output.trimEnd());
+  }
+}
@@ -0,0 +1,179 @@
+import axios from "axios";
+import { matchesStatus } from "./builtin_assertions.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_RETRY_DELAY_MS = 500;
+const DEFAULT_BACKOFF = 2;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_POLL_TIMEOUT_MS = 30000;
+
+/**
+ * resolveSendOptions - Merges the suite's and the test case's `timeout` /
+ *   `retries` (the test case wins) and reads the test case's `poll` block.
+ *
+ *   timeout: 5000                 # ms per attempt
+ *   retries: 2                    # retry network errors and timeouts twice
+ *   retries:
+ *     count: 3
+ *     delay: 200                  # ms before the first retry (default 500)
+ *     backoff: 2                  # delay multiplier per retry (default 2)
+ *     max_delay: 5000
+ *     on_status: [502, 503, "429"]  # also retry these statuses ("5xx" works too)
+ *   poll:
+ *     until:                      # assertions that must pass on the response
+ *       - assertion: "Enumeration Validation"
+ *         inputs: { field: "status", allowedValues: ["done"] }
+ *     interval: 1000              # ms between attempts (default 1000)
+ *     timeout: 30000              # give up after this long (default 30000)
+ *     max_attempts: 20            # optional
+ */
+export function resolveSendOptions(suite, testCase) {
+  const timeoutMs = testCase.timeout ?? suite.timeout;
+  const rawRetries = testCase.retries ?? suite.retries;
+  const retries = typeof rawRetries === "number" ? { count: rawRetries } : rawRetries || {};
+
+  const options = {
+    timeoutMs: timeoutMs === undefined ? undefined : toMilliseconds(timeoutMs, "timeout"),
+    retries: {
+      count: toCount(retries.count ?? 0, "retries.count"),
+      delayMs: toMilliseconds(retries.delay ?? DEFAULT_RETRY_DELAY_MS, "retries.delay"),
+      backoff: retries.backoff ?? DEFAULT_BACKOFF,
+      maxDelayMs: retries.max_delay === undefined ? Infinity : toMilliseconds(retries.max_delay, "retries.max_delay"),
+      onStatus: retries.on_status ?? [],
+    },
+    poll: null,
+  };
+
+  if (testCase.poll) {
+    const { until, interval, timeout, max_attempts } = testCase.poll;
+    if (!Array.isArray(until) || until.length === 0) {
+      throw new Error(`"poll.until" must be a list of assertions.`);
+    }
+    options.poll = {
+      until,
+      intervalMs: toMilliseconds(interval ?? DEFAULT_POLL_INTERVAL_MS, "poll.interval"),
+      timeoutMs: toMilliseconds(timeout ?? DEFAULT_POLL_TIMEOUT_MS, "poll.timeout"),
+      maxAttempts: max_attempts === undefined ? Infinity : toCount(max_attempts, "poll.max_attempts"),
+    };
+  }
+
+  return options;
+}
+
+/**
+ * sendWithRetries - Sends the request, retrying network errors, timeouts and
+ *   the configured statuses with backoff. With `poll`, the request is re-sent
+ *   until `checkPoll(response)` passes or the poll deadline expires.
+ *
+ * @param {object} request - Axios request config
+ * @param {ReturnType<typeof resolveSendOptions>} options
+ * @param {(response) => Promise<{ passed: boolean, message: string }>} [checkPoll]
+ * @returns {Promise<{ response: object, attempts: Array<Attempt>, pollFailure: string|null }>}
+ *   Attempt: { attempt, status, durationMs, outcome, error }, outcome being
+ *   "ok" | "retry" | "poll" | "failed"
+ * @throws {Error} The last network error once retries are used up, with `attempts` attached
+ */
+export async function sendWithRetries(request, { timeoutMs, retries, poll }, checkPoll) {
+  const attempts = [];
+  const pollStartedAt = performance.now();
+  let retriesLeft = retries.count;
+  let retryDelayMs = retries.delayMs;
+
+  const nextRetryDelay = () => {
+    const delay = Math.min(retryDelayMs, retries.maxDelayMs);
+    retryDelayMs *= retries.backoff;
+    retriesLeft -= 1;
+    return delay;
+  };
+
+  for (let attempt = 1; ; attempt += 1) {
+    const record = { attempt, status: null, durationMs: 0, outcome: "ok", error: null };
+    attempts.push(record);
+
+    const startedAt = performance.now();
+    let response;
+    try {
+      // Any status is a valid outcome to assert on, so only network-level failures throw
+      const axiosResponse = await axios({
+        ...request,
+        ...(timeoutMs !== undefined && { timeout: timeoutMs }),
+        validateStatus: () => true,
+      });
+      record.durationMs = performance.now() - startedAt;
+      record.status = axiosResponse.status;
+      response = {
+        status: axiosResponse.status,
+        statusText: axiosResponse.statusText,
+        headers: { ...axiosResponse.headers },
+        body: axiosResponse.data,
+        durationMs: record.durationMs,
+      };
+    } catch (err) {
+      record.durationMs = performance.now() - startedAt;
+      record.error = err.message;
+      if (axios.isAxiosError(err) && retriesLeft > 0) {
+        record.outcome = "retry";
+        const delay = nextRetryDelay();
+        logger.warn(`Attempt ${attempt} failed (${err.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      record.outcome = "failed";
+      err.attempts = attempts;
+      throw err;
+    }
+
+    logger.info(`Response: ${response.status} in ${Math.round(response.durationMs)}ms`);
+
+    if (retriesLeft > 0 && matchesStatus(response.status, retries.onStatus)) {
+      record.outcome = "retry";
+      const delay = nextRetryDelay();
+      logger.warn(`Attempt ${attempt} got status ${response.status}, retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!poll) {
+      return { response, attempts, pollFailure: null };
+    }
+
+    const check = await checkPoll(response);
+    if (check.passed) {
+      return { response, attempts, pollFailure: null };
+    }
+
+    const elapsedMs = performance.now() - pollStartedAt;
+    if (attempt >= poll.maxAttempts || elapsedMs + poll.intervalMs > poll.timeoutMs) {
+      record.outcome = "failed";
+      return {
+        response,
+        attempts,
+        pollFailure: `Condition not met after ${attempt} attempt(s) in ${Math.round(elapsedMs)}ms: ${check.message}`,
+      };
+    }
+
+    record.outcome = "poll";
+    logger.info(`Poll condition not met yet (${check.message}), polling again in ${poll.intervalMs}ms`);
+    await sleep(poll.intervalMs);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function toMilliseconds(value, key) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`"${key}" must be a number of milliseconds, got ${JSON.stringify(value)}.`);
+  }
+  return number;
+}
+
+function toCount(value, key) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`"${key}" must be a whole number, got ${JSON.stringify(value)}.`);
+  }
+  return number;
+}
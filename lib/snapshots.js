@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * snapshots.js
+ * ------------
+ * Recorded response bodies for the "Snapshot" assertion. A suite's snapshots
+ * live in `__snapshots__/<suite>.snap.json` next to the suite file, as one JSON
+ * object keyed by snapshot name (the test case description by default).
+ *
+ * The file is read and written on every access, so snapshots recorded by one
+ * test case are seen by the next, whatever order they finish in.
+ */
+
+const counts = { written: 0, updated: 0 };
+
+/**
+ * snapshotFileFor - Where the snapshots of `suiteFile` are stored.
+ * @param {string} suiteFile
+ * @returns {string}
+ */
+export function snapshotFileFor(suiteFile) {
+  const name = path.basename(suiteFile).replace(/(\.ibgrobo?ot)?(\.ya?ml)?$/i, "");
+  return path.join(path.dirname(suiteFile), "__snapshots__", `${name}.snap.json`);
+}
+
+/**
+ * readSnapshot - The snapshot stored under `name`.
+ * @returns {{ exists: boolean, value: * }}
+ */
+export function readSnapshot(suiteFile, name) {
+  const snapshots = readSnapshotFile(snapshotFileFor(suiteFile));
+  return Object.prototype.hasOwnProperty.call(snapshots, name)
+    ? { exists: true, value: snapshots[name] }
+    : { exists: false, value: undefined };
+}
+
+/**
+ * writeSnapshot - Stores `value` under `name`, replacing what was there.
+ */
+export function writeSnapshot(suiteFile, name, value) {
+  const file = snapshotFileFor(suiteFile);
+  const snapshots = readSnapshotFile(file);
+  const existed = Object.prototype.hasOwnProperty.call(snapshots, name);
+  if (existed && JSON.stringify(snapshots[name]) === JSON.stringify(value)) {
+    return;
+  }
+  snapshots[name] = value;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(snapshots, null, 2)}\n`, "utf8");
+  counts[existed ? "updated" : "written"] += 1;
+}
+
+/**
+ * takeSnapshotCounts - How many snapshots were written and updated since the
+ *   last call.
+ * @returns {{ written: number, updated: number }}
+ */
+export function takeSnapshotCounts() {
+  const taken = { ...counts };
+  counts.written = 0;
+  counts.updated = 0;
+  return taken;
+}
+
+function readSnapshotFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Snapshot file "${file}" is not valid JSON: ${err.message}`);
+  }
+}
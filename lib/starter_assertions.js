@@ -0,0 +1,133 @@
+/**
+ * starter_assertions.js
+ * ---------------------
+ * Building blocks shared by the importers (see import_suites.js): the starter
+ * `expected_results` of an imported request, a JSON Schema inferred from an
+ * example body, and media type and naming helpers.
+ */
+
+/**
+ * starterAssertions - The expected_results to start an imported test case with.
+ * @param {object} response
+ * @param {number|string} [response.status] - 200, or "2xx" when any success will do
+ * @param {string} [response.contentType] - The media type of the body, without parameters
+ * @param {object} [response.schemaCompliance] - Inputs of a "Schema Compliance" assertion
+ * @param {string[]} [response.requiredFields] - Fields every body (or every item) has
+ * @returns {Array<{ assertion: string, inputs: * }>}
+ */
+export function starterAssertions({ status, contentType, schemaCompliance, requiredFields = [] }) {
+  const results = [];
+  if (status !== undefined) {
+    results.push({ assertion: "Status Code", inputs: status });
+  }
+  if (contentType) {
+    results.push({ assertion: "Content-Type", inputs: contentType });
+  }
+  if (requiredFields.length > 0) {
+    results.push({ assertion: "Required Fields", inputs: requiredFields });
+  }
+  if (schemaCompliance) {
+    results.push({ assertion: "Schema Compliance", inputs: schemaCompliance });
+  }
+  return results;
+}
+
+/**
+ * fromExampleBody - Starter assertions for a recorded or example response body:
+ *   its top-level fields are required and its shape becomes a JSON Schema.
+ * @param {*} body - Parsed JSON
+ * @returns {{ requiredFields: string[], schemaCompliance: object }|{}}
+ */
+export function fromExampleBody(body) {
+  if (body === undefined) {
+    return {};
+  }
+  const sample = Array.isArray(body) ? body.find(isPlainObject) : body;
+  return {
+    requiredFields: isPlainObject(sample) ? Object.keys(sample) : [],
+    schemaCompliance: { schema: inferSchema(body) },
+  };
+}
+
+/**
+ * inferSchema - A JSON Schema describing the types of `value`. Objects list
+ *   their properties (not required, so optional fields do not fail), arrays
+ *   describe their first item.
+ */
+export function inferSchema(value) {
+  if (value === null) {
+    return { type: "null" };
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? { type: "array", items: inferSchema(value[0]) } : { type: "array" };
+  }
+  if (isPlainObject(value)) {
+    const properties = {};
+    for (const [key, item] of Object.entries(value)) {
+      properties[key] = inferSchema(item);
+    }
+    return { type: "object", properties };
+  }
+  if (typeof value === "number") {
+    return { type: Number.isInteger(value) ? "integer" : "number" };
+  }
+  return { type: typeof value };
+}
+
+/**
+ * parseJson - JSON.parse that returns undefined instead of throwing.
+ */
+export function parseJson(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * isJsonMediaType - application/json, application/problem+json, ...
+ */
+export function isJsonMediaType(mediaType) {
+  return /^application\/([\w.-]+\+)?json$/i.test(mediaTypeOf(mediaType));
+}
+
+/**
+ * mediaTypeOf - A Content-Type without its parameters, lowercased.
+ */
+export function mediaTypeOf(contentType) {
+  return String(contentType ?? "").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * uniqueName - `name`, or `name (2)`, `name (3)`, ... when it is taken.
+ * @param {string} name
+ * @param {Set<string>} taken - Updated with the returned name
+ */
+export function uniqueName(name, taken) {
+  let candidate = name;
+  for (let i = 2; taken.has(candidate); i += 1) {
+    candidate = `${name} (${i})`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * envName - The environment variable for a header or variable name:
+ *   X-Api-Key -> X_API_KEY, accessToken -> ACCESS_TOKEN.
+ */
+export function envName(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+export function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,401 @@
+import Ajv2020 from "ajv/dist/2020.js";
+
+/**
+ * suite_schema.js
+ * ---------------
+ * The formal shape of a .ibgrobot suite, as JSON Schema 2020-12. Used by the
+ * `lint` command for whole files and by runAssertions for each assertion's inputs.
+ * The assertions part is built from the registered assertions (see
+ * assertion_registry.js), so plugin assertions are checked like built-in ones.
+ *
+ * Scalars that are commonly filled in at load or run time (numbers, booleans)
+ * also accept a `{{variable}}` or `${ENV}` placeholder.
+ */
+
+// Building blocks of the schemas here and of the assertions' `inputs` schemas
+const PLACEHOLDER = { type: "string", pattern: "^\\s*(\\{\\{[^{}]+\\}\\}|\\$\\{[^}]+\\})\\s*$" };
+
+export const numberish = { anyOf: [{ type: "number" }, PLACEHOLDER] };
+export const integerish = { anyOf: [{ type: "integer", minimum: 0 }, PLACEHOLDER] };
+export const booleanish = { anyOf: [{ type: "boolean" }, PLACEHOLDER] };
+export const stringList = { type: "array", items: { type: "string" } };
+export const fieldList = { anyOf: [{ type: "string" }, stringList] };
+
+// `[{ key, value }]` lists or plain maps (see toKeyValueObject)
+const keyValues = {
+  anyOf: [
+    {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["key"],
+        properties: { key: { type: "string" }, value: true },
+        additionalProperties: false,
+      },
+    },
+    { type: "object" },
+  ],
+};
+
+export function inputsObject(properties, required = []) {
+  return { type: "object", properties, required, additionalProperties: false };
+}
+
+export const statusSpec = {
+  anyOf: [
+    { type: "integer" },
+    { type: "string" },
+    { type: "array", items: { anyOf: [{ type: "integer" }, { type: "string" }] } },
+    inputsObject({ min: numberish, max: numberish }),
+  ],
+};
+
+const retries = {
+  anyOf: [
+    integerish,
+    inputsObject({
+      count: integerish,
+      delay: numberish,
+      backoff: numberish,
+      max_delay: numberish,
+      on_status: statusSpec,
+    }),
+  ],
+};
+
+/**
+ * assertionSchema - One expected_results entry: a known assertion name, with
+ *   `inputs` checked against that assertion's inputs schema.
+ */
+function assertionSchema(definitions) {
+  const names = definitions.flatMap(({ name, aliases }) => [name, ...aliases]);
+  return {
+    type: "object",
+    required: ["assertion"],
+    properties: {
+      assertion: { enum: names },
+      inputs: true,
+    },
+    additionalProperties: false,
+    allOf: definitions.map(({ name, aliases, inputs }) => ({
+      if: { properties: { assertion: { enum: [name, ...aliases] } }, required: ["assertion"] },
+      then: { properties: { inputs } },
+    })),
+  };
+}
+
+// `auth: none` or one of the providers of auth.js, chosen by `type`
+const authProviders = {
+  bearer: inputsObject(
+    { type: true, token: { type: "string" }, header: { type: "string" }, prefix: { type: "string" } },
+    ["token"]
+  ),
+  basic: inputsObject({ type: true, username: { type: "string" }, password: { type: "string" } }, ["username"]),
+  apikey: inputsObject(
+    { type: true, name: { type: "string" }, value: { type: "string" }, in: { enum: ["header", "query"] } },
+    ["name", "value"]
+  ),
+  oauth2: inputsObject(
+    {
+      type: true,
+      grant: { enum: ["client_credentials", "password"] },
+      token_url: { type: "string" },
+      client_id: { type: "string" },
+      client_secret: { type: "string" },
+      client_auth: { enum: ["basic", "body"] },
+      username: { type: "string" },
+      password: { type: "string" },
+      scope: fieldList,
+      audience: { type: "string" },
+      params: { type: "object" },
+    },
+    ["token_url", "client_id"]
+  ),
+  hmac: inputsObject(
+    {
+      type: true,
+      secret: { type: "string" },
+      key_id: { type: "string" },
+      algorithm: { type: "string" },
+      encoding: { enum: ["hex", "base64", "base64url"] },
+      header: { type: "string" },
+      prefix: { type: "string" },
+      timestamp_header: { type: "string" },
+      key_id_header: { type: "string" },
+      string_to_sign: { type: "string" },
+    },
+    ["secret"]
+  ),
+};
+
+const authSpec = {
+  anyOf: [
+    { type: "string", pattern: "^none$" },
+    {
+      type: "object",
+      required: ["type"],
+      properties: { type: { enum: Object.keys(authProviders) } },
+      allOf: Object.entries(authProviders).map(([type, schema]) => ({
+        if: { type: "object", properties: { type: { const: type } }, required: ["type"] },
+        then: schema,
+      })),
+    },
+  ],
+};
+
+const captureSpec = {
+  anyOf: [
+    { type: "string" },
+    inputsObject({
+      path: { type: "string" },
+      header: { type: "string" },
+      regex: { type: "string" },
+      status: { type: "boolean" },
+      group: integerish,
+      all: booleanish,
+      default: true,
+    }),
+  ],
+};
+
+function testCaseSchema(assertion) {
+  return {
+    type: "object",
+    required: ["description"],
+    properties: {
+      description: { type: "string" },
+      method: { type: "string" },
+      path: { type: "string" },
+      path_params: { type: "object" },
+      query: keyValues,
+      headers: keyValues,
+      remove_headers: stringList,
+      auth: authSpec,
+      body: true,
+      form: keyValues,
+      multipart: {
+        type: "array",
+        items: inputsObject(
+          {
+            name: { type: "string" },
+            value: true,
+            file: { type: "string" },
+            filename: { type: "string" },
+            content_type: { type: "string" },
+          },
+          ["name"]
+        ),
+      },
+      body_file: { type: "string" },
+      parameters: keyValues,
+      expected_results: { type: "array", items: assertion },
+      capture: { type: "object", additionalProperties: captureSpec },
+      pre_request_script: { type: "string" },
+      post_request_script: { type: "string" },
+      teardown_script: { type: "string" },
+      path_to_pre_test_script: { type: "string" },
+      path_to_post_test_script: { type: "string" },
+      skip: { anyOf: [{ type: "boolean" }, { type: "string" }] },
+      only: { type: "boolean" },
+      tags: fieldList,
+      serial: { type: "boolean" },
+      timeout: numberish,
+      retries,
+      poll: inputsObject(
+        {
+          until: { type: "array", items: assertion, minItems: 1 },
+          interval: numberish,
+          timeout: numberish,
+          max_attempts: integerish,
+        },
+        ["until"]
+      ),
+      data: {
+        anyOf: [
+          { type: "array", items: { type: "object" } },
+          { type: "string" },
+          inputsObject({ file: { type: "string" } }, ["file"]),
+        ],
+      },
+      matrix: { type: "object", additionalProperties: { type: "array", minItems: 1 } },
+      mock_response: inputsObject({
+        status: integerish,
+        headers: keyValues,
+        body: true,
+        body_file: { type: "string" },
+        delay: numberish,
+      }),
+    },
+    additionalProperties: false,
+  };
+}
+
+const environmentProfile = inputsObject({
+  variables: { type: "object" },
+  env_file: fieldList,
+  secrets: stringList,
+});
+
+/**
+ * buildSuiteSchema - The suite schema for the given assertion definitions
+ *   (usually listAssertions()).
+ */
+export function buildSuiteSchema(definitions) {
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    type: "object",
+    required: ["test_cases"],
+    properties: {
+      name: { type: "string" },
+      url: { type: "string" },
+      method: { type: "string" },
+      headers: keyValues,
+      auth: authSpec,
+      variables: { type: "object" },
+      environments: { type: "object", additionalProperties: environmentProfile },
+      secrets: stringList,
+      plugins: fieldList,
+      suite_pre_script: { type: "string" },
+      suite_post_script: { type: "string" },
+      timeout: numberish,
+      retries,
+      serial: { type: "boolean" },
+      save_to_history: { type: "boolean" },
+      sync_to_slack: { type: "boolean" },
+      report_results: { type: "boolean" },
+      target_squads: fieldList,
+      target_owners: fieldList,
+      tags: fieldList,
+      test_cases: { type: "array", items: testCaseSchema(assertionSchema(definitions)) },
+    },
+    additionalProperties: false,
+  };
+}
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+const inputValidators = new WeakMap();
+let suiteValidator = { definitions: null, validate: null };
+
+/**
+ * validateSuiteDocument - Validates a parsed suite against the suite schema.
+ * @param {object} document
+ * @param {object[]} definitions - The assertions the suite may use (listAssertions())
+ * @returns {Array<import("ajv").ErrorObject>} Raw Ajv errors, empty when valid
+ */
+export function validateSuiteDocument(document, definitions) {
+  // Recompiled only when plugins registered assertions since the last call
+  const changed =
+    suiteValidator.definitions?.length !== definitions.length ||
+    definitions.some((definition, index) => suiteValidator.definitions[index] !== definition);
+  if (changed) {
+    suiteValidator = { definitions: [...definitions], validate: ajv.compile(buildSuiteSchema(definitions)) };
+  }
+  const { validate } = suiteValidator;
+  return validate(document) ? [] : validate.errors;
+}
+
+/**
+ * checkAssertionInputs - Validates one assertion's `inputs` against its
+ *   definition's schema. Unknown keys are left to `lint`; they do not make the
+ *   inputs invalid.
+ * @param {object} definition - From the assertion registry
+ * @returns {string|null} What is wrong with them, or null when they fit
+ */
+export function checkAssertionInputs(definition, inputs) {
+  if (!inputValidators.has(definition)) {
+    inputValidators.set(definition, ajv.compile(definition.inputs));
+  }
+  const validate = inputValidators.get(definition);
+  // Leaving `inputs` out is checked like `inputs: null`
+  if (validate(inputs === undefined ? null : inputs)) {
+    return null;
+  }
+  const problems = describeSchemaErrors(validate.errors, "inputs").filter(
+    ({ keyword }) => keyword !== "additionalProperties"
+  );
+  return problems.length > 0 ? problems.map(({ path, message }) => `${path} ${message}`).join("; ") : null;
+}
+
+/**
+ * describeSchemaErrors - Turns raw Ajv errors into one readable entry per problem:
+ *   - the "anyOf" alternatives of a value collapse into "must be X or Y", unless
+ *     the value matched an alternative's type but broke a rule inside it
+ *   - the "if" errors that only repeat their "then" errors are dropped
+ *   - unknown keys point at the key itself
+ *
+ * @param {Array<import("ajv").ErrorObject>} errors
+ * @param {string} [rootPath] - Prefix of every path, e.g. "inputs"
+ * @returns {Array<{ pointer: string, path: string, keyword: string, message: string, params: object }>}
+ */
+export function describeSchemaErrors(errors, rootPath = "") {
+  const anyOfErrors = errors.filter((error) => error.keyword === "anyOf");
+  // Sibling test cases share schema paths, so the instance must be inside the parent's too
+  const isBranchOf = (error, parent) =>
+    error !== parent &&
+    error.schemaPath.startsWith(`${parent.schemaPath}/`) &&
+    (error.instancePath === parent.instancePath || error.instancePath.startsWith(`${parent.instancePath}/`));
+
+  const described = [];
+  for (const error of errors) {
+    if (error.keyword === "if") {
+      continue;
+    }
+    const parent = anyOfErrors.find((candidate) => isBranchOf(error, candidate));
+    if (parent && isTypeMismatch(error, parent, errors, isBranchOf)) {
+      continue;
+    }
+    if (error.keyword === "anyOf") {
+      const branches = errors.filter((candidate) => isBranchOf(candidate, error));
+      if (!branches.every((branch) => isTypeMismatch(branch, error, errors, isBranchOf))) {
+        continue;
+      }
+      const types = [
+        ...new Set(branches.filter((branch) => branch.keyword === "type").map((branch) => branch.params.type)),
+      ];
+      described.push(toEntry(error, rootPath, types.length > 0 ? `must be ${types.join(" or ")}` : error.message));
+      continue;
+    }
+    if (error.keyword === "additionalProperties") {
+      const key = error.params.additionalProperty;
+      described.push(
+        toEntry({ ...error, instancePath: `${error.instancePath}/${key.replace(/~/g, "~0").replace(/\//g, "~1")}` }, rootPath, "is not a known key")
+      );
+      continue;
+    }
+    described.push(toEntry(error, rootPath, error.message));
+  }
+  return described;
+}
+
+// A branch of an anyOf that only failed because the value has another type
+function isTypeMismatch(error, parent, errors, isBranchOf) {
+  if (error.instancePath !== parent.instancePath) {
+    return false;
+  }
+  if (error.keyword === "type" || error.keyword === "pattern") {
+    return true;
+  }
+  if (error.keyword === "anyOf") {
+    const branches = errors.filter((candidate) => isBranchOf(candidate, error));
+    return branches.every((branch) => isTypeMismatch(branch, error, errors, isBranchOf));
+  }
+  return false;
+}
+
+function toEntry(error, rootPath, message) {
+  const segments = error.instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+  const path = segments.reduce(
+    (text, segment) => (/^\d+$/.test(segment) ? `${text}[${segment}]` : text ? `${text}.${segment}` : segment),
+    rootPath
+  );
+  return {
+    pointer: error.instancePath,
+    path: path || "(root)",
+    keyword: error.keyword,
+    message,
+    params: error.params,
+  };
+}
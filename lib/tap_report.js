@@ -0,0 +1,67 @@
+import { TEST_STATUS } from "./test_result.js";
+
+/**
+ * renderTapReport - TAP version 13. Failed and errored cases carry a YAML
+ *   diagnostic block; skipped ones use the `# SKIP` directive.
+ *
+ * @param {Array<SuiteResult>} suites
+ * @returns {string}
+ */
+export function renderTapReport(suites) {
+  const total = suites.reduce((sum, suite) => sum + suite.testResults.length, 0);
+  const lines = ["TAP version 13", `1..${total}`];
+  let number = 0;
+
+  suites.forEach((suite) => {
+    lines.push(`# ${suite.name ?? suite.file}`);
+    suite.testResults.forEach((tc) => lines.push(...renderTestPoint(tc, (number += 1))));
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+function renderTestPoint(tc, number) {
+  const description = `${number} - ${tapText(tc.testCase)}`;
+
+  switch (tc.status) {
+    case TEST_STATUS.PASSED:
+      return [`ok ${description}`];
+
+    case TEST_STATUS.SKIPPED:
+      return [`ok ${description} # SKIP ${tapText(tc.skipReason)}`];
+
+    case TEST_STATUS.ERROR:
+      return [
+        `not ok ${description}`,
+        ...yamlBlock({ severity: "error", stage: tc.error.stage, message: tc.error.message }),
+      ];
+
+    default:
+      return [
+        `not ok ${description}`,
+        ...yamlBlock({
+          severity: "fail",
+          failures: tc.assertions.filter((a) => !a.passed).map((a) => `${a.assertion}: ${a.message}`),
+        }),
+      ];
+  }
+}
+
+// `#` starts a directive in TAP, so it is escaped in descriptions
+function tapText(value) {
+  return String(value ?? "").replace(/\r?\n/g, " ").replace(/#/g, "\\#");
+}
+
+function yamlBlock(fields) {
+  const lines = ["  ---"];
+  for (const [key, value] of Object.entries(fields)) {
+    if (Array.isArray(value)) {
+      lines.push(`  ${key}:`);
+      value.forEach((item) => lines.push(`    - ${JSON.stringify(item)}`));
+    } else {
+      lines.push(`  ${key}: ${JSON.stringify(value)}`);
+    }
+  }
+  lines.push("  ...");
+  return lines;
+}
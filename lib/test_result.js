@@ -0,0 +1,122 @@
+/**
+ * test_result.js
+ * --------------
+ * The result model shared by the runner and every report.
+ *
+ * One TestCaseResult per test case in the suite (none are dropped):
+ * {
+ *   testCase: "Create item",            // description
+ *   tags: ["smoke", "orders"],          // the test case's and its suite's
+ *   status: "passed" | "failed" | "error" | "skipped",
+ *   assertions: [{ assertion, passed, message, violations }],   // see assertion_response.js
+ *   hooks: [{ hook, script, passed, output, durationMs }],
+ *   request: { method, url, headers, body } | null,
+ *   response: { status, statusText, headers, body, durationMs } | null,   // last attempt
+ *   attempts: [{ attempt, status, durationMs, outcome, error }],          // see send_with_retries.js
+ *   startedAt: "2024-01-01T00:00:00.000Z",
+ *   durationMs: 123.4,                  // whole case, hooks included
+ *   error: { message, stack, stage } | null,
+ *   skipReason: "..." | undefined,
+ * }
+ *
+ * Results are grouped per suite file into a SuiteResult, the input of every reporter:
+ * { name, file, startedAt: Date, durationMs, testResults: [TestCaseResult],
+ *   saveToHistory, syncToSlack, reportResults, targetSquads, targetOwners }   // see history.js, notifications.js
+ *
+ * - "error": the case could not complete (network error, bad input, a failing
+ *   pre/post hook). Its assertions did not run.
+ * - "failed": the request completed but an assertion, capture or teardown failed.
+ */
+
+export const TEST_STATUS = Object.freeze({
+  PASSED: "passed",
+  FAILED: "failed",
+  ERROR: "error",
+  SKIPPED: "skipped",
+});
+
+/**
+ * resolveStatus - Derives a case's status from its error and assertions.
+ */
+export function resolveStatus({ error, assertions = [] }) {
+  if (error) {
+    return TEST_STATUS.ERROR;
+  }
+  return assertions.every((a) => a.passed) ? TEST_STATUS.PASSED : TEST_STATUS.FAILED;
+}
+
+/**
+ * skippedResult - The result recorded for a test case that did not run.
+ */
+export function skippedResult(testCase, skipReason) {
+  return {
+    testCase: testCase.description,
+    tags: testCase.tags ?? [],
+    status: TEST_STATUS.SKIPPED,
+    assertions: [],
+    hooks: [],
+    request: null,
+    response: null,
+    attempts: [],
+    startedAt: null,
+    durationMs: 0,
+    error: null,
+    skipReason,
+  };
+}
+
+/**
+ * summarizeResults - Counts results per status and adds up their durations.
+ * @param {Array<TestCaseResult>} results
+ * @returns {{ total: number, passed: number, failed: number, errored: number, skipped: number, durationMs: number }}
+ */
+export function summarizeResults(results) {
+  const summary = { total: 0, passed: 0, failed: 0, errored: 0, skipped: 0, durationMs: 0 };
+  for (const result of results) {
+    summary.total += 1;
+    summary.durationMs += result.durationMs || 0;
+    switch (result.status) {
+      case TEST_STATUS.PASSED:
+        summary.passed += 1;
+        break;
+      case TEST_STATUS.SKIPPED:
+        summary.skipped += 1;
+        break;
+      case TEST_STATUS.ERROR:
+        summary.errored += 1;
+        break;
+      default:
+        summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * describeRequest - A serializable copy of an Axios request config for reports.
+ */
+export function describeRequest(config) {
+  if (!config) {
+    return null;
+  }
+  return {
+    method: config.method,
+    url: config.url,
+    headers: { ...config.headers },
+    body: describeBody(config.data),
+  };
+}
+
+function describeBody(data) {
+  if (data instanceof FormData) {
+    const fields = [];
+    for (const [name, value] of data.entries()) {
+      fields.push(typeof value === "string" ? `${name}=${value}` : `${name}=<file ${value.name ?? ""}, ${value.size} bytes>`);
+    }
+    return `[multipart] ${fields.join("; ")}`;
+  }
+  if (Buffer.isBuffer(data)) {
+    return `[binary, ${data.length} bytes]`;
+  }
+  return data;
+}
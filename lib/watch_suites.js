@@ -0,0 +1,355 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { collectSuiteFiles, SUITE_FILE_PATTERN } from "./collect_suite_files.js";
+import { runSuites } from "./run_suites.js";
+import { getAssertion, loadAssertionPlugins, resolvePluginFiles, unloadAssertionPlugin } from "./assertion_registry.js";
+import { invalidateModule } from "./import_module.js";
+import { renderWatchRun } from "./console_report.js";
+import { TEST_STATUS } from "./test_result.js";
+import { redact } from "./redact.js";
+
+/**
+ * watch_suites.js
+ * ---------------
+ * `ibgroboot watch <files|globs|dirs...>`: runs every suite once, then re-runs
+ * a suite whenever its file or a file it uses changes:
+ *
+ *   - suite_pre_script / suite_post_script and the test cases' hook scripts
+ *   - the modules of its `Custom` assertions
+ *   - the assertion plugins it lists; a change to one of the project config's
+ *     plugins re-runs every suite
+ *
+ * Changed modules are imported again on the next run (see invalidateModule,
+ * unloadAssertionPlugin). After each run only what changed since the suite's
+ * previous run is printed (see diffSuiteRuns). Watch runs write no reports,
+ * keep no history and send no notifications.
+ */
+
+// Editors save in several steps; changes this close together make one run
+const DEBOUNCE_MS = 150;
+
+const HOOK_KEYS = [
+  "pre_request_script",
+  "post_request_script",
+  "teardown_script",
+  "path_to_pre_test_script",
+  "path_to_post_test_script",
+];
+
+/**
+ * watchSuites - Runs the suites, then keeps re-running them as their files change.
+ * @param {string[]} inputs - Files, directories or globs, as for `run`
+ * @param {object} options
+ * @param {object} options.projectConfig - Result of loadProjectConfig; its plugins must be loaded
+ * @param {Function} [options.select] - From buildTestCaseSelector
+ * @param {number} [options.concurrency]
+ * @param {string} [options.environment]
+ * @param {string[]} [options.envFiles]
+ * @param {boolean} [options.updateSnapshots]
+ * @param {Function} [options.print] - Receives each run's output (default: stdout)
+ * @returns {Promise<{ close: Function }>} Resolves after the first runs; `close`
+ *   stops watching once the current run is over
+ * @throws {Error} When `inputs` match no suite file
+ */
+export async function watchSuites(inputs, options) {
+  const { projectConfig, print = (text) => process.stdout.write(text) } = options;
+  let suiteFiles = collectSuiteFiles(inputs);
+
+  const previousResults = new Map();
+  // Watched file -> the suite files to re-run when it changes
+  const dependents = new Map();
+  const projectPlugins = new Set(pluginFiles(projectConfig.config.plugins, projectConfig.baseDir));
+  const watchers = new Map();
+
+  const pending = new Set();
+  const changedModules = new Set();
+  let reloadProjectPlugins = false;
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const runOne = async (suiteFile) => {
+    let summary;
+    try {
+      summary = await runSuites([suiteFile], {
+        formats: [],
+        concurrency: options.concurrency ?? 1,
+        select: options.select,
+        environment: options.environment,
+        envFiles: options.envFiles,
+        projectConfig,
+        updateSnapshots: options.updateSnapshots,
+      });
+    } catch (err) {
+      print(`${relative(suiteFile)}: ${redact(err.message)}\n`);
+      return;
+    }
+
+    const [suite] = summary.suites;
+    if (suite) {
+      const previous = previousResults.get(suiteFile);
+      print(renderWatchRun(suite, previous ? diffSuiteRuns(previous, suite.testResults) : null));
+      previousResults.set(suiteFile, suite.testResults);
+    } else if (summary.unselected > 0) {
+      print(`${relative(suiteFile)}: no test case matches --tags / --filter.\n`);
+    } else {
+      print(`${relative(suiteFile)} could not be loaded; fix it and save again.\n`);
+    }
+    trackDependencies(suiteFile);
+  };
+
+  const runPending = async () => {
+    for (const file of changedModules) {
+      if (!unloadAssertionPlugin(file)) {
+        invalidateModule(file);
+      }
+    }
+    changedModules.clear();
+    if (reloadProjectPlugins) {
+      reloadProjectPlugins = false;
+      try {
+        await loadAssertionPlugins(projectConfig.config.plugins, projectConfig.baseDir);
+      } catch (err) {
+        print(`${redact(err.message)}\n`);
+        return;
+      }
+    }
+
+    // A suite file deleted for good (not just rewritten by the editor) stops being watched
+    if (suiteFiles.some((file) => pending.has(file) && !fs.existsSync(file))) {
+      recollect();
+    }
+    const files = suiteFiles.filter((file) => pending.has(file) && fs.existsSync(file));
+    pending.clear();
+    for (const file of files) {
+      await runOne(file);
+    }
+  };
+
+  const schedule = (files) => {
+    files.forEach((file) => pending.add(file));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      queue = queue.then(runPending);
+    }, DEBOUNCE_MS);
+  };
+
+  // Re-reads which files a suite uses; they may have changed with the suite
+  const trackDependencies = (suiteFile) => {
+    for (const suites of dependents.values()) {
+      suites.delete(suiteFile);
+    }
+    for (const file of [suiteFile, ...readDependencies(suiteFile)]) {
+      if (!dependents.has(file)) {
+        dependents.set(file, new Set());
+      }
+      dependents.get(file).add(suiteFile);
+      watchDirectory(path.dirname(file));
+    }
+  };
+
+  // Picks up suite files created in (or removed from) the watched folders
+  const recollect = () => {
+    let files;
+    try {
+      files = collectSuiteFiles(inputs);
+    } catch {
+      return;
+    }
+    const added = files.filter((file) => !suiteFiles.includes(file));
+    for (const file of suiteFiles.filter((file) => !files.includes(file))) {
+      previousResults.delete(file);
+      for (const suites of dependents.values()) {
+        suites.delete(file);
+      }
+      print(`${relative(file)} was removed; it is no longer watched.\n`);
+    }
+    suiteFiles = files;
+    if (added.length > 0) {
+      schedule(added);
+    }
+  };
+
+  const onChange = (directory) => (eventType, fileName) => {
+    if (!fileName) {
+      return;
+    }
+    const file = path.join(directory, fileName.toString());
+    if (projectPlugins.has(file)) {
+      changedModules.add(file);
+      reloadProjectPlugins = true;
+      schedule(suiteFiles);
+    } else if (dependents.get(file)?.size > 0) {
+      if (!suiteFiles.includes(file)) {
+        changedModules.add(file);
+      }
+      schedule(dependents.get(file));
+    } else if (SUITE_FILE_PATTERN.test(file)) {
+      recollect();
+    }
+  };
+
+  const watchDirectory = (directory) => {
+    if (watchers.has(directory) || !fs.existsSync(directory)) {
+      return;
+    }
+    const watcher = fs.watch(directory, onChange(directory));
+    // The folder went away; a suite that still needs it will fail to load and say so
+    watcher.on("error", () => {
+      watcher.close();
+      watchers.delete(directory);
+    });
+    watchers.set(directory, watcher);
+  };
+
+  for (const input of inputs) {
+    const fullPath = path.resolve(input);
+    if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+      watchDirectory(fullPath);
+    }
+  }
+  projectPlugins.forEach((file) => watchDirectory(path.dirname(file)));
+
+  for (const file of suiteFiles) {
+    await runOne(file);
+  }
+
+  return {
+    close: async () => {
+      clearTimeout(timer);
+      await queue;
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * diffSuiteRuns - What changed between two runs of a suite: test cases whose
+ *   status changed or that were added or removed, and under each, the
+ *   assertions that started or stopped passing. Cases are matched by
+ *   description, assertions by name (and position among same-named ones).
+ * @param {Array<TestCaseResult>} previous
+ * @param {Array<TestCaseResult>} current
+ * @returns {Array<{ testCase: string, before: string|null, after: string|null, result: TestCaseResult|null,
+ *   assertions: Array<{ assertion: string, before: boolean|null, after: boolean|null, message: string }> }>}
+ *   `before` is null for an added case, `after` for a removed one
+ */
+export function diffSuiteRuns(previous, current) {
+  const before = keyedBy(previous, (tc) => tc.testCase);
+  const after = keyedBy(current, (tc) => tc.testCase);
+  const changes = [];
+
+  for (const [key, tc] of after) {
+    const old = before.get(key);
+    if (!old) {
+      changes.push({ testCase: tc.testCase, before: null, after: tc.status, result: tc, assertions: [] });
+      continue;
+    }
+    const assertions = ranAssertions(old) && ranAssertions(tc) ? diffAssertions(old.assertions, tc.assertions) : [];
+    if (old.status !== tc.status || assertions.length > 0) {
+      changes.push({ testCase: tc.testCase, before: old.status, after: tc.status, result: tc, assertions });
+    }
+  }
+  for (const [key, tc] of before) {
+    if (!after.has(key)) {
+      changes.push({ testCase: tc.testCase, before: tc.status, after: null, result: null, assertions: [] });
+    }
+  }
+  return changes;
+}
+
+// An errored or skipped case ran no assertions, so only its status is compared
+function ranAssertions(tc) {
+  return tc.status !== TEST_STATUS.ERROR && tc.status !== TEST_STATUS.SKIPPED;
+}
+
+function diffAssertions(previous, current) {
+  const before = keyedBy(previous, (a) => a.assertion);
+  const after = keyedBy(current, (a) => a.assertion);
+  const changes = [];
+  for (const [key, a] of after) {
+    const old = before.get(key);
+    if (!old || old.passed !== a.passed) {
+      changes.push({ assertion: a.assertion, before: old ? old.passed : null, after: a.passed, message: a.message });
+    }
+  }
+  for (const [key, a] of before) {
+    if (!after.has(key)) {
+      changes.push({ assertion: a.assertion, before: a.passed, after: null, message: "" });
+    }
+  }
+  return changes;
+}
+
+// Keys items by name, numbering repeated names so each stays distinct
+function keyedBy(items, nameOf) {
+  const seen = new Map();
+  const keyed = new Map();
+  for (const item of items) {
+    const name = String(nameOf(item));
+    const occurrence = seen.get(name) ?? 0;
+    seen.set(name, occurrence + 1);
+    keyed.set(`${name}\u0000${occurrence}`, item);
+  }
+  return keyed;
+}
+
+/**
+ * readDependencies - The files a suite uses that watch mode follows. Paths
+ *   with {{placeholders}} cannot be known before the run and are left out.
+ * @returns {string[]} Absolute paths
+ */
+function readDependencies(suiteFile) {
+  let document;
+  try {
+    document = yaml.load(fs.readFileSync(suiteFile, "utf8")) || {};
+  } catch {
+    // The run already reported why the suite cannot be read
+    return [];
+  }
+  const baseDir = path.dirname(suiteFile);
+  const files = new Set();
+  const add = (file) => {
+    if (typeof file === "string" && file !== "" && !file.includes("{{")) {
+      files.add(path.resolve(baseDir, file));
+    }
+  };
+
+  add(document.suite_pre_script);
+  add(document.suite_post_script);
+  for (const testCase of Array.isArray(document.test_cases) ? document.test_cases : []) {
+    HOOK_KEYS.forEach((key) => add(testCase?.[key]));
+    for (const assertion of [...asArray(testCase?.expected_results), ...asArray(testCase?.poll?.until)]) {
+      if (getAssertion(assertion?.assertion)?.name === "Custom") {
+        add(assertion.inputs?.path);
+      }
+    }
+  }
+  pluginFiles(document.plugins, baseDir).forEach((file) => files.add(file));
+  return [...files];
+}
+
+function pluginFiles(specifiers = [], baseDir) {
+  return asArray(specifiers).flatMap((specifier) => {
+    try {
+      return resolvePluginFiles(String(specifier), baseDir);
+    } catch {
+      // A missing plugin is reported when the suite runs
+      return [];
+    }
+  });
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file);
+}
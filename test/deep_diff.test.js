@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffValues, describeDifference } from "../lib/deep_diff.js";
+
+test("equal values have no differences", () => {
+  assert.deepEqual(diffValues({ a: [1, { b: null }], n: NaN }, { a: [1, { b: null }], n: NaN }), []);
+});
+
+test("exact mode reports changed, missing and unexpected fields", () => {
+  const differences = diffValues({ id: 1, name: "Ann", tags: ["a", "b"] }, { id: 2, tags: ["a"], extra: true });
+  assert.deepEqual(differences, [
+    { kind: "changed", segments: ["id"], expected: 1, actual: 2 },
+    { kind: "missing", segments: ["name"], expected: "Ann", actual: undefined },
+    { kind: "missing", segments: ["tags", 1], expected: "b", actual: undefined },
+    { kind: "unexpected", segments: ["extra"], expected: undefined, actual: true },
+  ]);
+});
+
+test("a type mismatch is a change", () => {
+  assert.deepEqual(diffValues({ a: [1] }, { a: { 0: 1 } }), [
+    { kind: "changed", segments: ["a"], expected: [1], actual: { 0: 1 } },
+  ]);
+});
+
+test("subset mode allows extra keys and matches array items in any order", () => {
+  const actual = { id: 7, items: [{ sku: "b", qty: 2 }, { sku: "a", qty: 1 }], meta: {} };
+  assert.deepEqual(diffValues({ items: [{ sku: "a" }, { sku: "b" }] }, actual, { subset: true }), []);
+
+  // Each expected item needs an actual item of its own
+  assert.deepEqual(diffValues({ items: [{ sku: "a" }, { sku: "a" }] }, actual, { subset: true }), [
+    { kind: "no-match", segments: ["items"], expected: { sku: "a" }, actual: actual.items },
+  ]);
+});
+
+test("ignored paths support *, ** and array wildcards", () => {
+  const expected = { id: 1, data: { createdAt: "x", items: [{ id: 1, v: 1 }] }, meta: { deep: { updatedAt: 1 } } };
+  const actual = { id: 9, data: { createdAt: "y", items: [{ id: 2, v: 1 }] }, meta: { deep: { updatedAt: 2 } } };
+  assert.deepEqual(diffValues(expected, actual, { ignore: ["id", "data.createdAt", "data.items[*].id", "**.updatedAt"] }), []);
+  assert.equal(diffValues(expected, actual, { ignore: "id" }).length, 3);
+});
+
+test("describeDifference writes the full path from the compared value", () => {
+  const [changed, missing, unexpected] = diffValues({ name: "Ann", id: 1 }, { name: "Bob", extra: [1] });
+  assert.equal(describeDifference(changed, "$.data"), 'Field "data.name" should be "Ann" but got "Bob".');
+  assert.equal(describeDifference(missing), 'Field "id" is missing; expected 1.');
+  assert.equal(describeDifference(unexpected), 'Field "extra" is not expected; got [1].');
+  assert.equal(
+    describeDifference({ kind: "no-match", segments: ["items"], expected: { sku: "a" } }),
+    'Array "items" has no item matching {"sku":"a"}.'
+  );
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { envReferences, registerSecrets } from "../lib/environment.js";
+import { parseIbgrobotConfiguration } from "../lib/parse_structured_ibgrobot.js";
+import { MASK, redact } from "../lib/redact.js";
+
+const AMBIENT = {
+  IBGROBOOT_TEST_MAX_TOKENS: "64000",
+  IBGROBOOT_TEST_DEPLOY_TOKEN: "true",
+  IBGROBOOT_TEST_UNUSED_SECRET: "unused-s3cret-value",
+  IBGROBOOT_TEST_API_TOKEN: "used-t0ken-value",
+  IBGROBOOT_TEST_SIGNING_KEY: "signing-k3y-value",
+};
+
+let dir;
+
+before(() => {
+  Object.assign(process.env, AMBIENT);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ibgroboot-env-"));
+});
+
+after(() => {
+  Object.keys(AMBIENT).forEach((key) => delete process.env[key]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("envReferences finds ${NAME} and {{ env.NAME }} but not $${NAME}", () => {
+  const names = envReferences({
+    url: "${BASE_URL:-http://localhost}/items",
+    headers: [{ key: "Authorization", value: "Bearer {{ env.API_TOKEN }}" }],
+    note: "$${LITERAL}",
+  });
+  assert.deepEqual([...names].sort(), ["API_TOKEN", "BASE_URL"]);
+});
+
+test("only the environment variables a suite uses are masked", () => {
+  const suiteFile = path.join(dir, "ambient.ibgrobot");
+  fs.writeFileSync(
+    suiteFile,
+    [
+      'url: "http://localhost/items"',
+      "secrets: [IBGROBOOT_TEST_SIGNING_KEY]",
+      "headers:",
+      '  - key: "Authorization"',
+      '    value: "Bearer ${IBGROBOOT_TEST_API_TOKEN}"',
+      "test_cases: []",
+    ].join("\n")
+  );
+  assert.ok(parseIbgrobotConfiguration(suiteFile));
+
+  assert.equal(redact("used-t0ken-value"), MASK);
+  assert.equal(redact("signing-k3y-value"), MASK);
+  assert.equal(redact("unused-s3cret-value"), "unused-s3cret-value");
+  assert.equal(redact('{"limit": 64000, "enabled": true}'), '{"limit": 64000, "enabled": true}');
+});
+
+test("booleans, numbers and short values are never registered", () => {
+  registerSecrets({
+    env: { DEPLOY_TOKEN: "true", MAX_TOKENS: "64000" },
+    variables: {
+      password: "false",
+      pin_secret: "12345678",
+      ratio_token: "-0.75",
+      short_password: "abc123",
+      flag_secret: true,
+      api_key: "k3y-long-enough",
+    },
+    secrets: ["plain"],
+    referenced: ["DEPLOY_TOKEN", "MAX_TOKENS"],
+  });
+
+  for (const value of ["true", "64000", "false", "12345678", "-0.75", "abc123"]) {
+    assert.equal(redact(`value ${value}`), `value ${value}`);
+  }
+  assert.equal(redact("k3y-long-enough"), MASK);
+});
+
+test("variables listed in secrets are registered whatever their name", () => {
+  registerSecrets({ env: {}, variables: { session: "s3ssion-value" }, secrets: ["session"] });
+  assert.equal(redact("id s3ssion-value"), `id ${MASK}`);
+});
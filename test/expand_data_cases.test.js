@@ -0,0 +1,70 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { expandDataCases } from "../lib/expand_data_cases.js";
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ibgroboot-data-"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function csvRows(content) {
+  fs.writeFileSync(path.join(dir, "rows.csv"), content);
+  return expandDataCases([{ description: "case", data: "./rows.csv" }], dir).map(({ data_row: row }) => row);
+}
+
+test("CSV fields may be quoted, with commas, escaped quotes and line breaks", () => {
+  const rows = csvRows('name,note\r\n"Smith, Ann","say ""hi"""\n"multi\nline",plain\n');
+  assert.deepEqual(rows, [
+    { name: "Smith, Ann", note: 'say "hi"' },
+    { name: "multi\nline", note: "plain" },
+  ]);
+});
+
+test("CSV values become numbers, booleans and null only when canonical", () => {
+  const rows = csvRows("\uFEFFid,code,active,owner,empty\n42,007,true,null,\n-1.5,1e3,false,ann,\n");
+  assert.deepEqual(rows, [
+    { id: 42, code: "007", active: true, owner: null, empty: "" },
+    { id: -1.5, code: "1e3", active: false, owner: "ann", empty: "" },
+  ]);
+});
+
+test("malformed CSV files are rejected", () => {
+  assert.throws(() => csvRows('name\n"open\n'), /Test case "case": Data file "\.\/rows\.csv" has an unterminated quoted field\./);
+  assert.throws(() => csvRows("a,b\n1,2,3\n"), /row 2 has 3 field\(s\), expected 2/);
+  assert.throws(() => csvRows("\n\n"), /Data file "\.\/rows\.csv" is empty\./);
+});
+
+test("a missing data file names the test case and the file", () => {
+  assert.throws(
+    () => expandDataCases([{ description: "Get user", data: { file: "./absent.csv" } }], dir),
+    /^Error: Test case "Get user": Data file "\.\/absent\.csv" does not exist\.$/
+  );
+});
+
+test("JSON data files must hold an array of objects", () => {
+  fs.writeFileSync(path.join(dir, "rows.json"), JSON.stringify([{ id: 1 }, 2]));
+  assert.throws(() => expandDataCases([{ description: "c", data: "rows.json" }], dir), /Data row 2 is not an object/);
+});
+
+test("rows and matrix combine; descriptions get the row's values", () => {
+  const cases = expandDataCases(
+    [
+      { description: "get {{id}} as {{role}}", data: [{ id: 1 }, { id: 2 }], matrix: { role: ["admin", "guest"] } },
+      { description: "list", matrix: { page: [1, 2] } },
+      { description: "plain" },
+    ],
+    dir
+  );
+  assert.deepEqual(
+    cases.map(({ description }) => description),
+    ["get 1 as admin", "get 1 as guest", "get 2 as admin", "get 2 as guest", "list [page=1]", "list [page=2]", "plain"]
+  );
+  assert.deepEqual(cases[3].data_row, { id: 2, role: "guest" });
+  assert.throws(() => expandDataCases([{ description: "x", matrix: { role: [] } }], dir), /matrix "role" has no values/);
+});
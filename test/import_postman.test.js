@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importPostman } from "../lib/import_postman.js";
+
+const collection = {
+  info: { name: "Shop" },
+  variable: [
+    { key: "baseUrl", value: "https://api.example.com" },
+    { key: "accessToken", value: "eyJhbGciOiJIUzI1NiJ9.real" },
+    { key: "clientSecret", value: "{{vaultSecret}}" },
+  ],
+  auth: { type: "bearer", bearer: [{ key: "token", value: "pm-b3arer-literal" }] },
+  item: [
+    { name: "List items", request: { method: "GET", url: "{{baseUrl}}/items" } },
+    {
+      name: "Admin",
+      auth: { type: "basic", basic: [{ key: "username", value: "admin" }, { key: "password", value: "hunter22" }] },
+      item: [
+        {
+          name: "Stats",
+          request: {
+            method: "GET",
+            url: "{{baseUrl}}/stats",
+            auth: { type: "apikey", apikey: [{ key: "key", value: "X-Api-Key" }, { key: "value", value: "k3y-literal" }] },
+          },
+        },
+        {
+          name: "Audit",
+          request: {
+            method: "GET",
+            url: "{{baseUrl}}/audit",
+            auth: { type: "bearer", bearer: [{ key: "token", value: "{{accessToken}}" }] },
+          },
+        },
+      ],
+    },
+  ],
+};
+
+test("credentials typed into a Postman collection become ${ENV} placeholders", () => {
+  const { suites, warnings } = importPostman(collection);
+  const serialized = JSON.stringify(suites);
+  for (const literal of ["eyJhbGciOiJIUzI1NiJ9.real", "pm-b3arer-literal", "hunter22", "k3y-literal"]) {
+    assert.ok(!serialized.includes(literal), `${literal} was copied into the suites`);
+  }
+
+  const [root, admin] = suites.map(({ document }) => document);
+  assert.deepEqual(root.auth, { type: "bearer", token: "${API_TOKEN}" });
+  assert.deepEqual(root.variables, {
+    baseUrl: "https://api.example.com",
+    accessToken: "${ACCESS_TOKEN}",
+    clientSecret: "{{vaultSecret}}",
+  });
+
+  assert.deepEqual(admin.auth, { type: "basic", username: "${API_USERNAME}", password: "${API_PASSWORD}" });
+  const [stats, audit] = admin.test_cases;
+  assert.deepEqual(stats.auth, { type: "apikey", name: "X-Api-Key", value: "${API_KEY}", in: "header" });
+  assert.deepEqual(audit.auth, { type: "bearer", token: "{{accessToken}}" });
+
+  assert.ok(warnings.includes('"Shop": set ACCESS_TOKEN, API_TOKEN before running the suite.'));
+  assert.ok(warnings.includes('"Shop - Admin": set ACCESS_TOKEN, API_USERNAME, API_PASSWORD, API_KEY before running the suite.'));
+});
+
+test("auth that only uses {{variables}} needs no environment variable", () => {
+  const { suites, warnings } = importPostman({
+    info: { name: "Plain" },
+    auth: { type: "bearer", bearer: [{ key: "token", value: "{{token}}" }] },
+    item: [{ name: "Ping", request: { method: "GET", url: "https://api.example.com/ping" } }],
+  });
+  assert.deepEqual(suites[0].document.auth, { type: "bearer", token: "{{token}}" });
+  assert.ok(!warnings.some((warning) => warning.includes("before running the suite")));
+});
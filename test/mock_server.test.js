@@ -0,0 +1,161 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { parseIbgrobotConfiguration } from "../lib/parse_structured_ibgrobot.js";
+import { buildMockRoutes, startMockServer } from "../lib/mock_server.js";
+import { setQuiet } from "../lib/logger.js";
+
+const SUITE = `
+name: "Items"
+url: "https://api.example.com/v1"
+variables:
+  itemId: 7
+test_cases:
+  - description: "List items"
+    path: "/items"
+    mock_response:
+      body: [{ id: 7 }]
+  - description: "List draft items"
+    path: "/items"
+    query: { status: draft }
+    mock_response:
+      body: [{ id: 9, status: draft }]
+  - description: "Get item"
+    path: "/items/{id}"
+    mock_response:
+      body: { id: 7, name: "Widget" }
+  - description: "Get missing item"
+    path: "/items/{id}"
+    mock_response:
+      status: 404
+      body: { error: "not found" }
+  - description: "Get the featured item"
+    path: "/items/featured"
+    mock_response:
+      headers: { X-Featured: "yes" }
+      body_file: "./featured.json"
+  - description: "Create item"
+    method: POST
+    path: "/items"
+    mock_response:
+      status: 201
+      headers: { Location: "/items/{{itemId}}" }
+      body: { id: 7 }
+  - description: "Delete item"
+    method: DELETE
+    path: "/items/{{itemId}}"
+`;
+
+let dir;
+let server;
+let skipped;
+
+before(async () => {
+  setQuiet(true);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ibgroboot-mock-"));
+  fs.writeFileSync(path.join(dir, "items.ibgrobot"), SUITE);
+  fs.writeFileSync(path.join(dir, "featured.json"), JSON.stringify({ id: 1, featured: true }));
+
+  const suite = parseIbgrobotConfiguration(path.join(dir, "items.ibgrobot"));
+  const built = buildMockRoutes([suite]);
+  skipped = built.skipped;
+  server = await startMockServer(built.routes, { port: 0 });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function request(pathname, options) {
+  const response = await fetch(`${server.url}${pathname}`, options);
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined };
+}
+
+test("routes are the suite url's path joined with the case path", async () => {
+  const { status, body } = await request("/v1/items");
+  assert.equal(status, 200);
+  assert.deepEqual(body, [{ id: 7 }]);
+});
+
+test("a fixed segment wins over a placeholder", async () => {
+  const { body, headers } = await request("/v1/items/featured");
+  assert.deepEqual(body, { id: 1, featured: true });
+  assert.equal(headers.get("x-featured"), "yes");
+  assert.equal(headers.get("content-type"), "application/json; charset=utf-8");
+});
+
+test("{id} segments match any value; the first of equal routes wins", async () => {
+  const { status, body } = await request("/v1/items/123");
+  assert.equal(status, 200);
+  assert.deepEqual(body, { id: 7, name: "Widget" });
+});
+
+test("X-Mock-Case picks a test case explicitly", async () => {
+  const { status, body } = await request("/v1/items/123", { headers: { "X-Mock-Case": "Get missing item" } });
+  assert.equal(status, 404);
+  assert.deepEqual(body, { error: "not found" });
+});
+
+test("a route whose query matches is preferred", async () => {
+  const { body } = await request("/v1/items?status=draft");
+  assert.deepEqual(body, [{ id: 9, status: "draft" }]);
+});
+
+test("the method is part of the route and variables are interpolated", async () => {
+  const { status, headers } = await request("/v1/items", { method: "POST", body: "{}" });
+  assert.equal(status, 201);
+  assert.equal(headers.get("location"), "/items/7");
+});
+
+test("cases with neither a mock_response nor a snapshot are skipped", async () => {
+  assert.deepEqual(skipped, [{ suite: "Items", testCase: "Delete item" }]);
+  const { status, body } = await request("/v1/items/7", { method: "DELETE" });
+  assert.equal(status, 404);
+  assert.match(body.error, /No mock route for DELETE \/v1\/items\/7/);
+  assert.ok(body.routes.includes("POST /v1/items"));
+});
+
+test("CORS preflight requests are answered", async () => {
+  const response = await fetch(`${server.url}/v1/items`, {
+    method: "OPTIONS",
+    headers: { Origin: "http://localhost:3000", "Access-Control-Request-Method": "POST" },
+  });
+  assert.equal(response.status, 204);
+  assert.equal(response.headers.get("access-control-allow-origin"), "*");
+});
+
+test("a missing body_file is reported, not thrown from the CLI", () => {
+  const suiteFile = path.join(dir, "missing.ibgrobot");
+  fs.writeFileSync(
+    suiteFile,
+    [
+      'name: "Missing"',
+      'url: "https://api.example.com"',
+      "test_cases:",
+      '  - description: "Get report"',
+      '    path: "/report"',
+      "    mock_response:",
+      '      body_file: "./absent.json"',
+    ].join("\n")
+  );
+
+  assert.throws(
+    () => buildMockRoutes([parseIbgrobotConfiguration(suiteFile)]),
+    /^Error: Missing: "Get report": body_file ".*absent\.json" does not exist\.$/
+  );
+
+  const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+  const { status, stderr } = spawnSync(process.execPath, [cli, "mock", suiteFile, "--port", "0"], {
+    encoding: "utf8",
+    timeout: 10000,
+  });
+  assert.equal(status, 2);
+  assert.match(stderr, /body_file ".*absent\.json" does not exist/);
+  assert.doesNotMatch(stderr, /at |Node\.js v/);
+});
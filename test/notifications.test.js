@@ -0,0 +1,178 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import { resolveNotifiers, sendNotifications } from "../lib/notifications.js";
+import { startStubServer } from "./stub_server.js";
+
+let hooks;
+
+before(async () => {
+  hooks = await startStubServer(({ path: requestPath }) =>
+    requestPath === "/broken" ? { status: 500, body: "down" } : { body: "ok" }
+  );
+});
+
+after(() => hooks.close());
+
+function caseResult(description, status, extra = {}) {
+  return {
+    testCase: description,
+    tags: [],
+    status,
+    assertions: status === "failed" ? [{ assertion: "Status Code", passed: false, message: "expected 200, got 500" }] : [],
+    durationMs: 5,
+    error: status === "error" ? { message: "connect ECONNREFUSED" } : null,
+    ...extra,
+  };
+}
+
+function suite(name, testResults, extra = {}) {
+  return {
+    name,
+    file: `/suites/${name.toLowerCase()}.ibgrobot`,
+    startedAt: new Date(),
+    durationMs: 10,
+    testResults,
+    saveToHistory: true,
+    syncToSlack: true,
+    reportResults: true,
+    targetSquads: [],
+    targetOwners: [],
+    ...extra,
+  };
+}
+
+const failingRun = () => ({
+  suites: [
+    suite("Orders", [caseResult("Create order", "passed"), caseResult("Cancel order", "failed")], {
+      targetSquads: ["Checkout"],
+      targetOwners: ["ann@example.com", "bob@example.com"],
+    }),
+    suite("Users", [caseResult("Get user", "error")], { syncToSlack: false, targetSquads: ["Identity"] }),
+    suite("Health", [caseResult("Ping", "passed")], { targetSquads: ["Platform"] }),
+  ],
+  reports: ["/reports/ibgroboot-2024.html"],
+  startedAt: new Date(Date.now() - 1000),
+  environment: "staging",
+});
+
+const passingRun = () => ({
+  suites: [suite("Health", [caseResult("Ping", "passed")])],
+  reports: [],
+  startedAt: new Date(),
+});
+
+function notifiers(notifications) {
+  return resolveNotifiers({ config: { notifications }, baseDir: os.tmpdir() });
+}
+
+test("slack gets a summary text with its mentions", async () => {
+  const outcomes = await sendNotifications(
+    notifiers([
+      {
+        type: "slack",
+        webhook_url: `${hooks.url}/slack`,
+        report_url: "https://ci.example.com/artifacts/{{report_name}}",
+        mentions: { squads: { Checkout: "<!subteam^S012AB3CD>" }, owners: { "ann@example.com": "<@U024BE7LH>" } },
+      },
+    ]),
+    failingRun()
+  );
+
+  assert.deepEqual(outcomes, [{ type: "slack", host: new URL(hooks.url).host, sent: true, status: 200 }]);
+  const { text } = hooks.requests.at(-1).json;
+  const lines = text.split("\n");
+  assert.equal(lines[0], ":x: API tests failed (staging): 1 of 3 test cases failed or errored.");
+  assert.equal(lines[1], "• *Orders › Cancel order*: Status Code: expected 200, got 500");
+  assert.equal(lines[2], "Report: https://ci.example.com/artifacts/ibgroboot-2024.html");
+  // Users has sync_to_slack: false and Health passed, so only Orders' squad and owners are mentioned
+  assert.equal(lines[3], "cc <!subteam^S012AB3CD> <@U024BE7LH> @bob@example.com");
+});
+
+test("a webhook gets the structured default payload", async () => {
+  await sendNotifications(notifiers([{ type: "webhook", url: `${hooks.url}/hook` }]), failingRun());
+
+  const payload = hooks.requests.at(-1).json;
+  assert.equal(payload.status, "failed");
+  assert.equal(payload.environment, "staging");
+  assert.deepEqual(payload.summary, { total: 4, passed: 2, failed: 1, errored: 1, skipped: 0 });
+  assert.equal(payload.report, "/reports/ibgroboot-2024.html");
+  assert.deepEqual(
+    payload.failures.map(({ suite: name, test_case: testCase, status }) => [name, testCase, status]),
+    [
+      ["Orders", "Cancel order", "failed"],
+      ["Users", "Get user", "error"],
+    ]
+  );
+  assert.deepEqual(payload.squads, ["Checkout", "Identity"]);
+  assert.deepEqual(payload.mentions, ["Checkout", "Identity", "ann@example.com", "bob@example.com"]);
+  assert.equal(payload.suites.length, 3);
+});
+
+test("report_results: false leaves a suite out", async () => {
+  const run = failingRun();
+  run.suites[1].reportResults = false;
+  await sendNotifications(notifiers([{ type: "webhook", url: `${hooks.url}/hook` }]), run);
+
+  const payload = hooks.requests.at(-1).json;
+  assert.deepEqual(payload.summary, { total: 3, passed: 2, failed: 1, errored: 0, skipped: 0 });
+  assert.deepEqual(payload.squads, ["Checkout"]);
+});
+
+test("on: failure skips passing runs, on: always does not", async () => {
+  const sentBefore = hooks.requests.length;
+  const outcomes = await sendNotifications(
+    notifiers([
+      { type: "webhook", url: `${hooks.url}/on-failure` },
+      { type: "webhook", url: `${hooks.url}/always`, on: "always" },
+    ]),
+    passingRun()
+  );
+
+  assert.equal(outcomes.length, 1);
+  assert.equal(hooks.requests.length, sentBefore + 1);
+  assert.equal(hooks.requests.at(-1).path, "/always");
+  assert.equal(hooks.requests.at(-1).json.status, "passed");
+});
+
+test("inline templates, headers and ${ENV} placeholders are applied", async () => {
+  process.env.IBGROBOOT_TEST_HOOK_TOKEN = "h00k-token-value";
+  try {
+    await sendNotifications(
+      notifiers([
+        {
+          type: "webhook",
+          url: `${hooks.url}/hook`,
+          method: "PUT",
+          headers: { Authorization: "Bearer ${IBGROBOOT_TEST_HOOK_TOKEN}" },
+          template: { title: "{{environment}}: {{status}}", failed: "{{summary.failed}}", who: "{{mentions}}" },
+        },
+      ]),
+      failingRun()
+    );
+  } finally {
+    delete process.env.IBGROBOOT_TEST_HOOK_TOKEN;
+  }
+
+  const received = hooks.requests.at(-1);
+  assert.equal(received.method, "PUT");
+  assert.equal(received.headers.authorization, "Bearer h00k-token-value");
+  assert.deepEqual(received.json, {
+    title: "staging: failed",
+    failed: 1,
+    who: ["Checkout", "Identity", "ann@example.com", "bob@example.com"],
+  });
+});
+
+test("a failed delivery is reported, not thrown", async () => {
+  const outcomes = await sendNotifications(notifiers([{ type: "webhook", url: `${hooks.url}/broken` }]), failingRun());
+  assert.deepEqual(outcomes, [
+    { type: "webhook", host: new URL(hooks.url).host, sent: false, status: 500, error: "HTTP 500" },
+  ]);
+});
+
+test("invalid notification settings are rejected", () => {
+  assert.throws(() => notifiers([{ type: "email", url: "x" }]), /unknown type "email"/);
+  assert.throws(() => notifiers([{ type: "slack" }]), /needs "webhook_url"/);
+  assert.throws(() => notifiers([{ type: "webhook", url: "http://x", on: "never" }]), /"on" must be failure or always/);
+});
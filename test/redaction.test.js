@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runSuites } from "../lib/run_suites.js";
+import { MASK, redact, redactValues, registerSecret } from "../lib/redact.js";
+import { setQuiet } from "../lib/logger.js";
+import { startStubServer } from "./stub_server.js";
+
+const TOKEN = "s3cr3t-t0ken-value";
+
+let api;
+let dir;
+
+before(async () => {
+  setQuiet(true);
+  api = await startStubServer(() => ({ body: { enabled: true, count: 12345678, echoed: TOKEN } }));
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ibgroboot-redaction-"));
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("redactValues masks strings only and keeps dates, numbers and booleans", () => {
+  registerSecret("a-s3cret-string");
+  const startedAt = new Date();
+  const value = { startedAt, text: "key a-s3cret-string", count: 4, ok: true, list: ["a-s3cret-string", 7] };
+
+  assert.deepEqual(redactValues(value), { startedAt, text: `key ${MASK}`, count: 4, ok: true, list: [MASK, 7] });
+  assert.equal(redactValues(value).startedAt, startedAt);
+  assert.equal(value.text, "key a-s3cret-string");
+});
+
+test("reports stay valid when secrets equal numbers, markup or JSON keys", async () => {
+  // Secrets that also appear as a number, in markup and as a JSON key
+  for (const value of ["12345678", "expanded", "testCase", TOKEN]) {
+    registerSecret(value);
+  }
+  fs.writeFileSync(
+    path.join(dir, "items.ibgrobot"),
+    [
+      'name: "Items"',
+      `url: "${api.url}/items"`,
+      "method: GET",
+      `auth: { type: bearer, token: "${TOKEN}" }`,
+      "test_cases:",
+      '  - description: "Get items"',
+      "    expected_results:",
+      '      - assertion: "Status Code"',
+      "        inputs: [200]",
+      '  - description: "Expect a redirect"',
+      "    expected_results:",
+      '      - assertion: "Status Code"',
+      "        inputs: [301]",
+    ].join("\n")
+  );
+
+  const summary = await runSuites([path.join(dir, "items.ibgrobot")], {
+    reportDir: path.join(dir, "reports"),
+    formats: ["json", "junit", "html"],
+  });
+  assert.equal(summary.passed, 1);
+  assert.equal(summary.failed, 1);
+
+  const [jsonFile, junitFile, htmlFile] = summary.reports;
+  const json = fs.readFileSync(jsonFile, "utf8");
+  const report = JSON.parse(json);
+  assert.ok(!json.includes(TOKEN));
+  assert.ok(json.includes('"testCase"'));
+
+  const body = findValue(report, (value) => value?.count === 12345678);
+  assert.deepEqual(body, { enabled: true, count: 12345678, echoed: MASK });
+  const authorization = findValue(report, (value) => typeof value?.Authorization === "string")?.Authorization;
+  assert.equal(authorization, `Bearer ${MASK}`);
+  assert.ok(!/\d\*{4}|\*{4}\d/.test(json), "a mask ended up inside a number");
+
+  const junit = fs.readFileSync(junitFile, "utf8");
+  assert.ok(!junit.includes(TOKEN));
+  assert.match(junit, /<testsuites[^>]*tests="2"/);
+
+  const html = fs.readFileSync(htmlFile, "utf8");
+  assert.ok(!html.includes(TOKEN));
+  assert.ok(html.includes('aria-expanded="true"'));
+  assert.ok(!html.includes(`aria-${MASK}`));
+});
+
+test("errors loading a suite are logged with secrets masked", async (t) => {
+  process.env.IBGROBOOT_TEST_DATA_TOKEN = "data-t0ken-value";
+  t.after(() => delete process.env.IBGROBOOT_TEST_DATA_TOKEN);
+  const logged = t.mock.method(console, "error", () => {});
+  fs.writeFileSync(
+    path.join(dir, "broken.ibgrobot"),
+    [
+      `url: "${api.url}/items?token=\${IBGROBOOT_TEST_DATA_TOKEN}"`,
+      "test_cases:",
+      '  - description: "Get items"',
+      '    data: "./rows-${IBGROBOOT_TEST_DATA_TOKEN}.csv"',
+    ].join("\n")
+  );
+
+  const summary = await runSuites([path.join(dir, "broken.ibgrobot")], { reportDir: dir, formats: [] });
+  assert.equal(summary.loadErrors, 1);
+  const output = logged.mock.calls.map((call) => call.arguments.join(" ")).join("\n");
+  assert.match(output, /Data file ".*rows-\*{4}\.csv" does not exist/);
+  assert.ok(!output.includes("data-t0ken-value"));
+});
+
+test("redact masks the longest secret first", () => {
+  registerSecret("abcd-1234");
+  registerSecret("abcd-1234-efgh");
+  assert.equal(redact("x abcd-1234-efgh y abcd-1234"), `x ${MASK} y ${MASK}`);
+});
+
+// The first value in `root` (deeply) that `matches` accepts
+function findValue(root, matches) {
+  if (matches(root)) {
+    return root;
+  }
+  if (root && typeof root === "object") {
+    for (const item of Object.values(root)) {
+      const found = findValue(item, matches);
+      if (found !== undefined) {
+        return found;
+      }
+    }
+  }
+  return undefined;
+}
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePath, resolvePath, getPathValue, formatPath } from "../lib/resolve_path.js";
+
+const body = {
+  data: { user: { address: { zip: "10115" } } },
+  items: [{ price: 5 }, { price: 7 }, { name: "no price" }],
+  meta: { "x-trace.id": "abc" },
+  "user.name": "ann",
+};
+
+test("parsePath splits dots, brackets, quoted keys and wildcards", () => {
+  assert.deepEqual(parsePath("data.user.address.zip"), ["data", "user", "address", "zip"]);
+  assert.deepEqual(parsePath("$.items[0].price"), ["items", 0, "price"]);
+  assert.deepEqual(parsePath("items[*].price"), ["items", "*", "price"]);
+  assert.deepEqual(parsePath("items.*.price"), ["items", "*", "price"]);
+  assert.deepEqual(parsePath('$.meta["x-trace.id"]'), ["meta", "x-trace.id"]);
+  assert.deepEqual(parsePath("$"), []);
+});
+
+test("parsePath rejects malformed brackets", () => {
+  assert.throws(() => parsePath("items[0"), /Unclosed "\[" in path "items\[0"/);
+  assert.throws(() => parsePath("items[first]"), /Invalid bracket segment "\[first\]"/);
+});
+
+test("array indices resolve, negative ones from the end", () => {
+  assert.equal(getPathValue(body, "items[1].price"), 7);
+  assert.equal(getPathValue(body, "items[-1].name"), "no price");
+  assert.deepEqual(resolvePath([10, 20], "[0]"), [{ path: "[0]", value: 10, exists: true }]);
+});
+
+test("missing paths are reported up to the first segment that was absent", () => {
+  assert.deepEqual(resolvePath(body, "items[5].price"), [{ path: "items[5]", value: undefined, exists: false }]);
+  assert.deepEqual(resolvePath(body, "data.account.id"), [{ path: "data.account", value: undefined, exists: false }]);
+  assert.deepEqual(resolvePath(body, "data.user.address.zip.code"), [
+    { path: "data.user.address.zip.code", value: undefined, exists: false },
+  ]);
+  assert.equal(getPathValue(body, "items[9]"), undefined);
+});
+
+test("wildcards return every match, absent fields included", () => {
+  assert.deepEqual(resolvePath(body, "items[*].price"), [
+    { path: "items[0].price", value: 5, exists: true },
+    { path: "items[1].price", value: 7, exists: true },
+    { path: "items[2].price", value: undefined, exists: false },
+  ]);
+  assert.deepEqual(resolvePath(body, "data.user.*"), [
+    { path: "data.user.address", value: { zip: "10115" }, exists: true },
+  ]);
+});
+
+test("a key that exists verbatim wins over path interpretation", () => {
+  assert.equal(getPathValue(body, "user.name"), "ann");
+  assert.equal(getPathValue(body, '$.meta["x-trace.id"]'), "abc");
+});
+
+test("formatPath quotes keys that are not identifiers", () => {
+  assert.equal(formatPath([]), "$");
+  assert.equal(formatPath(["meta", "x-trace.id", 0, "a b"]), 'meta["x-trace.id"][0]["a b"]');
+});
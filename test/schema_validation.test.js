@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isJsonSchema } from "../lib/schema_validation.js";
+import { runAssertions } from "../lib/assertion_response.js";
+
+test("schemas using JSON Schema keywords are JSON Schema, even with only string values", () => {
+  assert.equal(isJsonSchema({ type: "string", format: "uuid" }), true);
+  assert.equal(isJsonSchema({ $ref: "./post.json" }), true);
+  assert.equal(isJsonSchema({ type: "object", properties: { id: { type: "integer" } } }), true);
+  assert.equal(isJsonSchema({ pattern: "^a" }), true);
+});
+
+test("an object of type names is the legacy shorthand", () => {
+  assert.equal(isJsonSchema({ userId: "number", title: "string" }), false);
+  assert.equal(isJsonSchema(undefined), false);
+  assert.equal(isJsonSchema(["string"]), false);
+});
+
+const body = { data: { id: "not-a-uuid", owner: "6f1c2b7e-3a4d-4e5f-8a9b-0c1d2e3f4a5b" }, userId: 1 };
+
+async function schemaCompliance(inputs) {
+  const [result] = await runAssertions(body, [{ assertion: "Schema Compliance", inputs }]);
+  return result;
+}
+
+test("an all-string JSON Schema with path validates the nested value", async () => {
+  const failing = await schemaCompliance({ schema: { type: "string", format: "uuid" }, path: "data.id" });
+  assert.equal(failing.passed, false);
+  assert.equal(failing.violations[0].rule, "schema/format");
+
+  const passing = await schemaCompliance({ schema: { type: "string", format: "uuid" }, path: "data.owner" });
+  assert.equal(passing.passed, true);
+});
+
+test("the shorthand still checks the body's fields, and rejects path", async () => {
+  assert.equal((await schemaCompliance({ schema: { userId: "number", data: "object" } })).passed, true);
+  assert.equal((await schemaCompliance({ schema: { userId: "string" } })).passed, false);
+
+  const withPath = await schemaCompliance({ schema: { id: "string" }, path: "data" });
+  assert.equal(withPath.passed, false);
+  assert.match(withPath.message, /"path" needs a JSON Schema/);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTestCaseSelector, parseTagExpression, parseDescriptionFilter } from "../lib/select_test_cases.js";
+
+const matches = (expression, tags) => parseTagExpression(expression)(tags);
+
+test("and, or and not combine tags", () => {
+  assert.equal(matches("smoke", ["smoke", "orders"]), true);
+  assert.equal(matches("smoke and orders", ["smoke"]), false);
+  assert.equal(matches("smoke or orders", ["orders"]), true);
+  assert.equal(matches("not slow", ["smoke"]), true);
+  assert.equal(matches("smoke and not slow", ["smoke", "slow"]), false);
+  assert.equal(matches("not not smoke", ["smoke"]), true);
+});
+
+test("not binds tighter than and, and tighter than or", () => {
+  // a or (b and (not c))
+  assert.equal(matches("a or b and not c", ["a", "c"]), true);
+  assert.equal(matches("a or b and not c", ["b", "c"]), false);
+});
+
+test("parentheses group", () => {
+  assert.equal(matches("(orders or users) and smoke", ["users", "smoke"]), true);
+  assert.equal(matches("(orders or users) and smoke", ["smoke"]), false);
+  assert.equal(matches("not (orders or users)", ["users"]), false);
+  assert.equal(matches("((smoke))", ["smoke"]), true);
+});
+
+test("tags and operators are compared case-insensitively", () => {
+  assert.equal(matches("Smoke AND NOT Slow", ["smoke"]), true);
+});
+
+test("malformed expressions are rejected", () => {
+  assert.throws(() => parseTagExpression("  "), /--tags: the tag expression is empty\./);
+  assert.throws(() => parseTagExpression("smoke and"), /invalid tag expression "smoke and": it ends where a tag was expected/);
+  assert.throws(() => parseTagExpression("(smoke or slow"), /a "\(" is not closed/);
+  assert.throws(() => parseTagExpression("smoke)"), /unexpected "\)"/);
+  assert.throws(() => parseTagExpression("smoke slow"), /unexpected "slow"/);
+  assert.throws(() => parseTagExpression("and smoke"), /expected a tag but found "and"/);
+  assert.throws(() => parseTagExpression("()"), /expected a tag but found "\)"/);
+});
+
+test("--filter matches text or a /regex/", () => {
+  assert.equal(parseDescriptionFilter("Create item")("POST Create item 2"), true);
+  assert.equal(parseDescriptionFilter("create item")("Create item"), false);
+
+  const byRegex = parseDescriptionFilter("/^get .*by id$/gi");
+  assert.equal(byRegex("GET user by id"), true);
+  // A global pattern must not remember where it stopped
+  assert.equal(byRegex("GET user by id"), true);
+  assert.throws(() => parseDescriptionFilter("/(/"), /^Error: --filter: Invalid regular expression/);
+});
+
+test("buildTestCaseSelector applies both, or returns null without either", () => {
+  assert.equal(buildTestCaseSelector({}), null);
+  const select = buildTestCaseSelector({ tags: "smoke", filter: "/user/" });
+  assert.equal(select({ description: "Get user", tags: ["smoke"] }), true);
+  assert.equal(select({ description: "Get order", tags: ["smoke"] }), false);
+  assert.equal(select({ description: "Get user" }), false);
+});
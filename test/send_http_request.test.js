@@ -0,0 +1,60 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runSuites } from "../lib/run_suites.js";
+import { setQuiet } from "../lib/logger.js";
+import { startStubServer } from "./stub_server.js";
+
+let api;
+let dir;
+
+before(async () => {
+  setQuiet(true);
+  api = await startStubServer(({ method }) => (method === "POST" ? { status: 201, body: { id: 42 } } : { body: {} }));
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ibgroboot-send-"));
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("results show descriptions with captured and data-row values filled in", async () => {
+  const suiteFile = path.join(dir, "chained.ibgrobot");
+  fs.writeFileSync(
+    suiteFile,
+    [
+      `url: "${api.url}/items"`,
+      "test_cases:",
+      '  - description: "create item"',
+      "    method: POST",
+      '    capture: { itemId: "id" }',
+      '  - description: "get {{itemId}}"',
+      '    path: "/{{itemId}}"',
+      '  - description: "get {{itemId}} as {{role}}"',
+      '    path: "/{{itemId}}"',
+      "    data: [{ role: admin }]",
+      '  - description: "delete {{itemId}}"',
+      "    method: DELETE",
+      '    skip: "not yet"',
+      '  - description: "get {{missing}}"',
+      '    path: "/{{missing}}"',
+    ].join("\n")
+  );
+
+  const { suites } = await runSuites([suiteFile], { reportDir: dir, formats: [] });
+  const results = suites[0].testResults.map(({ testCase, status }) => [testCase, status]);
+  assert.deepEqual(results, [
+    ["create item", "passed"],
+    ["get 42", "passed"],
+    ["get 42 as admin", "passed"],
+    ["delete 42", "skipped"],
+    ["get {{missing}}", "error"],
+  ]);
+  assert.deepEqual(
+    api.requests.map(({ method, path: requestPath }) => `${method} ${requestPath}`),
+    ["POST /items", "GET /items/42", "GET /items/42"]
+  );
+});
@@ -0,0 +1,140 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSendOptions, sendWithRetries } from "../lib/send_with_retries.js";
+import { setQuiet } from "../lib/logger.js";
+import { startStubServer } from "./stub_server.js";
+
+// Statuses the stub answers with, one per request; the last one repeats
+let script = [];
+let api;
+
+before(async () => {
+  setQuiet(true);
+  api = await startStubServer(() => {
+    const status = script.length > 1 ? script.shift() : script[0];
+    return { status, body: { status: status === 200 ? "done" : "pending" } };
+  });
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  api.requests.length = 0;
+});
+
+const request = () => ({ method: "GET", url: `${api.url}/jobs/1` });
+
+function options(testCase, suite = {}) {
+  return resolveSendOptions(suite, testCase);
+}
+
+test("resolveSendOptions lets the test case override the suite", () => {
+  const { timeoutMs, retries, poll } = options({ retries: { count: 3, delay: 10, on_status: ["5xx"] } }, { timeout: 500, retries: 1 });
+  assert.equal(timeoutMs, 500);
+  assert.deepEqual(retries, { count: 3, delayMs: 10, backoff: 2, maxDelayMs: Infinity, onStatus: ["5xx"] });
+  assert.equal(poll, null);
+  assert.equal(options({}, { retries: 2 }).retries.count, 2);
+});
+
+test("resolveSendOptions rejects invalid settings", () => {
+  assert.throws(() => options({ retries: { count: 1.5 } }), /"retries.count" must be a whole number/);
+  assert.throws(() => options({ timeout: "soon" }), /"timeout" must be a number of milliseconds/);
+  assert.throws(() => options({ poll: { until: [] } }), /"poll.until" must be a list of assertions/);
+});
+
+test("a status of an on_status class is retried until it passes", async () => {
+  script = [503, 502, 200];
+  const { response, attempts } = await sendWithRetries(request(), options({ retries: { count: 3, delay: 1, on_status: ["5xx"] } }));
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    attempts.map(({ status, outcome }) => [status, outcome]),
+    [
+      [503, "retry"],
+      [502, "retry"],
+      [200, "ok"],
+    ]
+  );
+});
+
+test("retries give up after count and return the last response", async () => {
+  script = [503];
+  const { response, attempts } = await sendWithRetries(request(), options({ retries: { count: 2, delay: 1, on_status: ["5xx"] } }));
+
+  assert.equal(response.status, 503);
+  assert.equal(api.requests.length, 3);
+  assert.deepEqual(
+    attempts.map(({ outcome }) => outcome),
+    ["retry", "retry", "ok"]
+  );
+});
+
+test("statuses outside on_status are not retried", async () => {
+  script = [404, 200];
+  const { response } = await sendWithRetries(request(), options({ retries: { count: 2, delay: 1, on_status: [502, "503"] } }));
+  assert.equal(response.status, 404);
+  assert.equal(api.requests.length, 1);
+});
+
+test("network errors are retried, then thrown with every attempt", async () => {
+  const closed = await startStubServer();
+  await closed.close();
+
+  await assert.rejects(
+    sendWithRetries({ method: "GET", url: `${closed.url}/` }, options({ retries: { count: 2, delay: 1 } })),
+    (err) => {
+      assert.match(err.message, /ECONNREFUSED/);
+      assert.deepEqual(
+        err.attempts.map(({ outcome }) => outcome),
+        ["retry", "retry", "failed"]
+      );
+      return true;
+    }
+  );
+});
+
+const untilDone = async (response) =>
+  response.body.status === "done"
+    ? { passed: true, message: "" }
+    : { passed: false, message: `status is "${response.body.status}"` };
+
+test("polling re-sends until the condition is met", async () => {
+  script = [202, 202, 200];
+  const { response, attempts, pollFailure } = await sendWithRetries(
+    request(),
+    options({ poll: { until: [{ assertion: "Status Code" }], interval: 5, timeout: 5000 } }),
+    untilDone
+  );
+
+  assert.equal(response.body.status, "done");
+  assert.equal(pollFailure, null);
+  assert.deepEqual(
+    attempts.map(({ outcome }) => outcome),
+    ["poll", "poll", "ok"]
+  );
+});
+
+test("polling gives up at its timeout with the last failure", async () => {
+  script = [202];
+  const { response, attempts, pollFailure } = await sendWithRetries(
+    request(),
+    options({ poll: { until: [{ assertion: "Status Code" }], interval: 20, timeout: 70 } }),
+    untilDone
+  );
+
+  assert.equal(response.status, 202);
+  assert.ok(attempts.length >= 2 && attempts.length <= 4, `${attempts.length} attempts`);
+  assert.equal(attempts.at(-1).outcome, "failed");
+  assert.match(pollFailure, /^Condition not met after \d+ attempt\(s\) in \d+ms: status is "pending"$/);
+});
+
+test("polling gives up after max_attempts", async () => {
+  script = [202];
+  const { attempts, pollFailure } = await sendWithRetries(
+    request(),
+    options({ poll: { until: [{ assertion: "Status Code" }], interval: 1, max_attempts: 3 } }),
+    untilDone
+  );
+  assert.equal(attempts.length, 3);
+  assert.match(pollFailure, /after 3 attempt\(s\)/);
+});
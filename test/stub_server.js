@@ -0,0 +1,50 @@
+import http from "http";
+
+/**
+ * stub_server.js
+ * --------------
+ * A local HTTP server for the tests: records every request it receives and
+ * answers with `respond(request)` (default 200 `{ ok: true }`).
+ */
+
+/**
+ * startStubServer - Listens on a free port of 127.0.0.1.
+ * @param {Function} [respond] - `(request) => ({ status, headers, body })`; an object body is sent as JSON
+ * @returns {Promise<{ url: string, requests: object[], close: () => Promise<void> }>}
+ *   Each request: { method, path, headers, body, json }
+ */
+export function startStubServer(respond = () => ({ body: { ok: true } })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const request = { method: req.method, path: req.url, headers: req.headers, body, json: parseJson(body) };
+      requests.push(request);
+
+      const { status = 200, headers = {}, body: responseBody = "" } = respond(request) ?? {};
+      const isJson = typeof responseBody === "object";
+      res.writeHead(status, isJson ? { "Content-Type": "application/json", ...headers } : headers);
+      res.end(isJson ? JSON.stringify(responseBody) : responseBody);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}